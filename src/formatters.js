@@ -0,0 +1,207 @@
+const capitalize = require("lodash/capitalize");
+const isNil = require("lodash/isNil");
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// Pad a number with leading zeros up to `length` digits
+function _pad(num, length = 2) {
+  return String(num).padStart(length, "0");
+}
+
+// Turn a value into a Date, or null if it cannot be read as one
+function _toDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === "number" || typeof value === "string") {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+// Turn a value into a finite number, or null if it cannot be read as one
+function _toNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === "string" && value.trim() !== "") {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+  }
+  return null;
+}
+
+// Move the decimal point of a number by `places` digits in its decimal
+// notation, so that 1.005 becomes exactly 100.5 and not the 100.49999999999999
+// of a multiplication on its binary value
+function _shiftDecimal(num, places) {
+  const [digits, exponent = "0"] = String(num).split("e");
+  return Number(digits + "e" + (Number(exponent) + places));
+}
+
+/**
+ * Format a date with an Excel-like pattern, e.g. "yyyy-mm-dd hh:mm:ss".
+ * Supported tokens are yyyy, yy, mmmm, mmm, mm, m, dd, d, hh, h and ss; like
+ * in Excel, `mm`/`m` right after an hour or right before seconds are minutes.
+ * Dates are read in UTC, the same way they are converted to serial numbers.
+ */
+function formatDate(date, pattern) {
+  const tokens = pattern.match(
+    /yyyy|yy|mmmm|mmm|mm|m|dd|d|hh|h|ss|s|[^ymdhs]+/gi
+  );
+  if (!tokens) {
+    return "";
+  }
+
+  return tokens
+    .map((token, idx) => {
+      const lower = token.toLowerCase();
+      const previous = (tokens[idx - 2] || "").toLowerCase();
+      const next = (tokens[idx + 2] || "").toLowerCase();
+      const isMinute =
+        (lower === "mm" || lower === "m") &&
+        (previous[0] === "h" || next[0] === "s");
+
+      if (isMinute) {
+        return lower === "mm"
+          ? _pad(date.getUTCMinutes())
+          : String(date.getUTCMinutes());
+      }
+
+      switch (lower) {
+        case "yyyy":
+          return String(date.getUTCFullYear());
+        case "yy":
+          return _pad(date.getUTCFullYear() % 100);
+        case "mmmm":
+          return MONTH_NAMES[date.getUTCMonth()];
+        case "mmm":
+          return MONTH_NAMES[date.getUTCMonth()].substring(0, 3);
+        case "mm":
+          return _pad(date.getUTCMonth() + 1);
+        case "m":
+          return String(date.getUTCMonth() + 1);
+        case "dd":
+          return _pad(date.getUTCDate());
+        case "d":
+          return String(date.getUTCDate());
+        case "hh":
+          return _pad(date.getUTCHours());
+        case "h":
+          return String(date.getUTCHours());
+        case "ss":
+          return _pad(date.getUTCSeconds());
+        case "s":
+          return String(date.getUTCSeconds());
+        default:
+          return token;
+      }
+    })
+    .join("");
+}
+
+/**
+ * Built-in formatters usable in placeholders, e.g. `${name | upper}`.
+ * Each formatter receives the value followed by the arguments given in the
+ * placeholder and returns the new value. Values a formatter does not know how
+ * to handle are returned untouched so that pipelines never throw on blanks.
+ */
+const builtInFormatters = {
+  upper(value) {
+    return typeof value === "string" ? value.toUpperCase() : value;
+  },
+
+  lower(value) {
+    return typeof value === "string" ? value.toLowerCase() : value;
+  },
+
+  capitalize(value) {
+    return typeof value === "string" ? capitalize(value) : value;
+  },
+
+  trim(value) {
+    return typeof value === "string" ? value.trim() : value;
+  },
+
+  // Use `fallback` when the value is missing or empty
+  default(value, fallback = "") {
+    return isNil(value) || value === "" ? fallback : value;
+  },
+
+  // Round to `decimals` digits and keep the result numeric. Like in Excel,
+  // halves are rounded away from zero, e.g. 1.005 to 1.01 and -2.5 to -3.
+  round(value, decimals = 0) {
+    const num = _toNumber(value);
+    if (num === null) {
+      return value;
+    }
+    const rounded = _shiftDecimal(
+      Math.round(_shiftDecimal(Math.abs(num), decimals)),
+      -decimals
+    );
+    return num < 0 && rounded !== 0 ? -rounded : rounded;
+  },
+
+  // Localized number with a fixed amount of decimals, e.g. "1,234.50"
+  number(value, decimals = 0, locale = "en-US") {
+    const num = _toNumber(value);
+    if (num === null) {
+      return value;
+    }
+    return new Intl.NumberFormat(locale, {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+    }).format(num);
+  },
+
+  // Localized currency amount, e.g. `${total | currency:"EUR"}` -> "€1,234.50"
+  currency(value, currency = "USD", locale = "en-US") {
+    const num = _toNumber(value);
+    if (num === null) {
+      return value;
+    }
+    return new Intl.NumberFormat(locale, {
+      style: "currency",
+      currency,
+    }).format(num);
+  },
+
+  // Ratio as a percentage, e.g. 0.256 -> "25.6%" with one decimal
+  percent(value, decimals = 0) {
+    const num = _toNumber(value);
+    if (num === null) {
+      return value;
+    }
+    return new Intl.NumberFormat("en-US", {
+      style: "percent",
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals,
+      useGrouping: false,
+    }).format(num);
+  },
+
+  // Date as text, e.g. `${createdAt | date:"yyyy-mm-dd"}`
+  date(value, pattern = "yyyy-mm-dd") {
+    const date = _toDate(value);
+    if (date === null) {
+      return value;
+    }
+    return formatDate(date, String(pattern));
+  },
+};
+
+module.exports = { builtInFormatters, formatDate };
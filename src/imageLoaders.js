@@ -0,0 +1,94 @@
+const http = require("http");
+const https = require("https");
+
+/**
+ * Create an image loader that downloads `http://` and `https://` URLs, with
+ * `substituteAsync()` only. Other values are left to the next loaders.
+ * Options:
+ *
+ * - `timeout`: maximum time in milliseconds for a download (10 s)
+ * - `maxSize`: maximum size in bytes of an image (10 MB)
+ * - `maxRedirects`: maximum number of redirects followed (5)
+ * - `headers`: headers sent with the requests
+ */
+function httpImageLoader(options = {}) {
+  const timeout = options.timeout || 10000;
+  const maxSize = options.maxSize || 10 * 1024 * 1024;
+  const maxRedirects =
+    options.maxRedirects === undefined ? 5 : options.maxRedirects;
+  const headers = options.headers || {};
+
+  const download = (url, redirects) =>
+    new Promise((resolve, reject) => {
+      const client = url.protocol === "https:" ? https : http;
+      const request = client.get(url, { headers });
+      const fail = (error) => {
+        clearTimeout(timer);
+        request.destroy();
+        reject(error);
+      };
+      const timer = setTimeout(() => {
+        fail(new Error(`Timeout after ${timeout} ms for image ${url.href}`));
+      }, timeout);
+
+      request.on("error", fail);
+      request.on("response", (response) => {
+        const { statusCode } = response;
+        response.on("error", fail);
+
+        if (
+          statusCode >= 300 &&
+          statusCode < 400 &&
+          response.headers.location
+        ) {
+          clearTimeout(timer);
+          response.resume();
+          if (redirects >= maxRedirects) {
+            reject(new Error(`Too many redirects for image ${url.href}`));
+            return;
+          }
+          resolve(
+            download(new URL(response.headers.location, url), redirects + 1)
+          );
+          return;
+        }
+        if (statusCode < 200 || statusCode >= 300) {
+          fail(new Error(`HTTP ${statusCode} for image ${url.href}`));
+          return;
+        }
+        if (parseInt(response.headers["content-length"], 10) > maxSize) {
+          fail(new Error(`Image ${url.href} is over ${maxSize} bytes`));
+          return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on("data", (chunk) => {
+          size += chunk.length;
+          if (size > maxSize) {
+            fail(new Error(`Image ${url.href} is over ${maxSize} bytes`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on("end", () => {
+          clearTimeout(timer);
+          resolve(Buffer.concat(chunks));
+        });
+      });
+    });
+
+  return (value, { async } = {}) => {
+    if (typeof value !== "string" || !/^https?:\/\//i.test(value)) {
+      return undefined;
+    }
+    if (!async) {
+      throw new TypeError(
+        `Image ${value} can only be downloaded by substituteAsync()`
+      );
+    }
+    return download(new URL(value), 0);
+  };
+}
+
+module.exports = { httpImageLoader };
@@ -1,11 +1,21 @@
 const path = require("path");
+const os = require("os");
+const { once } = require("events");
+const { Readable } = require("stream");
 const sizeOf = require("image-size");
 const fs = require("fs");
 const etree = require("elementtree");
 const JSZip = require("jszip");
 const assign = require("lodash/assign");
+const escapeRegExp = require("lodash/escapeRegExp");
 const get = require("lodash/get");
+const isPlainObject = require("lodash/isPlainObject");
+const toPath = require("lodash/toPath");
 const upperCase = require("lodash/upperCase");
+const { builtInFormatters } = require("./formatters");
+const { zipEntries } = require("./zipStream");
+const { httpImageLoader } = require("./imageLoaders");
+const { addCellFormat, createStyleImporter } = require("./styles");
 
 const DOCUMENT_RELATIONSHIP =
   "http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument";
@@ -15,6 +25,117 @@ const SHARED_STRINGS_RELATIONSHIP =
   "http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings";
 const HYPERLINK_RELATIONSHIP =
   "http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink";
+const COMMENTS_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments";
+const VML_DRAWING_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/vmlDrawing";
+const IMAGE_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/image";
+const DRAWING_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing";
+const CHART_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart";
+const PIVOT_CACHE_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/pivotCacheDefinition";
+const PIVOT_TABLE_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/pivotTable";
+const STYLES_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles";
+const WORKSHEET_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet";
+const CORE_PROPERTIES_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties";
+const EXTENDED_PROPERTIES_RELATIONSHIP =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties";
+
+// File extension and content type of the media of each image format reported
+// by image-size. Other formats use their name for both.
+const IMAGE_FORMATS = {
+  bmp: { extension: "bmp", contentType: "image/bmp" },
+  gif: { extension: "gif", contentType: "image/gif" },
+  ico: { extension: "ico", contentType: "image/x-icon" },
+  jpg: { extension: "jpeg", contentType: "image/jpeg" },
+  png: { extension: "png", contentType: "image/png" },
+  svg: { extension: "svg", contentType: "image/svg+xml" },
+  tiff: { extension: "tiff", contentType: "image/tiff" },
+  webp: { extension: "webp", contentType: "image/webp" },
+};
+
+// Excel shows SVG images through an extension of the blip, which points to
+// the SVG while the blip itself embeds a PNG for older readers
+const SVG_BLIP_EXTENSION = "{96DAC541-7B7A-43D3-8B79-37D633B846F1}";
+const SVG_NAMESPACE =
+  "http://schemas.microsoft.com/office/drawing/2016/SVG/main";
+
+// Transparent 1x1 PNG, the fallback of SVG images given without one
+const TRANSPARENT_PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64"
+);
+
+// Temporary marks of the row and cells of a streamed table, and of the place
+// of its rows in the sheet, see `substituteStream()`
+const STREAM_ROW = "xlsxTemplateStreamRow";
+const STREAM_CELL = "xlsxTemplateStreamCell";
+const STREAM_ROWS_MARKER = "xlsxTemplateStreamRows";
+const STREAM_ROW_TOKEN = "xlsxTemplateStreamRowRef";
+
+// Size of a sheet in Excel
+const MAX_COLUMNS = 16384;
+const MAX_ROWS = 1048576;
+
+// Comments are shown by the shapes of a VML drawing, one per comment. This is
+// the type of these shapes, as written by Excel.
+const NOTE_SHAPE_TYPE =
+  '<v:shapetype id="_x0000_t202" coordsize="21600,21600" o:spt="202" ' +
+  'path="m,l,21600r21600,l21600,xe"><v:stroke joinstyle="miter"/>' +
+  '<v:path gradientshapeok="t" o:connecttype="rect"/></v:shapetype>';
+
+// Order of the elements of a worksheet, as required by the schema
+const SHEET_ELEMENTS = [
+  "sheetPr",
+  "dimension",
+  "sheetViews",
+  "sheetFormatPr",
+  "cols",
+  "sheetData",
+  "sheetCalcPr",
+  "sheetProtection",
+  "protectedRanges",
+  "scenarios",
+  "autoFilter",
+  "sortState",
+  "dataConsolidate",
+  "customSheetViews",
+  "mergeCells",
+  "phoneticPr",
+  "conditionalFormatting",
+  "dataValidations",
+  "hyperlinks",
+  "printOptions",
+  "pageMargins",
+  "pageSetup",
+  "headerFooter",
+  "rowBreaks",
+  "colBreaks",
+  "customProperties",
+  "cellWatches",
+  "ignoredErrors",
+  "smartTags",
+  "drawing",
+  "legacyDrawing",
+  "legacyDrawingHF",
+  "drawingHF",
+  "picture",
+  "oleObjects",
+  "controls",
+  "webPublishItems",
+  "tableParts",
+  "extLst",
+];
+
+// Key of the error of an image that could not be loaded by `substituteAsync()`
+const IMAGE_LOAD_ERROR = Symbol("imageLoadError");
 
 function _toArrayBuffer(buffer) {
   const ab = new ArrayBuffer(buffer.length);
@@ -72,6 +193,52 @@ function _checkImage(buffer) {
   }
 }
 
+// Read a Node readable stream (or any async iterable of chunks) into a Buffer
+async function _readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Resolve the promises in substitution data, deeply: async iterables become
+// arrays and readable streams become Buffers. Arrays and plain objects are
+// copied, the original data is left untouched.
+async function _resolveData(value) {
+  value = await value;
+
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (typeof value.pipe === "function") {
+    return _readStream(value);
+  }
+  if (typeof value[Symbol.asyncIterator] === "function") {
+    const items = [];
+    for await (const item of value) {
+      items.push(await _resolveData(item));
+    }
+    return items;
+  }
+  if (value instanceof Array) {
+    return Promise.all(value.map(_resolveData));
+  }
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    const values = await Promise.all(
+      keys.map((key) => _resolveData(value[key]))
+    );
+    const result = {};
+    keys.forEach((key, idx) => {
+      result[key] = values[idx];
+    });
+    return result;
+  }
+
+  return value;
+}
+
 // Turn a value of any type into a string
 function _stringify(value) {
   if (value instanceof Date) {
@@ -89,6 +256,531 @@ function _stringify(value) {
   return "";
 }
 
+// Escape the special characters of XML text and attribute values
+function _escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// A <t> element as XML, preserving leading and trailing spaces
+function _textXml(text) {
+  return text !== text.trim()
+    ? `<t xml:space="preserve">${_escapeXml(text)}</t>`
+    : `<t>${_escapeXml(text)}</t>`;
+}
+
+// Is the value rich text, i.e. an array of runs like {text, bold, color}?
+function _isRichText(value) {
+  return (
+    value instanceof Array &&
+    value.length > 0 &&
+    value.every(
+      (run) =>
+        isPlainObject(run) && Object.prototype.hasOwnProperty.call(run, "text")
+    )
+  );
+}
+
+// Is the value a link like {text, url, tooltip}?
+function _isHyperlink(value) {
+  return isPlainObject(value) && typeof value.url === "string";
+}
+
+// Is the value a cell value with a comment, like {value, comment}?
+function _isCommented(value) {
+  return (
+    isPlainObject(value) &&
+    Object.prototype.hasOwnProperty.call(value, "value") &&
+    Object.prototype.hasOwnProperty.call(value, "comment")
+  );
+}
+
+// Is the value a cell value with a style, like {value, style: {bold}}?
+function _isStyled(value) {
+  return (
+    isPlainObject(value) &&
+    Object.prototype.hasOwnProperty.call(value, "value") &&
+    isPlainObject(value.style)
+  );
+}
+
+// The VML shape of the comment of the cell at the 0-based `row` and `col`,
+// hidden until the cell is hovered like the comments added in Excel
+function _noteShapeXml(id, row, col) {
+  return (
+    `<v:shape id="_x0000_s${id}" type="#_x0000_t202" ` +
+    'style="position:absolute;margin-left:59.25pt;margin-top:1.5pt;' +
+    'width:108pt;height:59.25pt;z-index:1;visibility:hidden" ' +
+    'fillcolor="#ffffe1" o:insetmode="auto"><v:fill color2="#ffffe1"/>' +
+    '<v:shadow on="t" color="black" obscured="t"/>' +
+    '<v:path o:connecttype="none"/>' +
+    '<v:textbox style="mso-direction-alt:auto">' +
+    '<div style="text-align:left"></div></v:textbox>' +
+    '<x:ClientData ObjectType="Note"><x:MoveWithCells/><x:SizeWithCells/>' +
+    `<x:Anchor>${col + 1}, 15, ${Math.max(row - 1, 0)}, 10, ${col + 3}, ` +
+    `15, ${row + 3}, 4</x:Anchor><x:AutoFill>False</x:AutoFill>` +
+    `<x:Row>${row}</x:Row><x:Column>${col}</x:Column></x:ClientData>` +
+    "</v:shape>"
+  );
+}
+
+// Move the VML shape of a comment by `rows` rows and `cols` columns, and
+// give it a new id
+function _moveNoteShape(shape, id, rows, cols) {
+  return shape
+    .replace(/(<v:shape\b[^>]*?\sid=")[^"]*"/, `$1_x0000_s${id}"`)
+    .replace(
+      /<x:Row>(\d+)<\/x:Row>/,
+      (match, row) => `<x:Row>${parseInt(row, 10) + rows}</x:Row>`
+    )
+    .replace(
+      /<x:Column>(\d+)<\/x:Column>/,
+      (match, col) => `<x:Column>${parseInt(col, 10) + cols}</x:Column>`
+    )
+    .replace(/<x:Anchor>([^<]*)<\/x:Anchor>/, (match, anchor) => {
+      const values = anchor.split(",").map((value) => parseInt(value, 10));
+      [0, 4].forEach((idx) => (values[idx] += cols));
+      [2, 6].forEach((idx) => (values[idx] += rows));
+      return `<x:Anchor>${values.join(", ")}</x:Anchor>`;
+    });
+}
+
+// Build the <rPr> element of a rich text run given as {text, bold, italic,
+// underline, strike, color, size, font}, or null if it has no formatting
+function _runProperties(run) {
+  const props = etree.Element("rPr");
+  if (run.font) {
+    etree.SubElement(props, "rFont", { val: run.font });
+  }
+  if (run.bold) {
+    etree.SubElement(props, "b");
+  }
+  if (run.italic) {
+    etree.SubElement(props, "i");
+  }
+  if (run.strike) {
+    etree.SubElement(props, "strike");
+  }
+  if (run.color) {
+    const rgb = String(run.color).replace(/^#/, "").toUpperCase();
+    etree.SubElement(props, "color", {
+      rgb: rgb.length === 6 ? "FF" + rgb : rgb,
+    });
+  }
+  if (run.size) {
+    etree.SubElement(props, "sz", { val: String(run.size) });
+  }
+  if (run.underline) {
+    etree.SubElement(props, "u", {
+      val: typeof run.underline === "string" ? run.underline : "single",
+    });
+  }
+  return props.len() > 0 ? props : null;
+}
+
+// Replace `length` characters at `start` of the text made of `runs` (a list
+// of {props, text}) by `replacement`. A string replacement takes the
+// formatting of the run where the replaced text starts, a list of runs keeps
+// its own formatting. Returns the new list of runs.
+function _replaceInRuns(runs, start, length, replacement) {
+  const end = start + length;
+  const result = [];
+  let position = 0;
+  let inserted = false;
+
+  runs.forEach((run) => {
+    const runStart = position;
+    const runEnd = position + run.text.length;
+    position = runEnd;
+
+    // Runs outside of the replaced text are kept as they are
+    if (runEnd <= start || runStart >= end) {
+      result.push(run);
+      return;
+    }
+
+    const before = run.text.substring(0, Math.max(0, start - runStart));
+    const after = run.text.substring(Math.max(0, end - runStart));
+    if (before) {
+      result.push({ props: run.props, text: before });
+    }
+    if (!inserted) {
+      if (typeof replacement === "string") {
+        result.push({ props: run.props, text: replacement });
+      } else {
+        result.push(...replacement);
+      }
+      inserted = true;
+    }
+    if (after) {
+      result.push({ props: run.props, text: after });
+    }
+  });
+
+  const nonEmpty = result.filter((run) => run.text !== "");
+  return nonEmpty.length > 0 ? nonEmpty : [{ props: null, text: "" }];
+}
+
+// Split a data path like "a.b[0].c" into segments, array indexes becoming "[]"
+function _pathSegments(path) {
+  return toPath(path).map((segment) =>
+    /^\d+$/.test(segment) ? "[]" : segment
+  );
+}
+
+// Add `leaf` to a JSON-Schema-like `schema` at the path `segments`, creating
+// the objects ("name" segments) and arrays ("[]" segments) on the way
+function _addToSchema(schema, segments, leaf) {
+  let node = schema;
+  segments.forEach((segment) => {
+    if (segment === "[]") {
+      node.type = "array";
+      node.items = node.items || {};
+      node = node.items;
+    } else {
+      node.type = "object";
+      node.properties = node.properties || {};
+      node.properties[segment] = node.properties[segment] || {};
+      node = node.properties[segment];
+    }
+  });
+
+  // Objects and arrays found through other placeholders win over leaves
+  if (!node.properties && !node.items) {
+    assign(node, leaf);
+  }
+}
+
+// The value of a table row: the `key` of the element, or the element itself
+// for tables without keys like `${table:names}` or `${normal:names:down}`
+function _tableValue(element, key) {
+  return key === undefined ? element : get(element, key, "");
+}
+
+// Split a string on `separator`, ignoring separators inside quotes
+function _splitOutsideQuotes(string, separator) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (const char of string) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+// Turn a formatter argument into a value: quoted strings are kept verbatim,
+// bare numbers, booleans and null are converted, anything else is a string
+function _parseFormatterArgument(arg) {
+  const trimmed = arg.trim();
+  const quoted = /^(["'])(.*)\1$/.exec(trimmed);
+  if (quoted) {
+    return quoted[2];
+  }
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (trimmed === "true" || trimmed === "false") {
+    return trimmed === "true";
+  }
+  if (trimmed === "null") {
+    return null;
+  }
+  return trimmed;
+}
+
+// Parse a pipeline segment like `currency:"EUR"` into {name, args}
+function _parseFormatter(segment) {
+  const [name, ...args] = _splitOutsideQuotes(segment.trim(), ":");
+  return {
+    name: name.trim(),
+    args: args.map(_parseFormatterArgument),
+  };
+}
+
+// Copy a placeholder found by `extractPlaceholders()`, with its options and
+// formatters, so that cached placeholders are never changed by those who use
+// them
+function _copyPlaceholder(placeholder) {
+  return assign({}, placeholder, {
+    options: placeholder.options && assign({}, placeholder.options),
+    formatters: placeholder.formatters.map((formatter) => ({
+      name: formatter.name,
+      args: formatter.args.slice(),
+    })),
+  });
+}
+
+// The directives closing a section, as in `${endif}`. They are placeholder
+// types of their own rather than names, so they never read the data.
+const CLOSING_DIRECTIVES = ["endif", "endeach"];
+
+// Parse the options of a placeholder, like `width=120,fit=contain` in
+// `${image:logo(width=120,fit=contain)}`, into an object. Values are read
+// like formatter arguments and options without a value are set to true.
+function _parsePlaceholderOptions(string) {
+  const options = {};
+  _splitOutsideQuotes(string, ",").forEach((option) => {
+    const [name, ...value] = _splitOutsideQuotes(option, "=");
+    if (name.trim() !== "") {
+      options[name.trim()] =
+        value.length > 0 ? _parseFormatterArgument(value.join("=")) : true;
+    }
+  });
+  return options;
+}
+
+// Decide whether a substitution value makes a conditional section visible.
+// Empty arrays count as false, like missing or empty values.
+function _isTruthy(value) {
+  if (value instanceof Array) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+// Compute where the rows `start`..`end` end up once `numRows` rows starting at
+// `fromRow` are removed. Returns null if all of them are removed.
+function _shiftRowSpan(start, end, fromRow, numRows) {
+  const toRow = fromRow + numRows - 1;
+  const shift = (row) => (row > toRow ? row - numRows : row);
+
+  if (start >= fromRow && end <= toRow) {
+    return null;
+  }
+  return {
+    start: start >= fromRow && start <= toRow ? fromRow : shift(start),
+    end: end >= fromRow && end <= toRow ? fromRow - 1 : shift(end),
+  };
+}
+
+// Compute where the rows `start`..`end` end up once `numRows` rows are
+// inserted below the rows `blockStart`..`blockEnd` they repeat. Spans below
+// move down, spans covering the repeated rows grow, others stay.
+function _growRowSpan(start, end, blockStart, blockEnd, numRows) {
+  if (start > blockEnd) {
+    return { start: start + numRows, end: end + numRows };
+  }
+  if (start <= blockStart && end >= blockEnd) {
+    return { start, end: end + numRows };
+  }
+  return { start, end };
+}
+
+// Matches the cell, range, whole-column and whole-row references of a
+// formula, with an optional sheet name. The first group is the character
+// before the reference, so that names and functions like LOG10() are skipped.
+const FORMULA_REFERENCE =
+  /(^|[^A-Za-z0-9_.$'!\[#])((?:'(?:[^']|'')+'|[A-Za-z0-9_.]+)!)?(\$?[A-Z]{1,3}\$?[0-9]+(?::\$?[A-Z]{1,3}\$?[0-9]+)?|\$?[A-Z]{1,3}:\$?[A-Z]{1,3}|\$?[0-9]+:\$?[0-9]+)(?![A-Za-z0-9_(![])/g;
+
+// Split one end of a reference like "$A$1", "A" or "$1" into its parts
+function _splitFormulaRef(ref) {
+  const match = /^(\$?)([A-Z]*)(\$?)([0-9]*)$/.exec(ref);
+  return {
+    colAbsolute: match[1] === "$",
+    col: match[2] ? _charToNum(match[2]) : null,
+    rowAbsolute: match[3] === "$",
+    row: match[4] ? parseInt(match[4], 10) : null,
+  };
+}
+
+function _joinFormulaRef(ref) {
+  return (
+    (ref.col !== null
+      ? (ref.colAbsolute ? "$" : "") + _numToChar(ref.col)
+      : "") + (ref.row !== null ? (ref.rowAbsolute ? "$" : "") + ref.row : "")
+  );
+}
+
+/**
+ * Rewrite the references to the sheet `sheetName` in `formula`, which lives
+ * on the sheet `formulaSheetName`. `transform` receives each reference as
+ * {startRow, endRow, startCol, endCol} (rows are null for whole columns and
+ * columns are null for whole rows) and returns the new positions, or null if
+ * the referenced cells no longer exist. String literals are left untouched.
+ */
+function _rewriteFormula(formula, sheetName, formulaSheetName, transform) {
+  return formula
+    .split('"')
+    .map((part, idx) => {
+      // Odd parts are inside string literals
+      if (idx % 2 === 1) {
+        return part;
+      }
+
+      return part.replace(FORMULA_REFERENCE, (match, before, sheet, ref) => {
+        const target = sheet
+          ? sheet.slice(0, -1).replace(/^'|'$/g, "").replace(/''/g, "'")
+          : formulaSheetName;
+        if (target !== sheetName) {
+          return match;
+        }
+
+        const [startRef, endRef = startRef] = ref.split(":");
+        const start = _splitFormulaRef(startRef);
+        const end = _splitFormulaRef(endRef);
+        const result = transform({
+          startRow: start.row,
+          endRow: end.row,
+          startCol: start.col,
+          endCol: end.col,
+        });
+
+        if (result === null) {
+          return before + (sheet || "") + "#REF!";
+        }
+
+        start.row = result.startRow;
+        start.col = result.startCol;
+        end.row = result.endRow;
+        end.col = result.endCol;
+        return (
+          before +
+          (sheet || "") +
+          _joinFormulaRef(start) +
+          (ref.indexOf(":") !== -1 ? ":" + _joinFormulaRef(end) : "")
+        );
+      });
+    })
+    .join('"');
+}
+
+// The elements of a sheet holding formulas
+const SHEET_FORMULAS = [
+  "sheetData/row/c/f",
+  "conditionalFormatting/cfRule/formula",
+  "dataValidations/dataValidation/formula1",
+  "dataValidations/dataValidation/formula2",
+];
+
+// Rewrite the formulas (of cells, conditional formats and data validations)
+// of the sheet `root`, named `formulaSheetName`, that refer to cells of the
+// sheet `sheetName` with `transform`. Returns whether any formula changed.
+function _rewriteSheetFormulas(root, sheetName, formulaSheetName, transform) {
+  let changed = false;
+  SHEET_FORMULAS.reduce(
+    (formulas, path) => formulas.concat(root.findall(path)),
+    []
+  ).forEach((formula) => {
+    ["text", "ref"].forEach((attr) => {
+      const value = attr === "text" ? formula.text : formula.attrib.ref;
+      if (!value) {
+        return;
+      }
+
+      const newValue = _rewriteFormula(
+        value,
+        sheetName,
+        formulaSheetName,
+        transform
+      );
+      if (newValue !== value) {
+        if (attr === "text") {
+          formula.text = newValue;
+        } else {
+          formula.attrib.ref = newValue;
+        }
+        changed = true;
+      }
+    });
+  });
+  return changed;
+}
+
+// Matches the sheet names before a `!` in a formula, the first group being
+// the character before the name as in FORMULA_REFERENCE
+const SHEET_PREFIX =
+  /(^|[^A-Za-z0-9_.$'!\[#])('(?:[^']|'')+'|[A-Za-z0-9_.]+)!/g;
+
+// Characters Excel does not allow in sheet names
+const INVALID_SHEET_NAME = /[[\]:*?/\\]/;
+
+// The parts that copies of a sheet share with the original instead of
+// getting their own copy, by relationship type
+const SHARED_RELATIONSHIPS = [IMAGE_RELATIONSHIP, PIVOT_CACHE_RELATIONSHIP];
+
+// Quote a sheet name for formulas, unless it is a plain name that cannot be
+// read as a reference
+function _quoteSheetName(name) {
+  return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(name) &&
+    !/^([A-Za-z]{1,3}[0-9]+|[RrCc][0-9]*|[Rr][0-9]*[Cc][0-9]*)$/.test(name)
+    ? name
+    : "'" + name.replace(/'/g, "''") + "'";
+}
+
+// Get the elements of a document properties file that may hold
+// placeholders. The list of sheets of the extended properties is left out,
+// it follows the sheet names.
+function _propertyElements(root) {
+  const sheetTitles = root.findall("TitlesOfParts//*");
+  return root
+    .findall(".//*")
+    .filter((element) => element.text && sheetTitles.indexOf(element) === -1);
+}
+
+// Replace the sheet `oldName` by `newName` in the references of `formula`,
+// or by #REF! if `newName` is null. String literals are left untouched.
+function _renameSheetInFormula(formula, oldName, newName) {
+  return formula
+    .split('"')
+    .map((part, idx) =>
+      idx % 2 === 1
+        ? part
+        : part.replace(SHEET_PREFIX, (match, before, sheet) =>
+            sheet.replace(/^'|'$/g, "").replace(/''/g, "'") === oldName
+              ? before +
+                (newName === null ? "#REF" : _quoteSheetName(newName)) +
+                "!"
+              : match
+          )
+    )
+    .join('"');
+}
+
+// The names of the sheets the references of a formula name, outside of its
+// string literals
+function _referencedSheets(formula) {
+  const sheetNames = [];
+  (formula || "").split('"').forEach((part, idx) => {
+    if (idx % 2 === 0) {
+      part.replace(SHEET_PREFIX, (match, before, sheet) => {
+        sheetNames.push(sheet.replace(/^'|'$/g, "").replace(/''/g, "'"));
+        return match;
+      });
+    }
+  });
+  return sheetNames;
+}
+
+// Whether the <sheet> element of a workbook is shown
+function _isVisibleSheet(element) {
+  return !element.attrib.state || element.attrib.state === "visible";
+}
+
+// Resolve the target of a relationship of a part in `directory` to the name
+// of the target part in the archive
+function _relTarget(directory, target) {
+  return target[0] === "/"
+    ? target.substring(1)
+    : path.join(directory, target).replace(/\\/g, "/");
+}
+
 /**
  * Create a new workbook. Either pass the raw data of a .xlsx file,
  * or call `loadTemplate()` later.
@@ -98,6 +790,10 @@ class Workbook {
     this.archive = null;
     this.sharedStrings = [];
     this.sharedStringsLookup = {};
+    // Runs ({props, text}) of the shared strings with rich text, by index
+    this.sharedStringsRich = [];
+    // Original <si> elements, written back as long as the string is untouched
+    this.sharedStringElements = [];
     this.option = assign(
       {
         moveImages: false,
@@ -107,12 +803,28 @@ class Workbook {
         pushDownPageBreakOnTableSubstitution: false,
         imageRootPath: null,
         handleImageError: null,
+        formatters: {},
+        strict: false,
+        imageLoader: null,
+        commentAuthor: "",
+        rowStyle: null,
+        styles: {},
       },
       option
     );
+    // Built-in formatters, possibly overridden by custom ones from the options
+    this.formatters = assign({}, builtInFormatters, this.option.formatters);
+    // Loaders tried in turn to turn image values into Buffers
+    this.imageLoaders = [].concat(this.option.imageLoader || []);
     this.sharedStringsPath = "";
     this.sheets = [];
     this.sheet = null;
+    // Images placed by the current substitution, already at their final rows
+    this.placedImages = new WeakSet();
+    // Moves of the rows and columns of the running substitution, applied to
+    // the formulas of the other sheets once it is done, see
+    // `updateFormulaReferences()`
+    this.formulaTransforms = null;
     this.workbook = null;
     this.workbookPath = null;
     this.contentTypes = null;
@@ -120,6 +832,43 @@ class Workbook {
     this.workbookRels = null;
     this.calChainRel = null;
     this.calcChainPath = "";
+    // Problems found in strict mode by the running substitution
+    this.diagnostics = null;
+    // Links and comments from the data of the running substitution, see
+    // `addHyperlink()` and `addComment()`
+    this.hyperlinks = null;
+    this.cellComments = null;
+    // Alternate rows of the tables of the running substitution, see
+    // `findAlternateRows()`, and the styles given to the rows of the tables
+    // by the `rowStyle` option, by array
+    this.alternateRows = null;
+    this.tableRowStyles = null;
+    // Parsed parts and placeholders shared by the workbooks of a compiled
+    // template, see `compile()`
+    this.parsedParts = null;
+    this.placeholderCache = null;
+    // Cell formats added for the styles of values, see `cellStyle()`
+    this.cellStyles = new Map();
+    // Styles part that the running substitution adds cell formats to, with
+    // the positions of its elements, see `cellStyle()`
+    this.styles = null;
+  }
+
+  /**
+   * Load a .xlsx file without blocking, from a file path, a byte array or a
+   * readable stream. Returns a promise.
+   */
+  async loadTemplateAsync(data) {
+    if (data && typeof data.pipe === "function") {
+      data = await _readStream(data);
+    } else if (typeof data === "string") {
+      const stats = await fs.promises.stat(data).catch(() => null);
+      if (stats !== null && stats.isFile()) {
+        data = await fs.promises.readFile(data);
+      }
+    }
+
+    this.loadTemplate(data);
   }
 
   /**
@@ -133,6 +882,7 @@ class Workbook {
     }
 
     this.archive = new JSZip(data, { base64: false, checkCRC32: true });
+    this.cellStyles = new Map();
 
     // Load relationships
     const rels = etree
@@ -181,203 +931,1128 @@ class Workbook {
         "Relationship[@Type='" + SHARED_STRINGS_RELATIONSHIP + "']"
       ).attrib.Target;
     this.sharedStrings = [];
+    this.sharedStringsLookup = {};
+    this.sharedStringsRich = [];
+    this.sharedStringElements = [];
     etree
       .parse(this.archive.file(this.sharedStringsPath).asText())
       .getroot()
       .findall("si")
       .forEach((si) => {
-        const t = { text: "" };
-        si.findall("t").forEach((tmp) => {
-          t.text += tmp.text;
-        });
-        si.findall("r/t").forEach((tmp) => {
-          t.text += tmp.text;
+        // Keep the formatted runs, placeholders are replaced within them
+        const runs = si.findall("t").map((tmp) => ({
+          props: null,
+          text: tmp.text || "",
+        }));
+        si.findall("r").forEach((r) => {
+          const t = r.find("t");
+          runs.push({
+            props: r.find("rPr"),
+            text: (t && t.text) || "",
+          });
         });
-        this.sharedStrings.push(t.text);
-        this.sharedStringsLookup[t.text] = this.sharedStrings.length - 1;
+
+        const text = runs.map((run) => run.text).join("");
+        const idx = this.sharedStrings.length;
+        this.sharedStrings.push(text);
+        this.sharedStringElements[idx] = si;
+        if (si.find("r") !== null) {
+          this.sharedStringsRich[idx] = runs;
+        } else {
+          this.sharedStringsLookup[text] = idx;
+        }
       });
 
     this.contentTypes = etree
       .parse(this.archive.file("[Content_Types].xml").asText())
       .getroot();
-    if (this.contentTypes.find('Default[@Extension="jpg"]') === null) {
-      etree.SubElement(this.contentTypes, "Default", {
-        ContentType: "image/png",
-        Extension: "jpg",
-      });
-    }
+  }
+
+  // Save what substitutions change in the workbook: the parts of the archive
+  // (shared, since parts are replaced rather than modified) and the parsed
+  // workbook, relationships, content types, sheets and shared strings
+  _saveState() {
+    return {
+      files: assign({}, this.archive.files),
+      workbookPath: this.workbookPath,
+      prefix: this.prefix,
+      sheets: this.sheets.map((sheet) => assign({}, sheet)),
+      calcChainPath: this.calcChainPath,
+      sharedStringsPath: this.sharedStringsPath,
+      sharedStrings: this.sharedStrings.slice(),
+      sharedStringsLookup: assign({}, this.sharedStringsLookup),
+      sharedStringsRich: this.sharedStringsRich.slice(),
+      sharedStringElements: this.sharedStringElements.slice(),
+      workbook: this.cloneElement(this.workbook, true),
+      workbookRels: this.cloneElement(this.workbookRels, true),
+      contentTypes: this.cloneElement(this.contentTypes, true),
+      cellStyles: new Map(this.cellStyles),
+    };
+  }
+
+  // Put the workbook back in a state saved by `_saveState()`, which can be
+  // restored again
+  _restoreState(state) {
+    this.archive.files = assign({}, state.files);
+    this.workbookPath = state.workbookPath;
+    this.prefix = state.prefix;
+    this.sheets = state.sheets.map((sheet) => assign({}, sheet));
+    this.calcChainPath = state.calcChainPath;
+    this.sharedStringsPath = state.sharedStringsPath;
+    this.sharedStrings = state.sharedStrings.slice();
+    this.sharedStringsLookup = assign({}, state.sharedStringsLookup);
+    this.sharedStringsRich = state.sharedStringsRich.slice();
+    this.sharedStringElements = state.sharedStringElements.slice();
+    this.workbook = this.cloneElement(state.workbook, true);
+    this.workbookRels = this.cloneElement(state.workbookRels, true);
+    this.contentTypes = this.cloneElement(state.contentTypes, true);
+    this.cellStyles = new Map(state.cellStyles);
+    this.calChainRel = this.workbookRels.find(
+      "Relationship[@Type='" + CALC_CHAIN_RELATIONSHIP + "']"
+    );
+  }
+
+  /**
+   * Compile the loaded template so that it can be rendered many times. The
+   * returned object parses the template once; each call to its
+   * `render(data)` fills a fresh copy and leaves the template untouched.
+   */
+  compile() {
+    return new CompiledTemplate(this);
   }
 
   /**
-   * Delete unused sheets if needed
+   * Delete a sheet, with its local defined names and the parts that only it
+   * uses (tables, drawings, comments...). Formulas and defined names that
+   * refer to it get #REF! instead. The last visible sheet cannot be deleted.
    */
   deleteSheet(sheetName) {
     const sheet = this.loadSheet(sheetName);
+    const visible = this.workbook
+      .findall("sheets/sheet")
+      .filter((element) => _isVisibleSheet(element));
+    if (
+      visible.length === 1 &&
+      visible[0].attrib.sheetId === String(sheet.id)
+    ) {
+      throw new Error(`Cannot delete ${sheet.name}, the last visible sheet`);
+    }
 
-    const sh = this.workbook.find("sheets/sheet[@sheetId='" + sheet.id + "']");
-    this.workbook.find("sheets").remove(sh);
+    this.renameSheetReferences(sheet.name, null);
+    this.removeSheet(sheet);
+    return this;
+  }
 
-    const rel = this.workbookRels.find(
-      "Relationship[@Id='" + sh.attrib["r:id"] + "']"
+  /**
+   * Clone sheets in current workbook template. The copy is added after the
+   * other sheets, see `repeatSheet()` for what is copied.
+   */
+  copySheet(sheetName, copyName) {
+    const sheet = this.loadSheet(sheetName);
+    this.cloneSheet(
+      sheet,
+      copyName || "Sheet" + (this.sheets.length + 1),
+      this.sheets.length
     );
-    this.workbookRels.remove(rel);
-
-    this._rebuild();
     return this;
   }
 
   /**
-   * Clone sheets in current workbook template
+   * Import a sheet of another workbook, e.g. a cover sheet kept in its own
+   * template. The sheet comes with its styles, shared strings, drawings,
+   * images, charts, comments, tables (renamed if their name is taken) and
+   * defined names. Options:
+   *
+   * - `name`: the name of the sheet in this workbook, by default its name in
+   *   `source`.
+   * - `position`: the 1-based position of the sheet, by default after the
+   *   other sheets.
    */
-  copySheet(sheetName, copyName, binary = true) {
-    const sheet = this.loadSheet(sheetName); //filename, name , id, root
-    const newSheetIndex = (
-      this.workbook.findall("sheets/sheet").length + 1
-    ).toString();
-    const fileName = "worksheets" + "/" + "sheet" + newSheetIndex + ".xml";
-    const arcName = this.prefix + "/" + fileName;
-    // Copy sheet file
-    this.archive.file(arcName, etree.tostring(sheet.root));
-    this.archive.files[arcName].options.binary = binary;
-    // copy sheet name in workbook
-    const newSheet = etree.SubElement(this.workbook.find("sheets"), "sheet");
-    newSheet.attrib.name = copyName || "Sheet" + newSheetIndex;
-    newSheet.attrib.sheetId = newSheetIndex;
-    newSheet.attrib["r:id"] = "rId" + newSheetIndex;
-    // Copy definedName if any
-    this.workbook.findall("definedNames/definedName").forEach((element) => {
-      if (
-        element.text &&
-        element.text.split("!").length &&
-        element.text.split("!")[0] == sheetName
-      ) {
-        const newDefinedName = etree.SubElement(
-          this.workbook.find("definedNames"),
-          "definedName",
-          element.attrib
-        );
-        newDefinedName.text = `${copyName}!${element.text.split("!")[1]}`;
-        newDefinedName.attrib.localSheetId = newSheetIndex - 1;
-      }
-    });
-
-    const newRel = etree.SubElement(this.workbookRels, "Relationship");
-    newRel.attrib.Type =
-      "http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet";
-    newRel.attrib.Target = fileName;
-
-    //Copy rels sheet - TODO : Maybe we can copy also the 'Target' files in rels, but Excel make this automaticly
-    const relFileName =
-      "worksheets" + "/_rels/" + "sheet" + newSheetIndex + ".xml.rels";
-    const relArcName = this.prefix + "/" + relFileName;
-    this.archive.file(
-      relArcName,
-      etree.tostring(this.loadSheetRels(sheet.filename).root)
-    );
-    this.archive.files[relArcName].options.binary = true;
+  importSheet(source, sheetName, options = {}) {
+    const sheet = source.loadSheet(sheetName);
+    const position =
+      options.position === undefined
+        ? this.sheets.length
+        : Math.min(Math.max(options.position - 1, 0), this.sheets.length);
+    this.cloneSheet(sheet, options.name || sheet.name, position, source);
+    return this;
+  }
 
-    this._rebuild();
+  /**
+   * Rename a sheet. Defined names, formulas, charts, pivot caches and
+   * internal hyperlinks that refer to it follow the new name.
+   */
+  renameSheet(sheetName, newName) {
+    this.setSheetName(this.loadSheet(sheetName), newName);
+    this.writeWorkbook();
     return this;
   }
 
   /**
-   *  Partially rebuild after copy/delete sheets
+   * Move a sheet to `position` (1-based) in the list of sheets.
    */
-  _rebuild() {
-    //each <sheet> 'r:id' attribute in '\xl\workbook.xml'
-    //must point to correct <Relationship> 'Id' in xl\_rels\workbook.xml.rels
-    const order = ["worksheet", "theme", "styles", "sharedStrings"];
+  moveSheet(sheetName, position) {
+    const sheet = this.loadSheet(sheetName);
+    const sheets = this.workbook.find("sheets");
+    const children = sheets.getchildren().slice();
+    const from = children.findIndex(
+      (element) => element.attrib.sheetId === String(sheet.id)
+    );
+    const to = Math.min(Math.max(position - 1, 0), children.length - 1);
 
-    this.workbookRels
-      .findall("*")
-      .sort((rel1, rel2) => {
-        //using order
-        const index1 = order.indexOf(path.basename(rel1.attrib.Type));
-        const index2 = order.indexOf(path.basename(rel2.attrib.Type));
-        // If the attrib.Type is not in the order list, go to the end of sort
-        // Maybe we can do it more gracefully with the boolean operator
-        if (index1 < 0 && index2 >= 0) return 1; // rel1 go after rel2
-        if (index1 >= 0 && index2 < 0) return -1; // rel1 go before rel2
-        if (index1 < 0 && index2 < 0) return 0; // change nothing
-
-        if (index1 + index2 == 0) {
-          if (rel1.attrib.Id && rel2.attrib.Id)
-            return rel1.attrib.Id.substring(3) - rel2.attrib.Id.substring(3);
-          return rel1._id - rel2._id;
-        }
-        return index1 - index2;
-      })
-      .forEach((item, index) => {
-        item.attrib.Id = "rId" + (index + 1);
-      });
+    const moved = children.slice();
+    moved.splice(to, 0, moved.splice(from, 1)[0]);
+    this.updateSheetPositions((idx) => moved.indexOf(children[idx]));
+    this.replaceChildren(sheets, moved);
 
-    this.workbook.findall("sheets/sheet").forEach((item, index) => {
-      item.attrib["r:id"] = "rId" + (index + 1);
-      item.attrib.sheetId = (index + 1).toString();
-    });
+    this.writeWorkbook();
+    return this;
+  }
 
-    this.archive.file(
-      this.prefix +
-        "/" +
-        "_rels" +
-        "/" +
-        path.basename(this.workbookPath) +
-        ".rels",
-      etree.tostring(this.workbookRels)
-    );
-    this.archive.file(this.workbookPath, etree.tostring(this.workbook));
-    this.sheets = this.loadSheets(
-      this.prefix,
-      this.workbook,
-      this.workbookRels
-    );
+  /**
+   * Hide a sheet. Users can show it again from Excel.
+   */
+  hideSheet(sheetName) {
+    return this.setSheetState(sheetName, "hidden");
   }
 
   /**
-   * Interpolate values for all the sheets using the given substitutions
-   * (an object).
+   * Hide a sheet so that users cannot show it again from Excel (only from
+   * the VBA editor).
    */
-  substituteAll(substitutions) {
-    const sheets = this.loadSheets(
-      this.prefix,
-      this.workbook,
-      this.workbookRels
-    );
-    sheets.forEach((sheet) => {
-      this.substitute(sheet.id, substitutions);
-    });
+  veryHideSheet(sheetName) {
+    return this.setSheetState(sheetName, "veryHidden");
   }
 
   /**
-   * Interpolate values for the sheet with the given number (1-based) or
-   * name (if a string) using the given substitutions (an object).
+   * Show a hidden sheet.
    */
-  substitute(sheetName, substitutions) {
-    const sheet = this.loadSheet(sheetName);
-    this.sheet = sheet;
+  showSheet(sheetName) {
+    return this.setSheetState(sheetName, "visible");
+  }
 
-    const dimension = sheet.root.find("dimension");
-    const sheetData = sheet.root.find("sheetData");
-    const namedTables = this.loadTables(sheet.root, sheet.filename);
-    const rows = [];
+  // Change the visibility of a sheet. At least one sheet must stay visible,
+  // and the active sheet is moved to a visible one.
+  setSheetState(sheetName, state) {
+    const sheet = this.loadSheet(sheetName);
+    const elements = this.workbook.findall("sheets/sheet");
+    const element = elements.find(
+      (other) => other.attrib.sheetId === String(sheet.id)
+    );
+    if (
+      state !== "visible" &&
+      elements.every((other) => other === element || !_isVisibleSheet(other))
+    ) {
+      throw new Error(`Cannot hide ${sheet.name}, the last visible sheet`);
+    }
 
-    let currentRow = null;
-    let totalRowsInserted = 0;
-    let totalColumnsInserted = 0;
-    let drawing = null;
+    if (state === "visible") {
+      delete element.attrib.state;
+    } else {
+      element.attrib.state = state;
+    }
+    this.updateActiveSheet();
+    this.writeWorkbook();
+    return this;
+  }
 
-    const rels = this.loadSheetRels(sheet.filename);
-    sheetData.findall("row").forEach((row) => {
-      row.attrib.r = currentRow = this.getCurrentRow(row, totalRowsInserted);
-      rows.push(row);
+  /**
+   * Add a copy of the sheet `sheetName` for each element of `records` and
+   * substitute the element in its copy, e.g. one sheet per region with
+   * `repeatSheet("Template", regions, { name: (region) => region.name })`.
+   * The copies follow the template sheet and get their own drawings, charts,
+   * tables, comments and defined names. Options:
+   *
+   * - `name(record, index)`: the name of each copy. By default, the
+   *   placeholders of the name of the template sheet are substituted, or a
+   *   number is added to it, as in "Template (1)".
+   * - `removeTemplate`: remove the template sheet once copied.
+   *
+   * Returns the problems found like `substitute()`.
+   */
+  repeatSheet(sheetName, records, options = {}) {
+    const state = this._saveStrictState();
+    const template = this.loadSheet(sheetName);
+    const position = this.sheets.findIndex((info) => info.id === template.id);
+
+    const copies = records.map((record, idx) => {
+      let name = options.name
+        ? String(options.name(record, idx))
+        : this.substituteText(template.name, record, null);
+      if (!options.name && name === template.name) {
+        name = `${template.name} (${idx + 1})`;
+      }
+      return this.cloneSheet(template, name, position + idx + 1);
+    });
 
-      const cells = [];
-      const newTableRows = [];
-      const cellsForsubstituteTable = []; // Contains all the row cells when substitute tables
+    const diagnostics = [];
+    copies.forEach((id, idx) => {
+      diagnostics.push(...this._substituteSheet(id, records[idx]));
+    });
 
-      let cellsInserted = 0;
+    if (options.removeTemplate) {
+      // The copies have their own copy of the global names that only refer
+      // to the template, which would be left pointing at #REF!
+      const definedNames = this.workbook.find("definedNames");
+      if (copies.length > 0 && definedNames !== null) {
+        definedNames.findall("definedName").forEach((definedName) => {
+          const sheetNames = _referencedSheets(definedName.text);
+          if (
+            definedName.attrib.localSheetId === undefined &&
+            sheetNames.length > 0 &&
+            sheetNames.every((name) => name === template.name)
+          ) {
+            definedNames.remove(definedName);
+          }
+        });
+      }
+      this.deleteSheet(template.id);
+    }
+    return this.checkDiagnostics(diagnostics, state);
+  }
 
-      row.findall("c").forEach((cell) => {
+  // Add a copy of a sheet named `name` at `position` in the list of sheets,
+  // with copies of its parts, and return the id of the new sheet. The copy
+  // gets its own names for the tables and the local defined names of the
+  // original, and its formulas, charts and internal hyperlinks refer to it
+  // instead of the original. The sheet may come from the workbook `source`,
+  // whose styles and shared strings are then copied as needed.
+  cloneSheet(sheet, name, position, source = this) {
+    this.checkSheetName(name, null);
+    const clones = new Map();
+    const filename = this.clonePart(sheet.filename, clones, source);
+    const styles = source === this ? null : this.importStyles(source);
+
+    const copies = Array.from(clones.values());
+    const copiesOfType = (contentType) =>
+      copies.filter((copy) => this.contentTypeOf(copy) === contentType);
+
+    // Tables get new ids and names, unique in the workbook
+    const tableFiles = Object.keys(this.archive.files).filter(
+      (file) =>
+        this.contentTypeOf(file) ===
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"
+    );
+    const tables = tableFiles.map((file) =>
+      etree.parse(this.archive.file(file).asText()).getroot()
+    );
+    const tableNames = tables
+      .filter((table, idx) => copies.indexOf(tableFiles[idx]) === -1)
+      .map((table) => table.attrib.name)
+      .concat(
+        this.workbook
+          .findall("definedNames/definedName")
+          .map((definedName) => definedName.attrib.name)
+      )
+      .map((tableName) => (tableName || "").toLowerCase());
+    let tableId = Math.max(
+      0,
+      ...tables.map((table) => parseInt(table.attrib.id, 10) || 0)
+    );
+    const renamedTables = [];
+    copiesOfType(
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml"
+    ).forEach((copy) => {
+      const root = etree.parse(this.archive.file(copy).asText()).getroot();
+      const oldName = root.attrib.name;
+      let newName = oldName;
+      for (let n = 2; tableNames.indexOf(newName.toLowerCase()) !== -1; ++n) {
+        newName = `${oldName}_${n}`;
+      }
+      tableNames.push(newName.toLowerCase());
+      if (newName !== oldName) {
+        renamedTables.push({ oldName, newName });
+      }
+      root.attrib.id = String(++tableId);
+      root.attrib.name = newName;
+      root.attrib.displayName = newName;
+      if (styles !== null) {
+        [root]
+          .concat(root.findall("tableColumns/tableColumn"))
+          .forEach((element) => {
+            Object.keys(element.attrib)
+              .filter((attr) => /DxfId$/.test(attr))
+              .forEach((attr) => {
+                element.attrib[attr] = String(
+                  styles.importer.differentialFormat(
+                    parseInt(element.attrib[attr], 10)
+                  )
+                );
+              });
+          });
+      }
+      this.archive.file(copy, etree.tostring(root));
+    });
+
+    // Note shapes get their own blocks of ids, one for each block of the
+    // original
+    copiesOfType(
+      "application/vnd.openxmlformats-officedocument.vmlDrawing"
+    ).forEach((copy) => {
+      const vml = this.archive.file(copy).asText();
+      const idmap = /(<o:idmap\b[^>]*\bdata=")([\d,]*)/.exec(vml);
+      if (idmap === null) {
+        return;
+      }
+      const blocks = idmap[2]
+        .split(",")
+        .map((block) => parseInt(block, 10))
+        .filter((block) => !isNaN(block));
+      const claimed = [];
+      blocks.forEach(() => claimed.push(this.nextVmlBlock(claimed)));
+      this.archive.file(
+        copy,
+        vml
+          .replace(idmap[0], idmap[1] + claimed.join(","))
+          .replace(/_x0000_s(\d+)/g, (match, id) => {
+            const idx = blocks.indexOf(Math.floor(parseInt(id, 10) / 1024));
+            return idx === -1
+              ? match
+              : "_x0000_s" + (claimed[idx] * 1024 + (parseInt(id, 10) % 1024));
+          })
+      );
+    });
+
+    // Refer to the copy in its formulas and hyperlinks, and in its charts.
+    // References to the sheets of `source` that this workbook does not have
+    // become #REF!, as if these sheets were deleted.
+    const sheetNames = this.workbook
+      .findall("sheets/sheet")
+      .map((element) => element.attrib.name.toLowerCase());
+    const renameSheets = (formula) =>
+      _referencedSheets(formula).reduce(
+        (result, sheetName) =>
+          sheetName === name ||
+          sheetNames.indexOf(sheetName.toLowerCase()) !== -1
+            ? result
+            : _renameSheetInFormula(result, sheetName, null),
+        _renameSheetInFormula(formula, sheet.name, name)
+      );
+    const rename = (formula) =>
+      renamedTables.reduce(
+        (result, table) =>
+          result
+            .split('"')
+            .map((part, idx) =>
+              idx % 2 === 1
+                ? part
+                : part.replace(
+                    new RegExp(
+                      "(^|[^A-Za-z0-9_.])" +
+                        escapeRegExp(table.oldName) +
+                        "\\[",
+                      "gi"
+                    ),
+                    (match, before) => before + table.newName + "["
+                  )
+            )
+            .join('"'),
+        renameSheets(formula)
+      );
+    const root = etree.parse(this.archive.file(filename).asText()).getroot();
+    SHEET_FORMULAS.reduce(
+      (formulas, tag) => formulas.concat(root.findall(tag)),
+      []
+    ).forEach((formula) => {
+      if (formula.text) {
+        formula.text = rename(formula.text);
+      }
+    });
+    root.findall("hyperlinks/hyperlink").forEach((hyperlink) => {
+      if (hyperlink.attrib.location) {
+        hyperlink.attrib.location = rename(hyperlink.attrib.location);
+      }
+    });
+    // Only one sheet can be selected, or the sheets would be grouped
+    root.findall("sheetViews/sheetView").forEach((view) => {
+      delete view.attrib.tabSelected;
+    });
+    if (styles !== null) {
+      this.importSheetData(source, root, styles);
+    }
+    this.archive.file(filename, etree.tostring(root));
+    copiesOfType(
+      "application/vnd.openxmlformats-officedocument.drawingml.chart+xml"
+    ).forEach((copy) => {
+      const chart = etree.parse(this.archive.file(copy).asText()).getroot();
+      chart.findall(".//c:f").forEach((formula) => {
+        if (formula.text) {
+          formula.text = rename(formula.text);
+        }
+      });
+      this.archive.file(copy, etree.tostring(chart));
+    });
+
+    // Add the sheet to the workbook
+    const relId =
+      "rId" +
+      this.findMaxId(this.workbookRels, "Relationship", "Id", /rId(\d*)/);
+    etree.SubElement(this.workbookRels, "Relationship", {
+      Id: relId,
+      Type: WORKSHEET_RELATIONSHIP,
+      Target: path.relative(this.prefix, filename).replace(/\\/g, "/"),
+    });
+    const sheetId = this.findMaxId(
+      this.workbook,
+      "sheets/sheet",
+      "sheetId",
+      /(\d+)/
+    );
+    // Copy the names local to the original, and the global names that only
+    // refer to it. These stay global if this workbook has no global name
+    // like them, and are local to the copy otherwise.
+    const original = source.workbook
+      .findall("sheets/sheet")
+      .findIndex((element) => element.attrib.sheetId === String(sheet.id));
+    const sourceNames = source.workbook.findall("definedNames/definedName");
+    const localNames = sourceNames
+      .filter(
+        (definedName) => definedName.attrib.localSheetId === String(original)
+      )
+      .map((definedName) => definedName.attrib.name);
+    const globalNames = this.workbook
+      .findall("definedNames/definedName")
+      .filter((definedName) => definedName.attrib.localSheetId === undefined)
+      .map((definedName) => definedName.attrib.name);
+    const names = [];
+    sourceNames.forEach((definedName) => {
+      const local = definedName.attrib.localSheetId;
+      if (local === undefined) {
+        const sheetNames = _referencedSheets(definedName.text);
+        if (
+          sheetNames.length === 0 ||
+          sheetNames.some((sheetName) => sheetName !== sheet.name) ||
+          localNames.indexOf(definedName.attrib.name) !== -1
+        ) {
+          return;
+        }
+      } else if (local !== String(original)) {
+        return;
+      }
+      const attrib = assign({}, definedName.attrib);
+      delete attrib.localSheetId;
+      if (
+        local !== undefined ||
+        globalNames.indexOf(definedName.attrib.name) !== -1
+      ) {
+        attrib.localSheetId = String(position);
+      }
+      names.push({
+        attrib,
+        text: definedName.text && rename(definedName.text),
+      });
+    });
+
+    const sheets = this.workbook.find("sheets");
+    const children = sheets.getchildren().slice();
+    this.updateSheetPositions((idx) => (idx >= position ? idx + 1 : idx));
+    children.splice(
+      position,
+      0,
+      etree.Element("sheet", { name, sheetId: String(sheetId), "r:id": relId })
+    );
+    this.replaceChildren(sheets, children);
+
+    if (names.length > 0 && this.workbook.find("definedNames") === null) {
+      // The defined names follow the sheets and the external references
+      const workbookChildren = this.workbook.getchildren().slice();
+      const previous = workbookChildren.filter(
+        (child) =>
+          ["sheets", "functionGroups", "externalReferences"].indexOf(
+            child.tag
+          ) !== -1
+      );
+      workbookChildren.splice(
+        workbookChildren.indexOf(previous[previous.length - 1]) + 1,
+        0,
+        etree.Element("definedNames")
+      );
+      this.replaceChildren(this.workbook, workbookChildren);
+    }
+    names.forEach(({ attrib, text }) => {
+      etree.SubElement(
+        this.workbook.find("definedNames"),
+        "definedName",
+        attrib
+      ).text = text;
+    });
+
+    if (styles !== null) {
+      this.archive.file(styles.filename, etree.tostring(styles.root));
+      this.writeSharedStrings();
+    }
+    this.writeWorkbook();
+    return sheetId;
+  }
+
+  // Load the styles of this workbook, to copy the formats of the workbook
+  // `source` in them
+  importStyles(source) {
+    const root = this.parsePart(this.stylesFilename());
+    return {
+      filename: this.stylesFilename(),
+      root,
+      importer: createStyleImporter(
+        root,
+        source.parsePart(source.stylesFilename()),
+        (element) => this.cloneElement(element, true)
+      ),
+    };
+  }
+
+  // Get the filename of the styles of the workbook
+  stylesFilename() {
+    return (
+      this.prefix +
+      "/" +
+      this.workbookRels.find(
+        "Relationship[@Type='" + STYLES_RELATIONSHIP + "']"
+      ).attrib.Target
+    );
+  }
+
+  // Get the index of the cell format `index` of the template modified by
+  // `style` (see `addCellFormat()`), adding it to the styles if needed
+  cellStyle(index, style) {
+    const key = index + ":" + JSON.stringify(style);
+    if (!this.cellStyles.has(key)) {
+      if (this.styles === null) {
+        this.styles = {
+          root: this.parsePart(this.stylesFilename()),
+          keys: new Map(),
+        };
+      }
+      this.cellStyles.set(
+        key,
+        addCellFormat(
+          this.styles.root,
+          index,
+          style,
+          (element) => this.cloneElement(element, true),
+          this.styles.keys
+        )
+      );
+    }
+    return this.cellStyles.get(key);
+  }
+
+  // Write the styles part changed by the running substitution, if any
+  writeStyles() {
+    if (this.styles !== null) {
+      this.archive.file(
+        this.stylesFilename(),
+        etree.tostring(this.styles.root)
+      );
+      this.styles = null;
+    }
+  }
+
+  // Apply the comment and the style of a value like {value, comment, style}
+  // to a cell, and return the value itself
+  cellValueOf(cell, substitution) {
+    if (_isStyled(substitution)) {
+      cell.attrib.s = String(
+        this.cellStyle(parseInt(cell.attrib.s, 10) || 0, substitution.style)
+      );
+    }
+    if (_isCommented(substitution)) {
+      this.addComment(cell, substitution.comment);
+    }
+    return _isStyled(substitution) || _isCommented(substitution)
+      ? substitution.value
+      : substitution;
+  }
+
+  // Make a sheet copied from the workbook `source` use the formats and the
+  // shared strings of this workbook
+  importSheetData(source, root, styles) {
+    const importStyle = (element, attr) => {
+      if (element.attrib[attr] !== undefined) {
+        element.attrib[attr] = String(
+          styles.importer.cellFormat(parseInt(element.attrib[attr], 10))
+        );
+      }
+    };
+    root.findall("cols/col").forEach((col) => importStyle(col, "style"));
+    root.findall("sheetData/row").forEach((row) => {
+      importStyle(row, "s");
+      row.findall("c").forEach((cell) => {
+        importStyle(cell, "s");
+        const cellValue = cell.find("v");
+        if (cell.attrib.t !== "s" || cellValue === null) {
+          return;
+        }
+        const idx = parseInt(cellValue.text, 10);
+        if (source.sharedStringsRich[idx]) {
+          cellValue.text = String(
+            this.addRichString(source.sharedStringsRich[idx])
+          );
+        } else if (source.sharedStrings[idx] !== undefined) {
+          cellValue.text = String(this.stringIndex(source.sharedStrings[idx]));
+        }
+      });
+    });
+    root.findall("conditionalFormatting/cfRule").forEach((rule) => {
+      if (rule.attrib.dxfId !== undefined) {
+        rule.attrib.dxfId = String(
+          styles.importer.differentialFormat(parseInt(rule.attrib.dxfId, 10))
+        );
+      }
+    });
+  }
+
+  // Get the content type of a part of the archive
+  contentTypeOf(filename) {
+    const override = this.contentTypes.find(
+      "Override[@PartName='/" + filename + "']"
+    );
+    if (override !== null) {
+      return override.attrib.ContentType;
+    }
+    const extension = this.contentTypes.find(
+      "Default[@Extension='" + path.extname(filename).slice(1) + "']"
+    );
+    return extension === null ? null : extension.attrib.ContentType;
+  }
+
+  // Copy a part under a new name like its own (`xl/tables/table2.xml` may be
+  // copied as `xl/tables/table5.xml`), with copies of the parts it refers
+  // to, except for the SHARED_RELATIONSHIPS. `clones` maps the parts copied
+  // so far to their copies. Returns the name of the copy. Parts of another
+  // workbook `source` are copied with all the parts they refer to, but pivot
+  // tables, which would need the pivot caches of that workbook.
+  clonePart(filename, clones, source = this) {
+    if (clones.has(filename)) {
+      return clones.get(filename);
+    }
+
+    const sourceDirectory = path.dirname(filename);
+    const directory =
+      source === this
+        ? sourceDirectory
+        : path
+            .join(this.prefix, path.relative(source.prefix, sourceDirectory))
+            .replace(/\\/g, "/");
+    const [, base, extension] = /^(.*?)\d*(\.[^.]*)?$/.exec(
+      path.basename(filename)
+    );
+    const copyName =
+      directory +
+      "/" +
+      base +
+      this.findMaxFileId(
+        new RegExp(
+          "^" +
+            escapeRegExp(directory + "/" + base) +
+            "\\d+" +
+            escapeRegExp(extension || "") +
+            "$"
+        ),
+        new RegExp("(\\d+)" + escapeRegExp(extension || "") + "$")
+      ) +
+      (extension || "");
+    clones.set(filename, copyName);
+    this.archive.file(copyName, source.archive.file(filename).asBinary(), {
+      binary: true,
+    });
+
+    const override = source.contentTypes.find(
+      "Override[@PartName='/" + filename + "']"
+    );
+    if (override !== null) {
+      this.addContentType("/" + copyName, override.attrib.ContentType);
+    } else if (source !== this && source.contentTypeOf(filename) !== null) {
+      this.addDefaultContentType(
+        path.extname(filename).slice(1),
+        source.contentTypeOf(filename)
+      );
+    }
+
+    const relsName = (name) =>
+      path.dirname(name) + "/_rels/" + path.basename(name) + ".rels";
+    const relsFile = source.archive.file(relsName(filename));
+    if (relsFile !== null) {
+      const rels = etree.parse(relsFile.asText()).getroot();
+      rels.findall("Relationship").forEach((rel) => {
+        const target = _relTarget(sourceDirectory, rel.attrib.Target);
+        if (source !== this && rel.attrib.Type === PIVOT_TABLE_RELATIONSHIP) {
+          rels.remove(rel);
+          return;
+        }
+        if (
+          rel.attrib.TargetMode === "External" ||
+          (source === this &&
+            SHARED_RELATIONSHIPS.indexOf(rel.attrib.Type) !== -1) ||
+          source.archive.file(target) === null
+        ) {
+          return;
+        }
+        rel.attrib.Target = path
+          .relative(directory, this.clonePart(target, clones, source))
+          .replace(/\\/g, "/");
+      });
+      this.archive.file(relsName(copyName), etree.tostring(rels));
+    }
+
+    return copyName;
+  }
+
+  // Remove a sheet from the workbook with its local defined names and the
+  // parts that no other part uses. The positions of the sheets that follow
+  // are updated.
+  removeSheet(sheet) {
+    const sheetParts = this.collectParts([sheet.filename]);
+
+    const sheets = this.workbook.find("sheets");
+    const element = sheets.find("sheet[@sheetId='" + sheet.id + "']");
+    const position = sheets.getchildren().indexOf(element);
+    sheets.remove(element);
+    this.workbookRels.remove(
+      this.workbookRels.find(
+        "Relationship[@Id='" + element.attrib["r:id"] + "']"
+      )
+    );
+
+    const definedNames = this.workbook.find("definedNames");
+    if (definedNames !== null) {
+      definedNames.findall("definedName").forEach((definedName) => {
+        if (definedName.attrib.localSheetId === String(position)) {
+          definedNames.remove(definedName);
+        }
+      });
+      if (definedNames.findall("definedName").length === 0) {
+        this.workbook.remove(definedNames);
+      }
+    }
+    this.updateSheetPositions((idx) => (idx > position ? idx - 1 : idx));
+    this.writeWorkbook();
+    this.updateActiveSheet();
+    // The calc chain may list cells of the sheet - Excel will re-build it
+    if (this.calcChainPath && this.archive.file(this.calcChainPath)) {
+      this.archive.remove(this.calcChainPath);
+    }
+
+    // Remove the parts of the sheet that are no longer reachable from the
+    // package relationships
+    const usedParts = this.collectParts(
+      etree
+        .parse(this.archive.file("_rels/.rels").asText())
+        .getroot()
+        .findall("Relationship")
+        .filter((rel) => rel.attrib.TargetMode !== "External")
+        .map((rel) => _relTarget("", rel.attrib.Target))
+    );
+    sheetParts.forEach((filename) => {
+      if (usedParts.has(filename)) {
+        return;
+      }
+      const relsFilename =
+        path.dirname(filename) + "/_rels/" + path.basename(filename) + ".rels";
+      [filename, relsFilename].forEach((part) => {
+        const override = this.contentTypes.find(
+          "Override[@PartName='/" + part + "']"
+        );
+        if (override !== null) {
+          this.contentTypes.remove(override);
+        }
+        if (this.archive.file(part) !== null) {
+          this.archive.remove(part);
+        }
+      });
+    });
+
+    this.writeWorkbook();
+  }
+
+  // Get the set of the parts of the archive that can be reached from
+  // `filenames` through relationships, including them
+  collectParts(filenames, parts = new Set()) {
+    filenames.forEach((filename) => {
+      if (parts.has(filename) || this.archive.file(filename) === null) {
+        return;
+      }
+      parts.add(filename);
+
+      const relsFile = this.archive.file(
+        path.dirname(filename) + "/_rels/" + path.basename(filename) + ".rels"
+      );
+      if (relsFile !== null) {
+        this.collectParts(
+          etree
+            .parse(relsFile.asText())
+            .getroot()
+            .findall("Relationship")
+            .filter((rel) => rel.attrib.TargetMode !== "External")
+            .map((rel) =>
+              _relTarget(path.dirname(filename), rel.attrib.Target)
+            ),
+          parts
+        );
+      }
+    });
+    return parts;
+  }
+
+  // Update the positions (in the list of sheets) of the local defined names
+  // and of the workbook views: `move(position)` gives the new position
+  updateSheetPositions(move) {
+    const update = (element, attr) => {
+      if (element.attrib[attr] !== undefined) {
+        element.attrib[attr] = String(move(parseInt(element.attrib[attr], 10)));
+      }
+    };
+    this.workbook
+      .findall("definedNames/definedName")
+      .forEach((definedName) => update(definedName, "localSheetId"));
+    this.workbook.findall("bookViews/workbookView").forEach((view) => {
+      update(view, "activeTab");
+      update(view, "firstSheet");
+    });
+  }
+
+  // Make the active sheet of the workbook views a visible one, and the only
+  // selected sheet, as Excel expects
+  updateActiveSheet() {
+    const elements = this.workbook.findall("sheets/sheet");
+    const firstVisible = Math.max(
+      elements.findIndex((element) => _isVisibleSheet(element)),
+      0
+    );
+    const views = this.workbook.findall("bookViews/workbookView");
+    views.forEach((view) => {
+      const active = parseInt(view.attrib.activeTab, 10) || 0;
+      if (!elements[active] || !_isVisibleSheet(elements[active])) {
+        view.attrib.activeTab = String(firstVisible);
+      }
+      if (
+        view.attrib.firstSheet !== undefined &&
+        parseInt(view.attrib.firstSheet, 10) >
+          parseInt(view.attrib.activeTab, 10)
+      ) {
+        view.attrib.firstSheet = view.attrib.activeTab;
+      }
+    });
+
+    const activeTab =
+      views.length > 0 ? parseInt(views[0].attrib.activeTab, 10) || 0 : 0;
+    this.sheets.forEach((info, idx) => {
+      const selected = /\stabSelected="(1|true)"/.test(
+        this.archive.file(info.filename).asText()
+      );
+      if (selected === (idx === activeTab)) {
+        return;
+      }
+      const root = this.parsePart(info.filename);
+      root.findall("sheetViews/sheetView").forEach((view, viewIdx) => {
+        if (idx === activeTab && viewIdx === 0) {
+          view.attrib.tabSelected = "1";
+        } else {
+          delete view.attrib.tabSelected;
+        }
+      });
+      this.archive.file(info.filename, etree.tostring(root));
+    });
+  }
+
+  // Write the workbook, its relationships and the content types back to the
+  // archive, and reload the list of sheets
+  writeWorkbook() {
+    this.archive.file(this.workbookPath, etree.tostring(this.workbook));
+    this.archive.file(
+      this.prefix + "/_rels/" + path.basename(this.workbookPath) + ".rels",
+      etree.tostring(this.workbookRels)
+    );
+    this.archive.file("[Content_Types].xml", etree.tostring(this.contentTypes));
+    this.sheets = this.loadSheets(
+      this.prefix,
+      this.workbook,
+      this.workbookRels
+    );
+  }
+
+  /**
+   * Interpolate values for all the sheets using the given substitutions
+   * (an object). With the `strict` option, the problems found in all the
+   * sheets are reported together.
+   */
+  substituteAll(substitutions) {
+    const state = this._saveStrictState();
+    const sheets = this.loadSheets(
+      this.prefix,
+      this.workbook,
+      this.workbookRels
+    );
+    const diagnostics = [];
+    sheets.forEach((sheet) => {
+      diagnostics.push(...this._substituteSheet(sheet.id, substitutions));
+    });
+    return this.checkDiagnostics(diagnostics, state);
+  }
+
+  /**
+   * Interpolate values for the sheet with the given number (1-based) or
+   * name (if a string) using the given substitutions (an object).
+   *
+   * With `strict: true`, throws an error listing every placeholder without a
+   * value, every `table:` placeholder whose value is not an array and every
+   * invalid image, and leaves the workbook as it was. With `strict:
+   * "report"`, returns the same problems as an array of `{sheet, cell,
+   * placeholder, message}` instead.
+   */
+  substitute(sheetName, substitutions) {
+    const state = this._saveStrictState();
+    return this.checkDiagnostics(
+      this._substituteSheet(sheetName, substitutions),
+      state
+    );
+  }
+
+  /**
+   * Like `substitute()`, but the substitutions may hold promises and async
+   * iterables (read as arrays), at any depth. Images given as file paths are
+   * read without blocking, and images may also be given as promises or
+   * readable streams. Returns a promise of the result of `substitute()`.
+   */
+  async substituteAsync(sheetName, substitutions) {
+    const sheet = this.loadSheet(sheetName);
+    const data = await _resolveData(substitutions);
+    await this._loadImages(
+      data,
+      this._dataSchema(
+        this._scanPlaceholders().filter((entry) => entry.sheet === sheet.name)
+      )
+    );
+
+    return this.substitute(sheetName, data);
+  }
+
+  // Replace the images of resolved substitution data (found through the data
+  // schema of the template) by their content, read without blocking. The
+  // errors of the images that cannot be read are left for `substitute()` to
+  // report.
+  async _loadImages(value, schema) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (schema.format === "image") {
+      if (Buffer.isBuffer(value)) {
+        return value;
+      }
+      try {
+        const buffer = await this.imageToBufferAsync(value);
+        if (!isPlainObject(value)) {
+          return buffer;
+        }
+        const loaded = { src: buffer };
+        if (value.fallback) {
+          loaded.fallback = await this.imageToBufferAsync(value.fallback);
+        }
+        return assign({}, value, loaded);
+      } catch (error) {
+        return { [IMAGE_LOAD_ERROR]: error };
+      }
+    }
+    if (schema.items && value instanceof Array) {
+      await Promise.all(
+        value.map(async (element, idx) => {
+          value[idx] = await this._loadImages(element, schema.items);
+        })
+      );
+    } else if (schema.properties && isPlainObject(value)) {
+      await Promise.all(
+        Object.keys(schema.properties)
+          .filter((key) => value[key] !== undefined)
+          .map(async (key) => {
+            value[key] = await this._loadImages(
+              value[key],
+              schema.properties[key]
+            );
+          })
+      );
+    }
+    return value;
+  }
+
+  // Substitute the values in one sheet and return the problems found with
+  // the data (only collected in strict modes)
+  _substituteSheet(sheetName, substitutions) {
+    const sheet = this.loadSheet(sheetName);
+    this.sheet = sheet;
+    this.placedImages = new WeakSet();
+    this.formulaTransforms = [];
+    this.styles = null;
+    const diagnostics = (this.diagnostics = []);
+    const hyperlinks = (this.hyperlinks = []);
+    const cellComments = (this.cellComments = []);
+
+    const dimension = sheet.root.find("dimension");
+    const sheetData = sheet.root.find("sheetData");
+    const namedTables = this.loadTables(sheet.root, sheet.filename);
+    const sourceRanges = this.namedSourceRanges(namedTables);
+    const rels = this.loadSheetRels(sheet.filename);
+    const comments = this.loadComments(sheet, rels);
+    const rows = [];
+    // Rows inserted by tables, by the template row they copy
+    const tableCopies = new Map();
+    // Substitutions for the rows of repeated blocks, by row
+    const rowScopes = new Map();
+    const scopeOf = (row) => rowScopes.get(row) || substitutions;
+    // The images of the sheet, which move with the rows
+    let drawing =
+      sheet.root.find("drawing") !== null
+        ? this.loadDrawing(sheet.root, sheet.filename, rels.root)
+        : null;
+
+    // Repeat the blocks, then drop the rows of conditional sections, so that
+    // the substitution below only sees the rows that are kept
+    const blockRowsInserted = this.substituteBlocks(
+      sheet,
+      sheetData,
+      namedTables,
+      rels,
+      drawing,
+      rowScopes,
+      scopeOf
+    );
+    const conditionalRowsRemoved = this.substituteConditionals(
+      sheet,
+      sheetData,
+      namedTables,
+      rels,
+      drawing,
+      scopeOf
+    );
+
+    // Set the alternate rows of the tables aside
+    this.alternateRows = new Map();
+    this.tableRowStyles = new WeakMap();
+    const totalRowsRemoved =
+      conditionalRowsRemoved -
+      blockRowsInserted +
+      this.findAlternateRows(
+        sheet,
+        sheetData,
+        namedTables,
+        drawing,
+        this.alternateRows
+      );
+
+    let currentRow = null;
+    let totalRowsInserted = 0;
+    let totalColumnsInserted = 0;
+
+    sheetData.findall("row").forEach((row) => {
+      const rowSubstitutions = scopeOf(row);
+      row.attrib.r = currentRow = this.getCurrentRow(row, totalRowsInserted);
+      rows.push(row);
+
+      const cells = [];
+      const newTableRows = [];
+      const cellsForsubstituteTable = []; // Contains all the row cells when substitute tables
+
+      let cellsInserted = 0;
+
+      row.findall("c").forEach((cell) => {
         let appendCell = true;
         cell.attrib.r = this.getCurrentCell(cell, currentRow, cellsInserted);
 
@@ -394,16 +2069,39 @@ class Workbook {
           }
 
           // Loop over placeholders
-          this.extractPlaceholders(string).forEach((placeholder) => {
+          this.extractPlaceholders(string).forEach((parsedPlaceholder) => {
+            // Table placeholders may point to an array nested in the data
+            const placeholder = this.resolveTablePlaceholder(
+              parsedPlaceholder,
+              rowSubstitutions
+            );
+            this.checkSubstitution(
+              cell.attrib.r,
+              placeholder,
+              rowSubstitutions
+            );
+
             // Only substitute things for which we have a substitution
-            let substitution = get(substitutions, placeholder.name, "");
+            let substitution = get(
+              rowSubstitutions,
+              placeholder.type === "normal" && placeholder.key
+                ? placeholder.name + "." + placeholder.key
+                : placeholder.name,
+              ""
+            );
             let newCellsInserted = 0;
 
             if (
               placeholder.full &&
-              placeholder.type === "table" &&
+              (placeholder.type === "table" ||
+                (placeholder.type === "normal" &&
+                  placeholder.subType === "down")) &&
               substitution instanceof Array
             ) {
+              // `${normal:name.key:down}` lists the elements themselves
+              const tableKey =
+                placeholder.type === "table" ? placeholder.key : undefined;
+
               if (placeholder.subType === "image" && drawing == null) {
                 if (rels) {
                   drawing = this.loadDrawing(
@@ -425,7 +2123,7 @@ class Workbook {
                 cell,
                 namedTables,
                 substitution,
-                placeholder.key,
+                tableKey,
                 placeholder,
                 drawing
               );
@@ -436,7 +2134,10 @@ class Workbook {
                 if (substitution.length === 1) {
                   appendCell = true;
                 }
-                if (substitution[0][placeholder.key] instanceof Array) {
+                if (
+                  _tableValue(substitution[0], tableKey) instanceof Array &&
+                  !_isRichText(_tableValue(substitution[0], tableKey))
+                ) {
                   appendCell = false;
                 }
               }
@@ -454,13 +2155,14 @@ class Workbook {
             } else if (
               placeholder.full &&
               placeholder.type === "normal" &&
-              substitution instanceof Array
+              substitution instanceof Array &&
+              !_isRichText(substitution)
             ) {
               appendCell = false; // don't double-insert cells
               newCellsInserted = this.substituteArray(
                 cells,
                 cell,
-                substitution
+                this.applyFormatters(substitution, placeholder)
               );
 
               if (newCellsInserted !== 0) {
@@ -485,7 +2187,7 @@ class Workbook {
                   cell,
                   string,
                   placeholder,
-                  substitution,
+                  this.applyFormatters(substitution, placeholder),
                   drawing
                 );
               } else {
@@ -496,15 +2198,32 @@ class Workbook {
             } else {
               if (placeholder.key) {
                 substitution = get(
-                  substitutions,
+                  rowSubstitutions,
                   placeholder.name + "." + placeholder.key
                 );
               }
+              if (placeholder.type === "comment") {
+                // The placeholder only adds a comment and leaves no text
+                substitution = {
+                  value: "",
+                  comment: this.applyFormatters(substitution, placeholder),
+                };
+              }
               string = this.substituteScalar(
                 cell,
                 string,
                 placeholder,
-                substitution
+                placeholder.type === "comment"
+                  ? substitution
+                  : placeholder.type === "link"
+                  ? this.linkSubstitution(
+                      substitution,
+                      placeholder.text
+                        ? get(rowSubstitutions, placeholder.text)
+                        : undefined,
+                      placeholder
+                    )
+                  : this.applyFormatters(substitution, placeholder)
               );
             }
           });
@@ -530,17 +2249,7 @@ class Workbook {
 
       // Add newly inserted rows
       if (newTableRows.length > 0) {
-        // Move images for each subsitute array if option is active
-        if (this.option["moveImages"] && rels) {
-          if (drawing == null) {
-            // Maybe we can load drawing at the begining of function and remove all the this.loadDrawing() along the function ?
-            // If we make this, we create all the time the drawing file (like rels file at this moment)
-            drawing = this.loadDrawing(sheet.root, sheet.filename, rels.root);
-          }
-          if (drawing != null) {
-            this.moveAllImages(drawing, row.attrib.r, newTableRows.length);
-          }
-        }
+        tableCopies.set(row, newTableRows);
 
         // Filter all the cellsForsubstituteTable cell with the 'row' cell
         const cellsOverTable = row
@@ -576,7 +2285,8 @@ class Workbook {
           sheet.root,
           namedTables,
           currentRow,
-          newTableRows.length
+          newTableRows.length,
+          drawing
         );
       }
     }); // rows loop
@@ -589,14 +2299,24 @@ class Workbook {
 
     // Update placeholders in hyperlinks
     this.substituteHyperlinks(rels, substitutions);
+    this.writeHyperlinks(sheet.root, rels, hyperlinks);
+    this.hyperlinks = null;
+    this.writeComments(sheet, rels, comments, cellComments, tableCopies);
+    this.cellComments = null;
+    this.alternateRows = null;
+    this.tableRowStyles = null;
 
     // Update <dimension /> if we added rows or columns
     if (dimension) {
-      if (totalRowsInserted > 0 || totalColumnsInserted > 0) {
-        const dimensionRange = this.splitRange(dimension.attrib.ref);
+      if (
+        totalRowsInserted > 0 ||
+        totalColumnsInserted > 0 ||
+        totalRowsRemoved !== 0
+      ) {
+        const dimensionRange = this.splitRange(dimension.attrib.ref);
         const dimensionEndRef = this.splitRef(dimensionRange.end);
 
-        dimensionEndRef.row += totalRowsInserted;
+        dimensionEndRef.row += totalRowsInserted - totalRowsRemoved;
         dimensionEndRef.col = _numToChar(
           _charToNum(dimensionEndRef.col) + totalColumnsInserted
         );
@@ -606,6 +2326,27 @@ class Workbook {
       }
     }
 
+    // Apply the moves of the rows and columns to the other sheets all at once
+    const transforms = this.formulaTransforms;
+    this.formulaTransforms = null;
+    if (transforms.length > 0) {
+      this.updateOtherFormulaReferences(
+        (ref) =>
+          transforms.reduce(
+            (result, transform) => result && transform(result),
+            ref
+          ),
+        sourceRanges
+      );
+    }
+
+    // Update placeholders in headers and footers, in the name of the sheet
+    // (once the other sheets refer to its new rows) and in the document
+    // properties
+    this.substituteHeaderFooter(sheet.root, substitutions);
+    this.substituteSheetName(sheet, substitutions);
+    this.substituteDocProperties(substitutions);
+
     //Here we are forcing the values in formulas to be recalculated
     // existing as well as just substituted
     sheetData.findall("row").forEach((row) => {
@@ -632,8 +2373,371 @@ class Workbook {
     }
 
     this.writeSharedStrings();
+    this.writeStyles();
     this.writeTables(namedTables);
     this.writeDrawing(drawing);
+
+    this.diagnostics = null;
+    this.sheet = null;
+    return diagnostics;
+  }
+
+  // Save the state of the workbook before a substitution that throws on
+  // problems (`strict: true`), so that it can be undone
+  _saveStrictState() {
+    return this.option.strict === true ? this._saveState() : null;
+  }
+
+  // Throw the problems found in strict mode as a single error, once the
+  // workbook is back to `state`, or return them in report mode
+  checkDiagnostics(diagnostics, state) {
+    if (this.option.strict === "report") {
+      return diagnostics;
+    }
+    if (this.option.strict && diagnostics.length > 0) {
+      this._restoreState(state);
+      const count =
+        diagnostics.length === 1
+          ? "1 problem"
+          : `${diagnostics.length} problems`;
+      const error = new Error(
+        `Substitution data does not match the template (${count}):\n` +
+          diagnostics
+            .map(
+              (diagnostic) =>
+                `  ${diagnostic.sheet}!${diagnostic.cell} ${diagnostic.placeholder}: ${diagnostic.message}`
+            )
+            .join("\n")
+      );
+      error.diagnostics = diagnostics;
+      throw error;
+    }
+  }
+
+  // Record a problem with the value of a placeholder, in strict modes only
+  reportProblem(cell, placeholder, message) {
+    if (this.option.strict && this.diagnostics) {
+      this.diagnostics.push({
+        sheet: this.sheet.name,
+        cell,
+        placeholder: placeholder.placeholder,
+        message,
+      });
+    }
+  }
+
+  // In strict modes, check that a placeholder of a cell has a usable value
+  checkSubstitution(cell, placeholder, substitutions) {
+    if (!this.option.strict) {
+      return;
+    }
+    const path =
+      placeholder.type !== "table" && placeholder.key
+        ? placeholder.name + "." + placeholder.key
+        : placeholder.name;
+    const value = get(substitutions, path);
+
+    if (
+      placeholder.type === "link" &&
+      placeholder.text &&
+      get(substitutions, placeholder.text) === undefined
+    ) {
+      this.reportProblem(
+        cell,
+        placeholder,
+        `no value for "${placeholder.text}"`
+      );
+    }
+    if (value === undefined) {
+      // Formatters like `default` may provide a value of their own
+      if (this.applyFormatters(value, placeholder) === undefined) {
+        this.reportProblem(cell, placeholder, `no value for "${path}"`);
+      }
+    } else if (placeholder.type === "table") {
+      if (!(value instanceof Array)) {
+        this.reportProblem(cell, placeholder, `"${path}" is not an array`);
+      } else if (placeholder.key) {
+        const idx = value.findIndex(
+          (element) => get(element, placeholder.key) === undefined
+        );
+        if (idx !== -1) {
+          this.reportProblem(
+            cell,
+            placeholder,
+            `no value for "${placeholder.key}" in ${path}[${idx}]`
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * List the placeholders of the template: in the cells of every sheet, in
+   * the column headers of named tables, in hyperlinks, in sheet names, in
+   * page headers and footers and in the document properties. Each entry
+   * holds the `sheet` name, the `cell` reference, the `source` ("cell",
+   * "tableHeader", "hyperlink", "sheetName", "headerFooter" or
+   * "docProperty") and the parsed placeholder (`placeholder`, `type`,
+   * `name`, `key`, `subType`, `options`, `text`, `formatters` and `full`).
+   * Headers and footers use the element name (e.g. "oddHeader") as `cell`,
+   * document properties use the property (e.g. "dc:title") and no `sheet`.
+   * Closing directives like `${endif}` are not listed.
+   */
+  getPlaceholders() {
+    return this._scanPlaceholders().filter(
+      (entry) => !CLOSING_DIRECTIVES.includes(entry.type)
+    );
+  }
+
+  /**
+   * Describe the shape of the data the template expects, as a JSON-Schema-like
+   * object built from the placeholders. This is a best-effort summary: scalar
+   * placeholders accept strings, numbers and booleans (and arrays when they
+   * fill a whole cell), tables and blocks expect arrays of objects.
+   */
+  getDataSchema() {
+    return this._dataSchema(this._scanPlaceholders());
+  }
+
+  // Build the data schema of some of the entries of `_scanPlaceholders()`
+  _dataSchema(entries) {
+    const schema = { type: "object", properties: {} };
+    const scalar = ["string", "number", "boolean"];
+    let sheet = null;
+    let blocks = [];
+
+    // Find the innermost block whose elements are called `alias`
+    const blockOf = (alias) => {
+      for (let i = blocks.length - 1; i >= 0; --i) {
+        if (blocks[i].alias === alias) {
+          return blocks[i];
+        }
+      }
+      return null;
+    };
+    // Replace a leading block alias (`item` in `${item.id}`) by the path of
+    // the elements of the block
+    const resolve = (segments) => {
+      const block = blockOf(segments[0]);
+      return block ? block.segments.concat(segments.slice(1)) : segments;
+    };
+
+    entries.forEach((entry) => {
+      if (entry.sheet !== sheet) {
+        sheet = entry.sheet;
+        blocks = [];
+      }
+
+      const path = _pathSegments(
+        entry.key ? entry.name + "." + entry.key : entry.name
+      );
+
+      if (entry.type === "endeach") {
+        blocks.pop();
+      } else if (entry.type === "endif") {
+        return;
+      } else if (entry.type === "each") {
+        const segments = resolve(path).concat("[]");
+        _addToSchema(schema, segments, { type: "object" });
+        blocks.push({ alias: entry.subType || "item", segments });
+      } else if (entry.type === "if") {
+        _addToSchema(
+          schema,
+          resolve(_pathSegments(entry.name.replace(/^!/, ""))),
+          {}
+        );
+      } else if (entry.type === "table") {
+        // `${table:order.lines.name}` in a block of `order`: the array is
+        // `lines`; otherwise the array is the first part of the path
+        const arrayLength = blockOf(path[0]) && path.length > 2 ? 2 : 1;
+        const leaf =
+          entry.subType === "image"
+            ? { format: "image" }
+            : entry.subType === "link"
+            ? { type: ["string", "object"] }
+            : { type: scalar.concat("array") };
+        const items = resolve(path.slice(0, arrayLength)).concat("[]");
+        _addToSchema(schema, items.concat(path.slice(arrayLength)), leaf);
+        if (entry.subType === "link" && entry.text) {
+          _addToSchema(schema, items.concat(_pathSegments(entry.text)), {
+            type: scalar,
+          });
+        }
+      } else if (entry.type === "image") {
+        _addToSchema(schema, resolve(path), { format: "image" });
+      } else if (entry.type === "comment") {
+        // The text of the comment, or a {text, author} object
+        _addToSchema(schema, resolve(path), { type: ["string", "object"] });
+      } else if (entry.type === "link") {
+        // The URL (or a {text, url, tooltip} object) and the text
+        _addToSchema(schema, resolve(path), { type: ["string", "object"] });
+        if (entry.text) {
+          _addToSchema(schema, resolve(_pathSegments(entry.text)), {
+            type: scalar,
+          });
+        }
+      } else if (entry.subType === "down") {
+        _addToSchema(schema, resolve(path), { type: "array" });
+      } else {
+        _addToSchema(schema, resolve(path), {
+          type:
+            entry.full && entry.source === "cell"
+              ? scalar.concat("array")
+              : scalar,
+        });
+      }
+    });
+
+    return schema;
+  }
+
+  // Find all the placeholders of the template, including closing directives,
+  // sheet by sheet and in row order within the cells of a sheet
+  _scanPlaceholders() {
+    const entries = [];
+
+    this.sheets.forEach((info) => {
+      const sheet = this.loadSheet(info.name);
+      const add = (string, cell, source) => {
+        this.extractPlaceholders(string).forEach((placeholder) => {
+          entries.push(
+            assign({ sheet: sheet.name, cell, source }, placeholder)
+          );
+        });
+      };
+
+      const cellStrings = new Set();
+
+      add(sheet.name, null, "sheetName");
+
+      sheet.root.findall("sheetData/row/c").forEach((cell) => {
+        const cellValue = cell.find("v");
+        if (cell.attrib.t === "s" && cellValue !== null) {
+          const string = this.sharedStrings[parseInt(cellValue.text, 10)];
+          if (string !== undefined) {
+            cellStrings.add(cell.attrib.r + "\u0000" + string);
+            add(string, cell.attrib.r, "cell");
+          }
+        }
+      });
+
+      this.loadTables(sheet.root, sheet.filename).forEach((table) => {
+        const start = this.splitRef(
+          this.splitRange(table.root.attrib.ref).start
+        );
+        table.root
+          .findall("tableColumns/tableColumn")
+          .forEach((column, idx) => {
+            const ref = this.joinRef({
+              row: start.row,
+              col: _numToChar(_charToNum(start.col) + idx),
+            });
+            // The header cell usually holds the same text as the column name
+            if (!cellStrings.has(ref + "\u0000" + column.attrib.name)) {
+              add(column.attrib.name, ref, "tableHeader");
+            }
+          });
+      });
+
+      const relsFile = this.archive.file(
+        path.dirname(sheet.filename) +
+          "/_rels/" +
+          path.basename(sheet.filename) +
+          ".rels"
+      );
+      if (relsFile !== null) {
+        etree
+          .parse(relsFile.asText())
+          .getroot()
+          .findall("Relationship")
+          .forEach((relationship) => {
+            if (relationship.attrib.Type !== HYPERLINK_RELATIONSHIP) {
+              return;
+            }
+            const hyperlink = sheet.root.find(
+              "hyperlinks/hyperlink[@r:id='" + relationship.attrib.Id + "']"
+            );
+            add(
+              decodeURI(decodeURI(relationship.attrib.Target)),
+              hyperlink ? hyperlink.attrib.ref : null,
+              "hyperlink"
+            );
+          });
+      }
+
+      sheet.root.findall("headerFooter/*").forEach((element) => {
+        add(element.text || "", element.tag, "headerFooter");
+      });
+    });
+
+    // Document properties belong to no sheet
+    [CORE_PROPERTIES_RELATIONSHIP, EXTENDED_PROPERTIES_RELATIONSHIP]
+      .map((type) => this.propertiesFilename(type))
+      .filter((filename) => filename !== null)
+      .forEach((filename) => {
+        _propertyElements(this.parsePart(filename)).forEach((element) => {
+          this.extractPlaceholders(element.text).forEach((placeholder) => {
+            entries.push(
+              assign(
+                { sheet: null, cell: element.tag, source: "docProperty" },
+                placeholder
+              )
+            );
+          });
+        });
+      });
+
+    return entries;
+  }
+
+  /**
+   * Generate the .xlsx file as a Node readable stream. The files are
+   * compressed as the stream is read, without blocking the event loop.
+   */
+  generateStream() {
+    return Readable.from(zipEntries(this._zipEntries()));
+  }
+
+  /**
+   * Generate the .xlsx file without blocking the event loop. Returns a
+   * promise of a Buffer, or of the `type` given in the options: "nodebuffer"
+   * (the default), "uint8array", "arraybuffer", "base64" or "string" (binary
+   * string, like `generate()`).
+   */
+  async generateAsync(options = {}) {
+    const buffer = await _readStream(this.generateStream());
+
+    switch (options.type || "nodebuffer") {
+      case "nodebuffer":
+        return buffer;
+      case "uint8array":
+        return new Uint8Array(buffer);
+      case "arraybuffer":
+        return _toArrayBuffer(buffer);
+      case "base64":
+        return buffer.toString("base64");
+      case "string":
+        return buffer.toString("binary");
+      default:
+        throw new Error(`Unsupported output type: ${options.type}`);
+    }
+  }
+
+  // The files of the archive as entries of `zipEntries()`, with the content
+  // of some of them replaced by `overrides` (by file name)
+  _zipEntries(overrides = {}) {
+    const files = this.archive.files;
+    return Object.keys(files)
+      .filter((filename) => !files[filename].dir)
+      .map((filename) => ({
+        name: filename,
+        date: files[filename].date,
+        data:
+          overrides[filename] ||
+          (function* () {
+            yield Buffer.from(files[filename].asUint8Array());
+          })(),
+      }));
   }
 
   /**
@@ -649,6 +2753,358 @@ class Workbook {
     return this.archive.generate(options);
   }
 
+  /**
+   * Substitute values in a sheet like `substitute()` and generate the .xlsx
+   * file as a Node readable stream. The rows of the `table:` placeholders of
+   * `name` (e.g. "people" for `${table:people.name}`) are written to the
+   * output one by one instead of being built in memory, so `name` may hold a
+   * very large array or a (possibly async) iterable. The content below the
+   * table, the dimension, named tables, merged cells, defined names and
+   * formulas are shifted as usual. The workbook cannot be used afterwards.
+   */
+  substituteStream(sheetName, substitutions, name) {
+    const items = get(substitutions, name);
+    if (
+      items === null ||
+      typeof items !== "object" ||
+      (typeof items[Symbol.iterator] !== "function" &&
+        typeof items[Symbol.asyncIterator] !== "function")
+    ) {
+      throw new TypeError(
+        `"${name}" must be an array or an iterable to be streamed`
+      );
+    }
+
+    // Blank and mark the cells of the streamed placeholders, so that their
+    // row can be found once the rest of the sheet is substituted
+    const sheet = this.loadSheet(sheetName);
+    const placeholders = [];
+    let streamRow = null;
+    sheet.root.findall("sheetData/row").forEach((row) => {
+      row.findall("c").forEach((cell) => {
+        const cellValue = cell.find("v");
+        if (cell.attrib.t !== "s" || cellValue === null) {
+          return;
+        }
+        const string = this.sharedStrings[parseInt(cellValue.text, 10)];
+        if (string === undefined) {
+          return;
+        }
+
+        this.extractPlaceholders(string).forEach((placeholder) => {
+          const fullPath = placeholder.key
+            ? placeholder.name + "." + placeholder.key
+            : placeholder.name;
+          if (
+            !placeholder.full ||
+            placeholder.type !== "table" ||
+            (fullPath !== name && fullPath.indexOf(name + ".") !== 0)
+          ) {
+            return;
+          }
+          if (placeholder.subType === "image") {
+            throw new Error(
+              `Images are not supported in streamed tables: ${placeholder.placeholder}`
+            );
+          }
+          if (streamRow !== null && streamRow !== row) {
+            throw new Error(
+              `The placeholders of "${name}" must be in a single row to be streamed`
+            );
+          }
+
+          streamRow = row;
+          cell.attrib[STREAM_CELL] = Number(placeholders.length).toString();
+          placeholders.push({
+            placeholder,
+            key:
+              fullPath === name ? undefined : fullPath.slice(name.length + 1),
+          });
+          delete cell.attrib.t;
+          this.replaceChildren(cell, []);
+        });
+      });
+    });
+
+    if (streamRow === null) {
+      throw new Error(
+        `No \${table:${name}...} placeholder in sheet ${sheet.name}`
+      );
+    }
+    streamRow.attrib[STREAM_ROW] = "1";
+    this.archive.file(sheet.filename, etree.tostring(sheet.root));
+
+    this.substitute(sheetName, substitutions);
+
+    return Readable.from(this._generateStream(sheetName, items, placeholders));
+  }
+
+  // Generate the .xlsx file of `substituteStream()`. When the number of items
+  // is not known up front, the rows are first written to a temporary file so
+  // that everything they push down can be updated before the sheet is output.
+  async *_generateStream(sheetName, items, placeholders) {
+    const sheet = this.loadSheet(sheetName);
+    const row = sheet.root
+      .findall("sheetData/row")
+      .find((row) => row.attrib[STREAM_ROW] !== undefined);
+    const template = this._streamRowTemplate(row, placeholders);
+    let spool = null;
+
+    try {
+      let count = items.length;
+      if (!(items instanceof Array)) {
+        spool = await this._spoolRows(items, template);
+        count = spool.count;
+      }
+
+      const { before, after } = this._splitStreamSheet(sheet, row, count);
+      let rows;
+      if (count === 0) {
+        rows = [this._streamRowXml(template, 0, null)];
+      } else if (spool !== null) {
+        rows = fs.createReadStream(spool.filename);
+      } else {
+        rows = this._streamRows(items, template);
+      }
+
+      yield* zipEntries(
+        this._zipEntries({
+          [sheet.filename]: (async function* () {
+            yield before;
+            yield* rows;
+            yield after;
+          })(),
+        })
+      );
+    } finally {
+      if (spool !== null) {
+        await fs.promises.rm(spool.directory, { recursive: true, force: true });
+      }
+    }
+  }
+
+  // Describe how to write the rows of a streamed table from its template row
+  _streamRowTemplate(row, placeholders) {
+    const attributes = assign({}, row.attrib);
+    delete attributes.r;
+    delete attributes[STREAM_ROW];
+
+    const cells = row.findall("c").map((cell) => {
+      const col = this.splitRef(cell.attrib.r).col;
+      if (cell.attrib[STREAM_CELL] !== undefined) {
+        return assign(
+          { col, style: cell.attrib.s },
+          placeholders[parseInt(cell.attrib[STREAM_CELL], 10)]
+        );
+      }
+
+      // Other cells are copied as they are, with the reference of the row
+      const copy = this.cloneElement(cell);
+      copy.attrib.r = STREAM_ROW_TOKEN;
+      return {
+        col,
+        xml: etree
+          .tostring(copy, { xml_declaration: false })
+          .split(STREAM_ROW_TOKEN),
+      };
+    });
+
+    return { start: parseInt(row.attrib.r, 10), attributes, cells };
+  }
+
+  // The XML of the row of the `idx`th item of a streamed table. Like for
+  // other tables, the cells without placeholders are only kept in the first
+  // row, unless the `subsituteAllTableRow` option is set.
+  _streamRowXml(template, idx, item) {
+    const rowNumber = template.start + idx;
+    const attributes = Object.keys(template.attributes)
+      .map((attr) => ` ${attr}="${_escapeXml(template.attributes[attr])}"`)
+      .join("");
+    const cells = template.cells
+      .map((cell) => {
+        const ref = cell.col + rowNumber;
+        if (cell.placeholder) {
+          const value =
+            item === null
+              ? ""
+              : this.applyFormatters(
+                  _tableValue(item, cell.key),
+                  cell.placeholder
+                );
+          return this._streamCellXml(ref, cell.style, value, cell.placeholder);
+        }
+        return idx === 0 || this.option.subsituteAllTableRow
+          ? cell.xml.join(ref)
+          : "";
+      })
+      .join("");
+
+    return `<row r="${rowNumber}"${attributes}>${cells}</row>`;
+  }
+
+  // The XML of a cell of a streamed table. Strings are written inline, so
+  // that the shared strings do not grow with the table.
+  _streamCellXml(ref, style, value, placeholder) {
+    const start =
+      style !== undefined ? `<c r="${ref}" s="${style}"` : `<c r="${ref}"`;
+
+    if (value instanceof Array && !_isRichText(value)) {
+      throw new TypeError(
+        `Arrays are not supported in streamed tables: ${placeholder.placeholder}`
+      );
+    }
+    if (_isHyperlink(value) || placeholder.subType === "link") {
+      throw new TypeError(
+        `Links are not supported in streamed tables: ${placeholder.placeholder}`
+      );
+    }
+    if (_isCommented(value)) {
+      throw new TypeError(
+        `Comments are not supported in streamed tables: ${placeholder.placeholder}`
+      );
+    }
+    if (_isStyled(value)) {
+      throw new TypeError(
+        `Styles are not supported in streamed tables: ${placeholder.placeholder}`
+      );
+    }
+    if (value === null || value === undefined || value === "") {
+      return start + "/>";
+    }
+    if (typeof value === "string" && value[0] === "=") {
+      return `${start}><f>${_escapeXml(value.substr(1))}</f></c>`;
+    }
+    if (typeof value === "number" || value instanceof Date) {
+      return `${start}><v>${_stringify(value)}</v></c>`;
+    }
+    if (typeof value === "boolean") {
+      return `${start} t="b"><v>${_stringify(value)}</v></c>`;
+    }
+
+    const text = _isRichText(value)
+      ? value
+          .map((run) => {
+            const props = _runProperties(run);
+            return (
+              "<r>" +
+              (props ? etree.tostring(props, { xml_declaration: false }) : "") +
+              _textXml(_stringify(run.text)) +
+              "</r>"
+            );
+          })
+          .join("")
+      : _textXml(_stringify(value));
+    return `${start} t="inlineStr"><is>${text}</is></c>`;
+  }
+
+  // Write the rows of a streamed table as XML, in chunks of several rows.
+  // The number of rows written is stored in `counter.rows`.
+  async *_streamRows(items, template, counter = {}) {
+    let chunk = "";
+    let idx = 0;
+
+    for await (const item of items) {
+      chunk += this._streamRowXml(template, idx++, item);
+      if (chunk.length >= 65536) {
+        yield chunk;
+        chunk = "";
+      }
+    }
+    counter.rows = idx;
+    if (chunk) {
+      yield chunk;
+    }
+  }
+
+  // Write the rows of a streamed table to a temporary file
+  async _spoolRows(items, template) {
+    const directory = await fs.promises.mkdtemp(
+      path.join(os.tmpdir(), "xlsx-template-")
+    );
+    const filename = path.join(directory, "rows.xml");
+    const output = fs.createWriteStream(filename);
+    const counter = {};
+
+    try {
+      for await (const chunk of this._streamRows(items, template, counter)) {
+        if (!output.write(chunk)) {
+          await once(output, "drain");
+        }
+      }
+      output.end();
+      await once(output, "finish");
+    } catch (error) {
+      output.destroy();
+      await fs.promises.rm(directory, { recursive: true, force: true });
+      throw error;
+    }
+
+    return { directory, filename, count: counter.rows };
+  }
+
+  // Make room for the `count` rows of a streamed table and split the sheet
+  // around them. Returns the XML before and after the rows.
+  _splitStreamSheet(sheet, row, count) {
+    const start = parseInt(row.attrib.r, 10);
+    const numRows = Math.max(count - 1, 0);
+    const sheetData = sheet.root.find("sheetData");
+    const rels = this.loadSheetRels(sheet.filename);
+    const comments = this.loadComments(sheet, rels);
+    this.sheet = sheet;
+
+    if (numRows > 0) {
+      sheetData.findall("row").forEach((other) => {
+        if (parseInt(other.attrib.r, 10) > start) {
+          other.attrib.r = parseInt(other.attrib.r, 10) + numRows;
+          other.findall("c").forEach((cell) => {
+            cell.attrib.r = this.getCurrentCell(cell, other.attrib.r, 0);
+          });
+        }
+      });
+
+      const tables = this.loadTables(sheet.root, sheet.filename);
+      const drawing =
+        sheet.root.find("drawing") !== null
+          ? this.loadDrawing(sheet.root, sheet.filename, rels.root)
+          : null;
+      this.shiftRows(
+        this.workbook,
+        sheet.root,
+        tables,
+        start + 1,
+        numRows,
+        drawing,
+        start
+      );
+      this.writeTables(tables);
+      this.writeDrawing(drawing);
+
+      const dimension = sheet.root.find("dimension");
+      if (dimension !== null && this.isRange(dimension.attrib.ref)) {
+        const dimensionRange = this.splitRange(dimension.attrib.ref);
+        const dimensionEndRef = this.splitRef(dimensionRange.end);
+        dimensionEndRef.row += numRows;
+        dimensionRange.end = this.joinRef(dimensionEndRef);
+        dimension.attrib.ref = this.joinRange(dimensionRange);
+      }
+
+      this.archive.file(this.workbookPath, etree.tostring(this.workbook));
+      this.writeComments(sheet, rels, comments);
+    }
+
+    // The rows are written in place of a marker
+    const marker = etree.Element(STREAM_ROWS_MARKER);
+    this.replaceChildren(
+      sheetData,
+      sheetData.getchildren().map((child) => (child === row ? marker : child))
+    );
+    const parts = etree
+      .tostring(sheet.root)
+      .split(new RegExp(`<${STREAM_ROWS_MARKER}\\s*/>`));
+
+    return { before: parts[0], after: parts[1] };
+  }
+
   // Write back the new shared strings list
   writeSharedStrings() {
     const root = etree
@@ -657,12 +3113,25 @@ class Workbook {
 
     root.delSlice(0, root.getchildren().length);
 
-    this.sharedStrings.forEach((string) => {
-      const si = new etree.Element("si");
-      const t = new etree.Element("t");
+    this.sharedStrings.forEach((string, idx) => {
+      if (this.sharedStringElements[idx]) {
+        root.append(this.sharedStringElements[idx]);
+        return;
+      }
 
-      t.text = string;
-      si.append(t);
+      const si = new etree.Element("si");
+      const runs = this.sharedStringsRich[idx];
+      if (runs) {
+        runs.forEach((run) => {
+          const r = etree.SubElement(si, "r");
+          if (run.props) {
+            r.append(run.props);
+          }
+          r.append(this._textElement(run.text));
+        });
+      } else {
+        si.append(this._textElement(string));
+      }
       root.append(si);
     });
 
@@ -672,6 +3141,16 @@ class Workbook {
     this.archive.file(this.sharedStringsPath, etree.tostring(root));
   }
 
+  // Create a <t> element, preserving leading and trailing spaces
+  _textElement(text) {
+    const t = new etree.Element("t");
+    t.text = text;
+    if (text !== text.trim()) {
+      t.set("xml:space", "preserve");
+    }
+    return t;
+  }
+
   // Add a new shared string
   addSharedString(s) {
     const idx = this.sharedStrings.length;
@@ -681,6 +3160,24 @@ class Workbook {
     return idx;
   }
 
+  // Add a new shared string made of formatted runs, a list of {props, text}
+  addRichString(runs) {
+    const idx = this.sharedStrings.length;
+    this.sharedStrings.push(runs.map((run) => run.text).join(""));
+    this.sharedStringsRich[idx] = runs;
+
+    return idx;
+  }
+
+  // Get the runs of the rich text shared string of a cell, if it has one
+  cellRichText(cell) {
+    const cellValue = cell.find("v");
+    if (cell.attrib.t !== "s" || cellValue === null) {
+      return undefined;
+    }
+    return this.sharedStringsRich[parseInt(cellValue.text, 10)];
+  }
+
   // Get the number of a shared string, adding a new one if necessary.
   stringIndex(s) {
     let idx = this.sharedStringsLookup[s];
@@ -698,6 +3195,7 @@ class Workbook {
       idx = this.addSharedString(newString);
     } else {
       this.sharedStrings[idx] = newString;
+      delete this.sharedStringElements[idx];
       delete this.sharedStringsLookup[oldString];
       this.sharedStringsLookup[newString] = idx;
     }
@@ -726,6 +3224,16 @@ class Workbook {
     return sheets;
   }
 
+  // Parse an XML part of the archive. Trees parsed by a compiled template are
+  // copied instead, as long as the part has not been written since.
+  parsePart(filename) {
+    const parsed = this.parsedParts && this.parsedParts.get(filename);
+    if (parsed && parsed.file === this.archive.files[filename]) {
+      return this.cloneElement(parsed.root, true);
+    }
+    return etree.parse(this.archive.file(filename).asText()).getroot();
+  }
+
   // Get sheet a sheet, including filename and name
   loadSheet(sheet) {
     let info = null;
@@ -753,7 +3261,7 @@ class Workbook {
       filename: info.filename,
       name: info.name,
       id: info.id,
-      root: etree.parse(this.archive.file(info.filename).asText()).getroot(),
+      root: this.parsePart(info.filename),
     };
   }
 
@@ -770,7 +3278,7 @@ class Workbook {
     }
     return {
       filename: relsFilename,
-      root: etree.parse(relsFile.asText()).getroot(),
+      root: this.parsePart(relsFilename),
     };
   }
 
@@ -828,18 +3336,60 @@ class Workbook {
     });
   }
 
+  // Register the content type of the parts with a file extension, unless the
+  // template already does
+  addDefaultContentType(extension, contentType) {
+    const exists = this.contentTypes
+      .findall("Default")
+      .some(
+        (type) =>
+          (type.attrib.Extension || "").toLowerCase() ===
+          extension.toLowerCase()
+      );
+    if (!exists) {
+      etree.SubElement(this.contentTypes, "Default", {
+        ContentType: contentType,
+        Extension: extension,
+      });
+    }
+  }
+
+  // Add an image to the media of the workbook with the extension of its
+  // format, and return the id of its relationship from the drawing
+  addImageMedia(drawing, buffer, type) {
+    const format = IMAGE_FORMATS[type] || {
+      extension: type,
+      contentType: "image/" + type,
+    };
+    const relId =
+      "rId" + this.findMaxId(drawing.relRoot, "Relationship", "Id", /rId(\d*)/);
+    const fileName =
+      "image" +
+      this.findMaxFileId(/xl\/media\/image\d+\.\w+$/, /image(\d+)\.\w+$/) +
+      "." +
+      format.extension;
+    etree.SubElement(drawing.relRoot, "Relationship", {
+      Id: relId,
+      Type: IMAGE_RELATIONSHIP,
+      Target: "../media/" + fileName,
+    });
+    this.archive.file("xl/media/" + fileName, _toArrayBuffer(buffer), {
+      binary: true,
+      base64: false,
+    });
+    this.addDefaultContentType(format.extension, format.contentType);
+    return relId;
+  }
+
   initDrawing(sheet, rels) {
     const maxId = this.findMaxId(rels, "Relationship", "Id", /rId(\d*)/);
     const rel = etree.SubElement(rels, "Relationship");
-    sheet.insert(
-      sheet._children.length,
+    this.insertSheetElement(
+      sheet,
       etree.Element("drawing", { "r:id": "rId" + maxId })
     );
     rel.set("Id", "rId" + maxId);
-    rel.set(
-      "Type",
-      "http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing"
-    );
+    rel.set("Type", DRAWING_RELATIONSHIP);
     const drawing = {};
     const drawingFilename =
       "drawing" +
@@ -877,74 +3427,76 @@ class Workbook {
     }
   }
 
-  // Move all images after fromRow of nbRow row
-  moveAllImages(drawing, fromRow, nbRow) {
-    drawing.root.getchildren().forEach((drawElement) => {
-      if (drawElement.tag == "xdr:twoCellAnchor") {
-        this._moveTwoCellAnchor(drawElement, fromRow, nbRow);
-      }
-      // TODO : make the other tags image
-    });
-  }
+  // Copy the images anchored within the rows of a block repeated `count` times
+  copyBlockImages(drawing, block, count) {
+    const blockSize = block.end - block.start + 1;
+    let maxId = drawing.root
+      .findall(".//xdr:cNvPr")
+      .reduce((max, cNvPr) => Math.max(max, parseInt(cNvPr.attrib.id, 10)), 0);
+
+    drawing.root
+      .getchildren()
+      .slice()
+      .forEach((drawElement) => {
+        const from = drawElement.find("xdr:from");
+        if (from === null) {
+          return;
+        }
+
+        const fromRow = parseInt(from.find("xdr:row").text, 10) + 1;
+        if (fromRow < block.start || fromRow > block.end) {
+          return;
+        }
 
-  _moveImage(drawingElement, fromRow, nbRow) {
-    drawingElement.find("xdr:from").find("xdr:row").text =
-      Number.parseInt(
-        drawingElement.find("xdr:from").find("xdr:row").text,
-        10
-      ) + Number.parseInt(nbRow, 10);
-    drawingElement.find("xdr:to").find("xdr:row").text =
-      Number.parseInt(drawingElement.find("xdr:to").find("xdr:row").text, 10) +
-      Number.parseInt(nbRow, 10);
+        for (let i = 1; i < count; ++i) {
+          const newElement = this.cloneElement(drawElement);
+          this._offsetAnchor(newElement, i * blockSize);
+          newElement.findall(".//xdr:cNvPr").forEach((cNvPr) => {
+            cNvPr.attrib.id = ++maxId;
+          });
+          drawing.root.append(newElement);
+        }
+      });
   }
 
-  // Move TwoCellAnchor tag images after fromRow of nbRow row
-  _moveTwoCellAnchor(drawingElement, fromRow, nbRow) {
-    if (this.option["moveSameLineImages"]) {
-      if (
-        parseInt(drawingElement.find("xdr:from").find("xdr:row").text) + 1 >=
-        fromRow
-      ) {
-        this._moveImage(drawingElement, fromRow, nbRow);
-      }
-    } else {
-      if (
-        parseInt(drawingElement.find("xdr:from").find("xdr:row").text) + 1 >
-        fromRow
-      ) {
-        this._moveImage(drawingElement, fromRow, nbRow);
+  // Move an anchor (of any kind) `nbRow` rows down
+  _offsetAnchor(drawingElement, nbRow) {
+    ["xdr:from", "xdr:to"].forEach((tag) => {
+      const position = drawingElement.find(tag);
+      if (position !== null) {
+        const row = position.find("xdr:row");
+        row.text = (parseInt(row.text, 10) + nbRow).toString();
       }
-    }
+    });
   }
 
   // Load tables for a given sheet
   loadTables(sheet, sheetFilename) {
-    const relsFile = this.archive.file(
+    const relsFilename =
       path.dirname(sheetFilename) +
-        "/" +
-        "_rels" +
-        "/" +
-        path.basename(sheetFilename) +
-        ".rels"
-    );
+      "/" +
+      "_rels" +
+      "/" +
+      path.basename(sheetFilename) +
+      ".rels";
     const tables = [];
 
-    if (relsFile === null) {
+    if (this.archive.file(relsFilename) === null) {
       return tables;
     }
 
-    const rels = etree.parse(relsFile.asText()).getroot();
+    const rels = this.parsePart(relsFilename);
 
     sheet.findall("tableParts/tablePart").forEach((tablePart) => {
       const relationshipId = tablePart.attrib["r:id"];
       const target = rels.find("Relationship[@Id='" + relationshipId + "']")
         .attrib.Target;
       const tableFilename = target.replace("..", this.prefix);
-      const tableTree = etree.parse(this.archive.file(tableFilename).asText());
 
       tables.push({
         filename: tableFilename,
-        root: tableTree.getroot(),
+        relId: relationshipId,
+        root: this.parsePart(tableFilename),
       });
     });
 
@@ -954,10 +3506,455 @@ class Workbook {
   // Write back possibly-modified tables
   writeTables(tables) {
     tables.forEach((namedTable) => {
+      if (namedTable.removed) {
+        return;
+      }
       this.archive.file(namedTable.filename, etree.tostring(namedTable.root));
     });
   }
 
+  // Remove a table whose rows have all been deleted from the sheet, along with
+  // its relationship and content type
+  removeTable(sheet, rels, table) {
+    const tableParts = sheet.find("tableParts");
+    const tablePart = sheet.find(
+      "tableParts/tablePart[@r:id='" + table.relId + "']"
+    );
+    if (tablePart !== null) {
+      tableParts.remove(tablePart);
+      tableParts.attrib.count = tableParts.findall("tablePart").length;
+      if (tableParts.len() === 0) {
+        sheet.remove(tableParts);
+      }
+    }
+
+    const rel = rels.find("Relationship[@Id='" + table.relId + "']");
+    if (rel !== null) {
+      rels.remove(rel);
+    }
+
+    const override = this.contentTypes.find(
+      "Override[@PartName='/" + table.filename + "']"
+    );
+    if (override !== null) {
+      this.contentTypes.remove(override);
+    }
+
+    this.archive.remove(table.filename);
+    table.removed = true;
+  }
+
+  // The {text, url, tooltip} value of a link placeholder, from the value of
+  // its path (a URL or a link object) and the value of its text path. The
+  // formatters apply to the text. Without a URL, the cell only gets the text.
+  linkSubstitution(value, text, placeholder) {
+    if (value === undefined || value === null || value === "") {
+      return this.applyFormatters(text === undefined ? "" : text, placeholder);
+    }
+    const link = _isHyperlink(value)
+      ? assign({}, value)
+      : { url: String(value) };
+    if (link.text === undefined || link.text === null) {
+      link.text = text === undefined || text === "" ? link.url : text;
+    }
+    link.text = this.applyFormatters(link.text, placeholder);
+    return link;
+  }
+
+  // Make a cell link to `link.url` and return the text of the cell. URLs
+  // starting with "#" link to a place in the workbook, like "#Sheet2!A1".
+  // The links are added to the sheet by `writeHyperlinks()`, once the cells
+  // have their final reference.
+  addHyperlink(cell, link) {
+    if (this.hyperlinks) {
+      this.hyperlinks.push({ cell, link });
+    }
+    return link.text === undefined || link.text === null ? link.url : link.text;
+  }
+
+  // Add the links from the data to a sheet and to its relationships. They
+  // replace the links the template cells may already have.
+  writeHyperlinks(sheetRoot, rels, hyperlinks) {
+    if (hyperlinks.length === 0) {
+      return;
+    }
+    let container = sheetRoot.find("hyperlinks");
+    if (container === null) {
+      container = etree.Element("hyperlinks");
+      this.insertSheetElement(sheetRoot, container);
+    }
+    if (!sheetRoot.attrib["xmlns:r"]) {
+      sheetRoot.set(
+        "xmlns:r",
+        "http://schemas.openxmlformats.org/officeDocument/2006/relationships"
+      );
+    }
+
+    hyperlinks.forEach(({ cell, link }) => {
+      const ref = cell.attrib.r;
+      container
+        .findall("hyperlink")
+        .filter((hyperlink) => hyperlink.attrib.ref === ref)
+        .forEach((hyperlink) => container.remove(hyperlink));
+
+      const attrib = { ref };
+      if (link.url[0] === "#") {
+        attrib.location = link.url.substring(1);
+      } else {
+        attrib["r:id"] =
+          "rId" + this.findMaxId(rels.root, "Relationship", "Id", /rId(\d*)/);
+        etree.SubElement(rels.root, "Relationship", {
+          Id: attrib["r:id"],
+          Type: HYPERLINK_RELATIONSHIP,
+          Target: link.url,
+          TargetMode: "External",
+        });
+      }
+      if (link.tooltip) {
+        attrib.tooltip = String(link.tooltip);
+      }
+      etree.SubElement(container, "hyperlink", attrib);
+    });
+  }
+
+  // Make a note of `comment` (a string or {text, author}) for a cell. The
+  // notes are added to the sheet by `writeComments()`, once the cells have
+  // their final reference.
+  addComment(cell, comment) {
+    if (this.cellComments && comment !== null && comment !== undefined) {
+      const text = isPlainObject(comment) ? comment.text : comment;
+      if (text !== null && text !== undefined && text !== "") {
+        this.cellComments.push({ cell, comment });
+      }
+    }
+  }
+
+  // Load the comments of a sheet and remember the cell (or the row) of each
+  // of them, so that `writeComments()` can tell where they end up once rows
+  // are inserted, removed or renumbered
+  loadComments(sheet, rels) {
+    const relationships = rels.root.findall("Relationship");
+    const legacyDrawing = sheet.root.find("legacyDrawing");
+    const vmlRel =
+      legacyDrawing !== null &&
+      relationships.find(
+        (rel) => rel.attrib.Id === legacyDrawing.attrib["r:id"]
+      );
+    const commentsRel = relationships.find(
+      (rel) => rel.attrib.Type === COMMENTS_RELATIONSHIP
+    );
+    const comments = {
+      filename: null,
+      root: null,
+      vmlFilename: vmlRel
+        ? vmlRel.attrib.Target.replace("..", this.prefix)
+        : null,
+      entries: [],
+    };
+    if (!commentsRel) {
+      return comments;
+    }
+    comments.filename = commentsRel.attrib.Target.replace("..", this.prefix);
+    comments.root = this.parsePart(comments.filename);
+
+    const rows = new Map();
+    const cells = new Map();
+    sheet.root.findall("sheetData/row").forEach((row) => {
+      rows.set(parseInt(row.attrib.r, 10), row);
+      row.findall("c").forEach((cell) => cells.set(cell.attrib.r, cell));
+    });
+    comments.root.findall("commentList/comment").forEach((element) => {
+      const ref = this.splitRef(element.attrib.ref);
+      comments.entries.push({
+        element,
+        ref: element.attrib.ref,
+        col: ref.col,
+        rowNumber: ref.row,
+        cell: cells.get(element.attrib.ref) || null,
+        row: rows.get(ref.row) || null,
+      });
+    });
+    return comments;
+  }
+
+  // Write the comments of a sheet: those of the template where their cells
+  // ended up (copied to the rows `tableCopies` made of their row, and dropped
+  // with removed rows), then the comments from the data, which replace the
+  // template ones of the same cells. Creates the comments and VML drawing
+  // parts if the sheet has none.
+  writeComments(sheet, rels, comments, dataComments = [], tableCopies = null) {
+    if (comments.root === null && dataComments.length === 0) {
+      return;
+    }
+
+    const rowRefs = new Map();
+    const cellRefs = new Map();
+    sheet.root.findall("sheetData/row").forEach((row) => {
+      rowRefs.set(row, row.attrib.r);
+      row.findall("c").forEach((cell) => cellRefs.set(cell, cell.attrib.r));
+    });
+
+    let entries = [];
+    comments.entries.forEach((entry) => {
+      let ref = entry.ref;
+      if (entry.cell !== null) {
+        ref = cellRefs.get(entry.cell);
+      } else if (entry.row !== null) {
+        ref = rowRefs.has(entry.row)
+          ? entry.col + rowRefs.get(entry.row)
+          : undefined;
+      }
+      if (ref === undefined) {
+        return; // its row was removed
+      }
+      entries.push({ element: entry.element, ref, template: entry });
+
+      const copies = (tableCopies && tableCopies.get(entry.row)) || [];
+      copies.forEach((newRow) => {
+        const newRef = entry.col + newRow.attrib.r;
+        if (newRow.findall("c").some((cell) => cell.attrib.r === newRef)) {
+          entries.push({
+            element: this.cloneElement(entry.element),
+            ref: newRef,
+            template: entry,
+          });
+        }
+      });
+    });
+
+    if (comments.root === null) {
+      const fileId = this.findMaxFileId(
+        /xl\/comments\d+\.xml$/,
+        /comments(\d+)\.xml$/
+      );
+      comments.filename = this.prefix + "/comments" + fileId + ".xml";
+      comments.root = etree.Element("comments", {
+        xmlns: "http://schemas.openxmlformats.org/spreadsheetml/2006/main",
+      });
+      etree.SubElement(comments.root, "authors");
+      etree.SubElement(comments.root, "commentList");
+      etree.SubElement(rels.root, "Relationship", {
+        Id: "rId" + this.findMaxId(rels.root, "Relationship", "Id", /rId(\d*)/),
+        Type: COMMENTS_RELATIONSHIP,
+        Target: "../comments" + fileId + ".xml",
+      });
+      this.addContentType(
+        "/" + comments.filename,
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.comments+xml"
+      );
+    }
+
+    dataComments.forEach(({ cell, comment }) => {
+      const ref = cell.attrib.r;
+      entries = entries.filter((entry) => entry.ref !== ref);
+      entries.push({
+        element: this.commentElement(comments.root, comment),
+        ref,
+        template: null,
+      });
+    });
+
+    const commentList = comments.root.find("commentList");
+    this.replaceChildren(
+      commentList,
+      entries.map((entry) => {
+        entry.element.attrib.ref = entry.ref;
+        return entry.element;
+      })
+    );
+    this.archive.file(comments.filename, etree.tostring(comments.root));
+    this.writeNoteShapes(sheet, rels, comments, entries);
+  }
+
+  // Build the <comment> element of a comment from the data
+  commentElement(commentsRoot, comment) {
+    const text = isPlainObject(comment) ? comment.text : comment;
+    const author = String(
+      (isPlainObject(comment) && comment.author) || this.option.commentAuthor
+    );
+    const authors = commentsRoot.find("authors");
+    let authorId = authors
+      .findall("author")
+      .findIndex((element) => (element.text || "") === author);
+    if (authorId === -1) {
+      authorId = authors.findall("author").length;
+      etree.SubElement(authors, "author").text = author;
+    }
+
+    const element = etree.Element("comment", { authorId: String(authorId) });
+    const r = etree.SubElement(etree.SubElement(element, "text"), "r");
+    const props = etree.SubElement(r, "rPr");
+    etree.SubElement(props, "sz", { val: "9" });
+    etree.SubElement(props, "rFont", { val: "Tahoma" });
+    r.append(this._textElement(_stringify(text)));
+    return element;
+  }
+
+  // Write the VML drawing showing the comments: the shapes of the template
+  // comments are moved to their new cells, and the other shapes are kept
+  writeNoteShapes(sheet, rels, comments, entries) {
+    let vml;
+    if (comments.vmlFilename !== null) {
+      vml = this.archive.file(comments.vmlFilename).asText();
+    } else {
+      const fileId = this.findMaxFileId(
+        /xl\/drawings\/vmlDrawing\d+\.vml$/,
+        /vmlDrawing(\d+)\.vml$/
+      );
+      comments.vmlFilename =
+        this.prefix + "/drawings/vmlDrawing" + fileId + ".vml";
+      const relId =
+        "rId" + this.findMaxId(rels.root, "Relationship", "Id", /rId(\d*)/);
+      etree.SubElement(rels.root, "Relationship", {
+        Id: relId,
+        Type: VML_DRAWING_RELATIONSHIP,
+        Target: "../drawings/vmlDrawing" + fileId + ".vml",
+      });
+      this.insertSheetElement(
+        sheet.root,
+        etree.Element("legacyDrawing", { "r:id": relId })
+      );
+      if (!sheet.root.attrib["xmlns:r"]) {
+        sheet.root.set(
+          "xmlns:r",
+          "http://schemas.openxmlformats.org/officeDocument/2006/relationships"
+        );
+      }
+      this.addDefaultContentType(
+        "vml",
+        "application/vnd.openxmlformats-officedocument.vmlDrawing"
+      );
+      vml =
+        '<xml xmlns:v="urn:schemas-microsoft-com:vml" ' +
+        'xmlns:o="urn:schemas-microsoft-com:office:office" ' +
+        'xmlns:x="urn:schemas-microsoft-com:office:excel"></xml>';
+    }
+
+    // Split the drawing between the note shapes and everything else
+    const noteShapes = new Map();
+    const shapeRe = /<v:shape\b[\s\S]*?<\/v:shape>/g;
+    const others = [];
+    let match;
+    while ((match = shapeRe.exec(vml)) !== null) {
+      const row = /<x:Row>(\d+)<\/x:Row>/.exec(match[0]);
+      const col = /<x:Column>(\d+)<\/x:Column>/.exec(match[0]);
+      if (/ObjectType="Note"/.test(match[0]) && row && col) {
+        noteShapes.set(row[1] + ":" + col[1], match[0]);
+      } else {
+        others.push(match[0]);
+      }
+    }
+    let head = vml.replace(shapeRe, "");
+    const end = head.lastIndexOf("</xml>");
+    const tail = end === -1 ? "" : head.substring(end);
+    head = end === -1 ? head : head.substring(0, end);
+    if (head.indexOf('id="_x0000_t202"') === -1) {
+      head += NOTE_SHAPE_TYPE;
+    }
+
+    // Shape ids are numbered in the blocks of 1024 ids listed by the idmap of
+    // the drawing, skipping the ids the other shapes use. More blocks are
+    // claimed when these are full.
+    const idmap = /<o:idmap\b[^>]*\bdata="([\d,]*)"/.exec(head);
+    const blocks = idmap
+      ? idmap[1]
+          .split(",")
+          .map((block) => parseInt(block, 10))
+          .filter((block) => !isNaN(block))
+      : [];
+    const usedIds = new Set();
+    others.forEach((shape) => {
+      const id = /\sid="_x0000_s(\d+)"/.exec(shape);
+      if (id) {
+        usedIds.add(parseInt(id[1], 10));
+      }
+    });
+    let blockIdx = 0;
+    let nextId = 0;
+    const newId = () => {
+      for (;;) {
+        if (blockIdx === blocks.length) {
+          blocks.push(this.nextVmlBlock(blocks));
+        }
+        nextId = Math.max(nextId, blocks[blockIdx] * 1024 + 1);
+        if (nextId >= (blocks[blockIdx] + 1) * 1024) {
+          ++blockIdx;
+        } else if (usedIds.has(nextId)) {
+          ++nextId;
+        } else {
+          return nextId++;
+        }
+      }
+    };
+
+    const shapes = entries.map((entry) => {
+      const ref = this.splitRef(entry.ref);
+      const row = ref.row - 1;
+      const col = _charToNum(ref.col) - 1;
+      const template =
+        entry.template &&
+        noteShapes.get(
+          entry.template.rowNumber -
+            1 +
+            ":" +
+            (_charToNum(entry.template.col) - 1)
+        );
+      return template
+        ? _moveNoteShape(
+            template,
+            newId(),
+            row - (entry.template.rowNumber - 1),
+            col - (_charToNum(entry.template.col) - 1)
+          )
+        : _noteShapeXml(newId(), row, col);
+    });
+
+    const data = `data="${blocks.join(",")}"`;
+    if (idmap) {
+      head = head.replace(idmap[0], idmap[0].replace(/\bdata="[\d,]*"/, data));
+    } else if (blocks.length > 0) {
+      head = head.replace(
+        /<xml\b[^>]*>/,
+        (xml) =>
+          `${xml}<o:shapelayout v:ext="edit">` +
+          `<o:idmap v:ext="edit" ${data}/></o:shapelayout>`
+      );
+    }
+
+    this.archive.file(
+      comments.vmlFilename,
+      head + others.join("") + shapes.join("") + tail
+    );
+  }
+
+  // The first block of 1024 VML shape ids after those the drawings of the
+  // workbook list in their idmap, and after the blocks already `claimed`
+  nextVmlBlock(claimed = []) {
+    const used = this.archive
+      .file(/\.vml$/)
+      .map((file) => /<o:idmap\b[^>]*\bdata="([\d,]*)"/.exec(file.asText()))
+      .filter((match) => match !== null)
+      .reduce((blocks, match) => blocks.concat(match[1].split(",")), [])
+      .map((block) => parseInt(block, 10) || 0);
+    return Math.max(0, ...used, ...claimed) + 1;
+  }
+
+  // Add an element to a sheet, at the place the schema gives to its tag
+  insertSheetElement(sheetRoot, element) {
+    const rank = SHEET_ELEMENTS.indexOf(element.tag);
+    const children = sheetRoot.getchildren();
+    let idx = children.findIndex(
+      (child) => SHEET_ELEMENTS.indexOf(child.tag) > rank
+    );
+    if (idx === -1) {
+      idx = children.length;
+    }
+    this.replaceChildren(
+      sheetRoot,
+      children.slice(0, idx).concat(element, children.slice(idx))
+    );
+  }
+
   //Perform substitution in hyperlinks
   substituteHyperlinks(rels, substitutions) {
     etree.parse(this.archive.file(this.sharedStringsPath).asText()).getroot();
@@ -969,131 +3966,968 @@ class Workbook {
       if (relationship.attrib.Type === HYPERLINK_RELATIONSHIP) {
         let target = relationship.attrib.Target;
 
-        //Double-decode due to excel double encoding url placeholders
-        target = decodeURI(decodeURI(target));
-        this.extractPlaceholders(target).forEach((placeholder) => {
-          const substitution = substitutions[placeholder.name];
+        //Double-decode due to excel double encoding url placeholders
+        target = decodeURI(decodeURI(target));
+        this.extractPlaceholders(target).forEach((placeholder) => {
+          const substitution = substitutions[placeholder.name];
+
+          if (substitution === undefined) {
+            const hyperlink = this.sheet.root.find(
+              "hyperlinks/hyperlink[@r:id='" + relationship.attrib.Id + "']"
+            );
+            this.reportProblem(
+              hyperlink ? hyperlink.attrib.ref : null,
+              placeholder,
+              `no value for "${placeholder.name}"`
+            );
+            return;
+          }
+          target = target.replace(
+            placeholder.placeholder,
+            _stringify(this.applyFormatters(substitution, placeholder))
+          );
+
+          relationship.attrib.Target = encodeURI(target);
+        });
+      }
+    });
+  }
+
+  // Replace the placeholders of a text outside of cells, like a header or a
+  // sheet name, by their values as text (passed through `escape`). Only plain
+  // placeholders are replaced; those without a value are left in place and
+  // reported at `location`.
+  substituteText(text, substitutions, location, escape = (value) => value) {
+    return this.extractPlaceholders(text).reduce((result, placeholder) => {
+      if (placeholder.type !== "normal") {
+        return result;
+      }
+      const substitution = get(
+        substitutions,
+        placeholder.key
+          ? placeholder.name + "." + placeholder.key
+          : placeholder.name
+      );
+      if (substitution === undefined) {
+        this.reportProblem(
+          location,
+          placeholder,
+          `no value for "${placeholder.name}"`
+        );
+        return result;
+      }
+      return result.replace(
+        placeholder.placeholder,
+        escape(_stringify(this.applyFormatters(substitution, placeholder)))
+      );
+    }, text);
+  }
+
+  // Perform substitution in the page headers and footers of a sheet. `&`
+  // starts a formatting code in headers, so it is doubled in the values.
+  substituteHeaderFooter(sheetRoot, substitutions) {
+    sheetRoot.findall("headerFooter/*").forEach((element) => {
+      if (element.text) {
+        element.text = this.substituteText(
+          element.text,
+          substitutions,
+          element.tag,
+          (value) => String(value).replace(/&/g, "&&")
+        );
+      }
+    });
+  }
+
+  // Perform substitution in the name of a sheet, then rename it
+  substituteSheetName(sheet, substitutions) {
+    const name = this.substituteText(sheet.name, substitutions, null);
+    if (name !== sheet.name) {
+      this.setSheetName(sheet, name);
+    }
+  }
+
+  // Rename a sheet and the references to it
+  setSheetName(sheet, name) {
+    this.checkSheetName(name, sheet.id);
+    this.workbook.find(
+      "sheets/sheet[@sheetId='" + sheet.id + "']"
+    ).attrib.name = name;
+    this.renameSheetReferences(sheet.name, name);
+    this.sheets.forEach((info) => {
+      if (info.id === sheet.id) {
+        info.name = name;
+      }
+    });
+    sheet.name = name;
+  }
+
+  // Throw an error if `name` cannot be the name of the sheet with the id
+  // `sheetId` (null for a new sheet): if Excel does not allow it or if
+  // another sheet has it
+  checkSheetName(name, sheetId) {
+    if (
+      name === "" ||
+      name.length > 31 ||
+      INVALID_SHEET_NAME.test(name) ||
+      /^'|'$/.test(name)
+    ) {
+      throw new Error(`Invalid sheet name "${name}"`);
+    }
+    if (
+      this.sheets.some(
+        (info) =>
+          info.id !== sheetId && info.name.toLowerCase() === name.toLowerCase()
+      )
+    ) {
+      throw new Error(`Sheet ${name} already exists`);
+    }
+  }
+
+  // Refer to the sheet `oldName` as `newName` in defined names, in the
+  // formulas and internal hyperlinks of every sheet, in charts, in pivot
+  // caches and in the list of sheets of the document properties. The current
+  // sheet is updated in memory, the other parts are written to the archive.
+  // A null `newName` turns the references into #REF! and removes the sheet
+  // from the document properties, for a deleted sheet.
+  renameSheetReferences(oldName, newName) {
+    this.workbook.findall("definedNames/definedName").forEach((definedName) => {
+      if (definedName.text) {
+        definedName.text = _renameSheetInFormula(
+          definedName.text,
+          oldName,
+          newName
+        );
+      }
+    });
+
+    this.sheets.forEach((info) => {
+      const current = this.sheet && info.filename === this.sheet.filename;
+      const root = current ? this.sheet.root : this.parsePart(info.filename);
+      let changed = false;
+      SHEET_FORMULAS.reduce(
+        (formulas, path) => formulas.concat(root.findall(path)),
+        []
+      ).forEach((formula) => {
+        if (formula.text) {
+          const text = _renameSheetInFormula(formula.text, oldName, newName);
+          changed = changed || text !== formula.text;
+          formula.text = text;
+        }
+      });
+      root.findall("hyperlinks/hyperlink").forEach((hyperlink) => {
+        if (hyperlink.attrib.location) {
+          const location = _renameSheetInFormula(
+            hyperlink.attrib.location,
+            oldName,
+            newName
+          );
+          changed = changed || location !== hyperlink.attrib.location;
+          hyperlink.attrib.location = location;
+        }
+      });
+      if (changed && !current) {
+        this.archive.file(info.filename, etree.tostring(root));
+      }
+    });
+
+    this.chartFilenames().forEach((filename) => {
+      const root = this.parsePart(filename);
+      let changed = false;
+      root.findall(".//c:f").forEach((formula) => {
+        if (formula.text) {
+          const text = _renameSheetInFormula(formula.text, oldName, newName);
+          changed = changed || text !== formula.text;
+          formula.text = text;
+        }
+      });
+      if (changed) {
+        this.archive.file(filename, etree.tostring(root));
+      }
+    });
+
+    this.workbookRels
+      .findall("Relationship[@Type='" + PIVOT_CACHE_RELATIONSHIP + "']")
+      .forEach((rel) => {
+        const filename = this.prefix + "/" + rel.attrib.Target;
+        if (this.archive.file(filename) === null) {
+          return;
+        }
+        const root = this.parsePart(filename);
+        const source = root.find("cacheSource/worksheetSource");
+        if (
+          source !== null &&
+          source.attrib.sheet === oldName &&
+          newName !== null
+        ) {
+          source.attrib.sheet = newName;
+          this.archive.file(filename, etree.tostring(root));
+        }
+      });
+
+    const appFilename = this.propertiesFilename(
+      EXTENDED_PROPERTIES_RELATIONSHIP
+    );
+    if (appFilename !== null) {
+      const root = this.parsePart(appFilename);
+      const vector = root.find("TitlesOfParts/vt:vector");
+      const titles = root
+        .findall("TitlesOfParts/vt:vector/vt:lpstr")
+        .filter((title) => title.text === oldName);
+      titles.forEach((title) => {
+        if (newName !== null) {
+          title.text = newName;
+          return;
+        }
+        vector.remove(title);
+        vector.attrib.size = String(vector.findall("vt:lpstr").length);
+        // The count of worksheets follows their name in the heading pairs
+        const headings = root.findall("HeadingPairs/vt:vector/vt:variant");
+        headings.forEach((heading, idx) => {
+          const count = headings[idx + 1] && headings[idx + 1].find("vt:i4");
+          if (heading.findtext("vt:lpstr") === "Worksheets" && count) {
+            count.text = String(parseInt(count.text, 10) - 1);
+          }
+        });
+      });
+      if (titles.length > 0) {
+        this.archive.file(appFilename, etree.tostring(root));
+      }
+    }
+  }
+
+  // Get the filename of the core or extended document properties, or null
+  // if the file has none
+  propertiesFilename(type) {
+    const rels = this.archive.file("_rels/.rels");
+    const rel =
+      rels &&
+      etree
+        .parse(rels.asText())
+        .getroot()
+        .find("Relationship[@Type='" + type + "']");
+    if (!rel) {
+      return null;
+    }
+    const filename = rel.attrib.Target.replace(/^\//, "");
+    return this.archive.file(filename) === null ? null : filename;
+  }
+
+  // Perform substitution in the core (title, author, subject...) and
+  // extended (company, manager...) document properties
+  substituteDocProperties(substitutions) {
+    [CORE_PROPERTIES_RELATIONSHIP, EXTENDED_PROPERTIES_RELATIONSHIP]
+      .map((type) => this.propertiesFilename(type))
+      .filter((filename) => filename !== null)
+      .forEach((filename) => {
+        const root = this.parsePart(filename);
+        let changed = false;
+        _propertyElements(root).forEach((element) => {
+          const text = this.substituteText(
+            element.text,
+            substitutions,
+            element.tag
+          );
+          changed = changed || text !== element.text;
+          element.text = text;
+        });
+        if (changed) {
+          this.archive.file(filename, etree.tostring(root));
+        }
+      });
+  }
+
+  // Perform substitution in table headers
+  substituteTableColumnHeaders(tables, substitutions) {
+    tables.forEach((table) => {
+      const root = table.root;
+      const columns = root.find("tableColumns");
+      let autoFilter = root.find("autoFilter");
+      let tableRange = this.splitRange(root.attrib.ref);
+      let idx = 0;
+      let inserted = 0;
+      const newColumns = [];
+
+      columns.findall("tableColumn").forEach((col) => {
+        ++idx;
+        col.attrib.id = Number(idx).toString();
+        newColumns.push(col);
+
+        let name = col.attrib.name;
+
+        this.extractPlaceholders(name).forEach((placeholder) => {
+          const substitution = substitutions[placeholder.name];
+          if (substitution === undefined) {
+            const start = this.splitRef(tableRange.start);
+            this.reportProblem(
+              this.joinRef({
+                row: start.row,
+                col: _numToChar(_charToNum(start.col) + idx - 1),
+              }),
+              placeholder,
+              `no value for "${placeholder.name}"`
+            );
+            return;
+          }
+
+          // Array -> new columns
+          if (
+            placeholder.full &&
+            placeholder.type === "normal" &&
+            substitution instanceof Array
+          ) {
+            substitution.forEach((element, i) => {
+              let newCol = col;
+              if (i > 0) {
+                newCol = this.cloneElement(newCol);
+                newCol.attrib.id = Number(++idx).toString();
+                newColumns.push(newCol);
+                ++inserted;
+                tableRange.end = this.nextCol(tableRange.end);
+              }
+              newCol.attrib.name = _stringify(
+                this.applyFormatters(element, placeholder)
+              );
+            });
+            // Normal placeholder
+          } else {
+            name = name.replace(
+              placeholder.placeholder,
+              _stringify(this.applyFormatters(substitution, placeholder))
+            );
+            col.attrib.name = name;
+          }
+        });
+      });
+
+      this.replaceChildren(columns, newColumns);
+
+      // Update range if we inserted columns
+      if (inserted > 0) {
+        columns.attrib.count = Number(idx).toString();
+        root.attrib.ref = this.joinRange(tableRange);
+        if (autoFilter !== null) {
+          // XXX: This is a simplification that may stomp on some configurations
+          autoFilter.attrib.ref = this.joinRange(tableRange);
+        }
+      }
+
+      //update ranges for totalsRowCount
+      const tableRoot = table.root;
+      const tableStart = this.splitRef(tableRange.start);
+      const tableEnd = this.splitRef(tableRange.end);
+
+      tableRange = this.splitRange(tableRoot.attrib.ref);
+
+      if (parseInt(tableRoot.attrib.totalsRowCount, 10) > 0) {
+        autoFilter = tableRoot.find("autoFilter");
+        if (autoFilter !== null) {
+          autoFilter.attrib.ref = this.joinRange({
+            start: this.joinRef(tableStart),
+            end: this.joinRef(tableEnd),
+          });
+        }
+
+        ++tableEnd.row;
+        tableRoot.attrib.ref = this.joinRange({
+          start: this.joinRef(tableStart),
+          end: this.joinRef(tableEnd),
+        });
+      }
+    });
+  }
+
+  // Find the `${<type>:name}` ... `${end<type>}` sections of the sheet. The
+  // directives must be alone in their cells; the opening one sits in the
+  // first row of the section and the closing one in the last row. Directive
+  // cells are removed from the rows. Returns the sections (with the scope of
+  // the substitutions in effect on their first row) and the rows that held
+  // nothing but directives. Sections nested deeper than `maxDepth` are left
+  // untouched, their directives count as regular content.
+  findSections(sheetData, type, scopeOf, maxDepth = Infinity) {
+    const endName = "end" + type;
+    const sections = [];
+    const openSections = [];
+    const directiveRows = [];
+
+    sheetData.findall("row").forEach((row) => {
+      const rowNumber = parseInt(row.attrib.r, 10);
+      let hasDirective = false;
+      let hasContent = false;
+
+      const cells = row.findall("c").filter((cell) => {
+        const cellValue = cell.find("v");
+        const string =
+          cell.attrib.t === "s" && cellValue !== null
+            ? this.sharedStrings[parseInt(cellValue.text, 10)]
+            : undefined;
+        const directive =
+          string !== undefined &&
+          this.extractPlaceholders(string).find(
+            (placeholder) =>
+              placeholder.full &&
+              (placeholder.type === type || placeholder.type === endName)
+          );
+
+        if (!directive) {
+          if (cell.len() > 0) {
+            hasContent = true;
+          }
+          return true;
+        }
+
+        let section;
+        if (directive.type === type) {
+          section = {
+            start: rowNumber,
+            cell: cell.attrib.r,
+            placeholder: directive,
+            scope: scopeOf(row),
+            depth: openSections.length,
+          };
+          openSections.push(section);
+        } else {
+          section = openSections.pop();
+          if (section === undefined) {
+            // In strict modes, stray closing directives are reported and
+            // dropped
+            if (!this.option.strict) {
+              throw new Error(
+                `\${${endName}} without matching \${${type}:...} in cell ${cell.attrib.r}`
+              );
+            }
+            this.reportProblem(
+              cell.attrib.r,
+              directive,
+              `no matching \${${type}:...}`
+            );
+            hasDirective = true;
+            return false;
+          }
+          section.end = rowNumber;
+          if (section.depth <= maxDepth) {
+            sections.push(section);
+          }
+        }
+
+        if (section.depth > maxDepth) {
+          hasContent = true;
+          return true;
+        }
+        hasDirective = true;
+        return false;
+      });
+
+      if (hasDirective) {
+        this.replaceChildren(row, cells);
+        if (!hasContent) {
+          directiveRows.push({ start: rowNumber, end: rowNumber });
+        }
+      }
+    });
+
+    if (openSections.length > 0 && !this.option.strict) {
+      throw new Error(
+        `${openSections[0].placeholder.placeholder} in row ${openSections[0].start} has no matching \${${endName}}`
+      );
+    }
+    // Sections deeper than `maxDepth` are reported once they are reached
+    openSections
+      .filter((section) => section.depth <= maxDepth)
+      .forEach((section) => {
+        this.reportProblem(
+          section.cell,
+          section.placeholder,
+          `no matching \${${endName}}`
+        );
+      });
+
+    return { sections, directiveRows };
+  }
+
+  // Resolve the value of a directive placeholder like `${if:a.b}` in `scope`
+  resolveDirective(placeholder, scope) {
+    const path = placeholder.key
+      ? placeholder.name + "." + placeholder.key
+      : placeholder.name;
+    return this.applyFormatters(get(scope, path), placeholder);
+  }
+
+  // Process `${if:name}` ... `${endif}` sections. When the value under `name`
+  // is falsy (or `!name` is truthy) all rows of the section are removed and
+  // the rows below move up. Directive cells are always removed, as are rows
+  // that held nothing but directives. Returns the number of rows removed.
+  substituteConditionals(
+    sheet,
+    sheetData,
+    namedTables,
+    rels,
+    drawing,
+    scopeOf
+  ) {
+    const { sections, directiveRows } = this.findSections(
+      sheetData,
+      "if",
+      scopeOf
+    );
+
+    const hiddenSections = sections.filter((section) => {
+      const negated = section.placeholder.name[0] === "!";
+      const placeholder = negated
+        ? assign({}, section.placeholder, {
+            name: section.placeholder.name.substring(1),
+          })
+        : section.placeholder;
+      const visible = _isTruthy(
+        this.resolveDirective(placeholder, section.scope)
+      );
+
+      return visible === negated;
+    });
+
+    // Merge the overlapping row ranges, then remove them bottom-up so that the
+    // row numbers of the ranges still to remove stay valid
+    const ranges = hiddenSections
+      .concat(directiveRows)
+      .sort((a, b) => a.start - b.start)
+      .reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1) {
+          last.end = Math.max(last.end, range.end);
+        } else {
+          merged.push({ start: range.start, end: range.end });
+        }
+        return merged;
+      }, []);
+
+    let totalRowsRemoved = 0;
+    ranges.reverse().forEach((range) => {
+      const numRows = range.end - range.start + 1;
+      this.removeRows(sheetData, range.start, numRows);
+      this.shiftRows(
+        this.workbook,
+        sheet.root,
+        namedTables,
+        range.start,
+        -numRows,
+        drawing
+      );
+      totalRowsRemoved += numRows;
+    });
+
+    namedTables
+      .filter((namedTable) => namedTable.removed)
+      .forEach((namedTable) => {
+        this.removeTable(sheet.root, rels.root, namedTable);
+      });
+
+    return totalRowsRemoved;
+  }
+
+  // Find the rows right below a table row that have the same table
+  // placeholders in the same columns, all marked with the `alternate` option:
+  // they give the style of every other row of the table, for zebra striping.
+  // They are removed from the sheet and kept in `alternateRows`, by the table
+  // row they follow. Returns the number of rows removed.
+  findAlternateRows(sheet, sheetData, namedTables, drawing, alternateRows) {
+    // The table placeholders of a row with their column, without their
+    // options, if `alternate` says whether all of them are marked, or ""
+    const tablePlaceholders = (row, alternate) => {
+      const placeholders = row
+        .findall("c")
+        .map((cell) => {
+          const cellValue = cell.find("v");
+          const string =
+            cell.attrib.t === "s" && cellValue !== null
+              ? this.sharedStrings[parseInt(cellValue.text, 10)]
+              : undefined;
+          const placeholders =
+            string === undefined ? [] : this.extractPlaceholders(string);
+          return placeholders.length === 1 &&
+            placeholders[0].full &&
+            placeholders[0].type === "table"
+            ? assign({ col: this.splitRef(cell.attrib.r).col }, placeholders[0])
+            : null;
+        })
+        .filter((placeholder) => placeholder !== null);
+      return placeholders.every(
+        (placeholder) =>
+          Boolean(placeholder.options && placeholder.options.alternate) ===
+          alternate
+      )
+        ? placeholders
+            .map(
+              (placeholder) =>
+                placeholder.col +
+                "=" +
+                [placeholder.name, placeholder.key, placeholder.subType]
+                  .filter((part) => part)
+                  .join(":")
+            )
+            .join(",")
+        : "";
+    };
+
+    const rows = sheetData.findall("row");
+    const removed = [];
+    for (let idx = 0; idx < rows.length - 1; ++idx) {
+      const row = rows[idx];
+      const next = rows[idx + 1];
+      const key = tablePlaceholders(row, false);
+      if (
+        key !== "" &&
+        parseInt(next.attrib.r, 10) === parseInt(row.attrib.r, 10) + 1 &&
+        tablePlaceholders(next, true) === key
+      ) {
+        alternateRows.set(row, next);
+        removed.push(parseInt(next.attrib.r, 10));
+        ++idx;
+      }
+    }
+
+    removed.reverse().forEach((rowNumber) => {
+      this.removeRows(sheetData, rowNumber, 1);
+      this.shiftRows(
+        this.workbook,
+        sheet.root,
+        namedTables,
+        rowNumber,
+        -1,
+        drawing
+      );
+    });
+    return removed.length;
+  }
+
+  // Get the style given by the `rowStyle` option to the row of the element
+  // `idx` of the array `items` of a table, or null. Styles may be given by
+  // their name in the `styles` option.
+  tableRowStyle(items, idx, placeholder) {
+    if (!this.option.rowStyle) {
+      return null;
+    }
+    let styles = this.tableRowStyles.get(items);
+    if (styles === undefined) {
+      styles = [];
+      this.tableRowStyles.set(items, styles);
+    }
+
+    if (styles[idx] === undefined) {
+      let style = this.option.rowStyle(items[idx], idx, placeholder.name);
+      if (typeof style === "string") {
+        if (!this.option.styles || !this.option.styles[style]) {
+          throw new Error(
+            `Unknown style "${style}" for the row ${idx + 1} of ${
+              placeholder.name
+            }`
+          );
+        }
+        style = this.option.styles[style];
+      }
+      styles[idx] = style || null;
+    }
+    return styles[idx];
+  }
+
+  // Process `${each:name}` ... `${endeach}` blocks: the rows of the block are
+  // repeated once for each element of the array under `name`, and the rows
+  // below are pushed down. Inside the block the element is available as
+  // `item` (or under the name given as in `${each:orders:order}`). Cloned
+  // rows are registered in `rowScopes` with the substitutions they should
+  // use. Nested blocks are expanded one level at a time, so that each copy of
+  // an inner block resolves against the element of its own parent copy.
+  // Returns the number of rows inserted (negative if rows were removed).
+  substituteBlocks(
+    sheet,
+    sheetData,
+    namedTables,
+    rels,
+    drawing,
+    rowScopes,
+    scopeOf
+  ) {
+    let rowsInserted = 0;
+
+    for (;;) {
+      const { sections, directiveRows } = this.findSections(
+        sheetData,
+        "each",
+        scopeOf,
+        0
+      );
+      if (sections.length === 0) {
+        break;
+      }
+
+      sections.forEach((section) => {
+        if (
+          this.resolveDirective(section.placeholder, section.scope) ===
+          undefined
+        ) {
+          this.reportProblem(
+            section.cell,
+            section.placeholder,
+            "no value for the items of the block"
+          );
+        }
+      });
+
+      // Remove the rows that only held directives, bottom-up, keeping track
+      // of where the blocks end up
+      directiveRows.reverse().forEach((range) => {
+        this.removeRows(sheetData, range.start, 1);
+        this.shiftRows(
+          this.workbook,
+          sheet.root,
+          namedTables,
+          range.start,
+          -1,
+          drawing
+        );
+        sections.forEach((section) => {
+          const span = _shiftRowSpan(
+            section.start,
+            section.end,
+            range.start,
+            1
+          );
+          section.start = span ? span.start : null;
+          section.end = span ? span.end : null;
+        });
+        --rowsInserted;
+      });
 
-          if (substitution === undefined) {
-            return;
+      // Expand bottom-up so that the row numbers of the blocks above stay
+      // valid
+      sections
+        .filter((section) => section.start !== null)
+        .sort((a, b) => b.start - a.start)
+        .forEach((section) => {
+          let items = this.resolveDirective(section.placeholder, section.scope);
+          if (items === undefined || items === null) {
+            items = [];
+          }
+          if (!(items instanceof Array)) {
+            items = [items];
           }
-          target = target.replace(
-            placeholder.placeholder,
-            _stringify(substitution)
-          );
 
-          relationship.attrib.Target = encodeURI(target);
+          const alias = section.placeholder.subType || "item";
+          rowsInserted += this.expandBlock(
+            sheet,
+            sheetData,
+            namedTables,
+            drawing,
+            section,
+            items.map((item) => assign({}, section.scope, { [alias]: item })),
+            rowScopes
+          );
         });
-      }
-    });
+    }
+
+    namedTables
+      .filter((namedTable) => namedTable.removed)
+      .forEach((namedTable) => {
+        this.removeTable(sheet.root, rels.root, namedTable);
+      });
+
+    return rowsInserted;
   }
 
-  // Perform substitution in table headers
-  substituteTableColumnHeaders(tables, substitutions) {
-    tables.forEach((table) => {
-      const root = table.root;
-      const columns = root.find("tableColumns");
-      let autoFilter = root.find("autoFilter");
-      let tableRange = this.splitRange(root.attrib.ref);
-      let idx = 0;
-      let inserted = 0;
-      const newColumns = [];
+  // Repeat the rows `block.start`..`block.end` once for each of `scopes`,
+  // copying their merged cells and images. Returns the number of rows
+  // inserted below the block (negative if the block was removed).
+  expandBlock(
+    sheet,
+    sheetData,
+    namedTables,
+    drawing,
+    block,
+    scopes,
+    rowScopes
+  ) {
+    const blockSize = block.end - block.start + 1;
+    const numRows = (scopes.length - 1) * blockSize;
+
+    if (scopes.length === 0) {
+      this.removeRows(sheetData, block.start, blockSize);
+      this.shiftRows(
+        this.workbook,
+        sheet.root,
+        namedTables,
+        block.start,
+        -blockSize,
+        drawing
+      );
+      return -blockSize;
+    }
 
-      columns.findall("tableColumn").forEach((col) => {
-        ++idx;
-        col.attrib.id = Number(idx).toString();
-        newColumns.push(col);
+    const rows = sheetData.findall("row");
+    const blockRows = rows.filter((row) => {
+      const rowNumber = parseInt(row.attrib.r, 10);
+      return rowNumber >= block.start && rowNumber <= block.end;
+    });
+    let belowIndex = rows.findIndex(
+      (row) => parseInt(row.attrib.r, 10) > block.end
+    );
+    if (belowIndex === -1) {
+      belowIndex = rows.length;
+    }
 
-        const name = col.attrib.name;
+    blockRows.forEach((row) => {
+      rowScopes.set(row, scopes[0]);
+    });
 
-        this.extractPlaceholders(name).forEach((placeholder) => {
-          const substitution = substitutions[placeholder.name];
-          if (substitution === undefined) {
-            return;
-          }
+    if (numRows === 0) {
+      return 0;
+    }
 
-          // Array -> new columns
-          if (
-            placeholder.full &&
-            placeholder.type === "normal" &&
-            substitution instanceof Array
-          ) {
-            substitution.forEach((element, i) => {
-              let newCol = col;
-              if (i > 0) {
-                newCol = this.cloneElement(newCol);
-                newCol.attrib.id = Number(++idx).toString();
-                newColumns.push(newCol);
-                ++inserted;
-                tableRange.end = this.nextCol(tableRange.end);
-              }
-              newCol.attrib.name = _stringify(element);
-            });
-            // Normal placeholder
-          } else {
-            name = name.replace(
-              placeholder.placeholder,
-              _stringify(substitution)
-            );
-            col.attrib.name = name;
-          }
-        });
+    rows.slice(belowIndex).forEach((row) => {
+      row.attrib.r = parseInt(row.attrib.r, 10) + numRows;
+      row.findall("c").forEach((cell) => {
+        cell.attrib.r = this.getCurrentCell(cell, row.attrib.r, 0);
       });
+    });
 
-      this.replaceChildren(columns, newColumns);
+    // Push down before adding the copies, their formulas are handled below
+    this.shiftRows(
+      this.workbook,
+      sheet.root,
+      namedTables,
+      block.end + 1,
+      numRows,
+      drawing,
+      block.start
+    );
 
-      // Update range if we inserted columns
-      if (inserted > 0) {
-        columns.attrib.count = Number(idx).toString();
-        root.attrib.ref = this.joinRange(tableRange);
-        if (autoFilter !== null) {
-          // XXX: This is a simplification that may stomp on some configurations
-          autoFilter.attrib.ref = this.joinRange(tableRange);
-        }
-      }
+    for (let i = 1; i < scopes.length; ++i) {
+      const offset = i * blockSize;
+      blockRows.forEach((row) => {
+        const newRow = this.cloneElement(row);
+        newRow.attrib.r = this.getCurrentRow(row, offset);
+        newRow.findall("c").forEach((cell) => {
+          cell.attrib.r = this.getCurrentCell(cell, newRow.attrib.r, 0);
+        });
 
-      //update ranges for totalsRowCount
-      const tableRoot = table.root;
-      const tableStart = this.splitRef(tableRange.start);
-      const tableEnd = this.splitRef(tableRange.end);
+        // References within the block point to the same copy
+        newRow.findall("c/f").forEach((formula) => {
+          if (!formula.text) {
+            return;
+          }
+          formula.text = _rewriteFormula(
+            formula.text,
+            sheet.name,
+            sheet.name,
+            (ref) =>
+              ref.startRow !== null &&
+              ref.startRow >= block.start &&
+              ref.endRow <= block.end
+                ? assign({}, ref, {
+                    startRow: ref.startRow + offset,
+                    endRow: ref.endRow + offset,
+                  })
+                : ref
+          );
+        });
 
-      tableRange = this.splitRange(tableRoot.attrib.ref);
+        rowScopes.set(newRow, scopes[i]);
+        rows.splice(belowIndex++, 0, newRow);
+      });
+    }
+    this.replaceChildren(sheetData, rows);
 
-      if (tableRoot.attrib.totalsRowCount) {
-        autoFilter = tableRoot.find("autoFilter");
-        if (autoFilter !== null) {
-          autoFilter.attrib.ref = this.joinRange({
-            start: this.joinRef(tableStart),
-            end: this.joinRef(tableEnd),
-          });
-        }
+    // Copy the merged cells that are within the block
+    const mergeCells = sheet.root.find("mergeCells");
+    sheet.root.findall("mergeCells/mergeCell").forEach((mergeCell) => {
+      const mergeRange = this.splitRange(mergeCell.attrib.ref);
+      const mergeStart = this.splitRef(mergeRange.start);
+      const mergeEnd = this.splitRef(mergeRange.end);
 
-        ++tableEnd.row;
-        tableRoot.attrib.ref = this.joinRange({
-          start: this.joinRef(tableStart),
-          end: this.joinRef(tableEnd),
+      if (mergeStart.row < block.start || mergeEnd.row > block.end) {
+        return;
+      }
+      for (let i = 1; i < scopes.length; ++i) {
+        const newMergeCell = this.cloneElement(mergeCell);
+        newMergeCell.attrib.ref = this.joinRange({
+          start: this.joinRef(
+            assign({}, mergeStart, { row: mergeStart.row + i * blockSize })
+          ),
+          end: this.joinRef(
+            assign({}, mergeEnd, { row: mergeEnd.row + i * blockSize })
+          ),
         });
+        mergeCells.append(newMergeCell);
       }
     });
+    if (mergeCells !== null) {
+      mergeCells.attrib.count = mergeCells.findall("mergeCell").length;
+    }
+
+    // Copy the images anchored within the block
+    if (drawing !== null) {
+      this.copyBlockImages(drawing, block, scopes.length);
+    }
+
+    return numRows;
   }
 
   // Return a list of tokens that may exist in the string.
   // Keys are: `placeholder` (the full placeholder, including the `${}`
   // delineators), `name` (the name part of the token), `key` (the object key
   // for `table` tokens), `full` (boolean indicating whether this placeholder
-  // is the entirety of the string) and `type` (one of `table` or `cell`)
+  // is the entirety of the string), `type` (one of `table` or `cell`, or a
+  // directive such as `if` or `endif`), `options` (the `(name=value, ...)`
+  // following the name, or null), `text` (the path of the text of `link`
+  // placeholders, given as their `text` option, or null) and `formatters`
+  // (the `| name:arg` pipeline applied to the value, in order)
   extractPlaceholders(string) {
+    const cached = this.placeholderCache && this.placeholderCache.get(string);
+    if (cached) {
+      return cached.map(_copyPlaceholder);
+    }
+
     // Yes, that's right. It's a bunch of brackets and question marks and stuff.
-    const re = /\${(?:(.+?):)?(.+?)(?:\.(.+?))?(?::(.+?))??}/g;
+    // Quoted formatter arguments may contain any character, including `}`.
+    const re = /\${((?:"[^"]*"|'[^']*'|[^}"'])+?)}/g;
+    const headRe = /^(?:(.+?):)?(.+?)(?:\.(.+?))?(?::(.+?))??$/;
     const matches = [];
     let match = null;
     while ((match = re.exec(string)) !== null) {
+      const segments = _splitOutsideQuotes(match[1], "|");
+      let headString = segments.shift().trim();
+      let options = null;
+      const optionsMatch = /^(.+?)\(([^()]*)\)$/.exec(headString);
+      if (optionsMatch) {
+        headString = optionsMatch[1].trim();
+        options = _parsePlaceholderOptions(optionsMatch[2]);
+      }
+      const head = headRe.exec(headString);
+      if (head === null) {
+        continue;
+      }
+
+      const closing =
+        head[1] === undefined &&
+        head[3] === undefined &&
+        head[4] === undefined &&
+        CLOSING_DIRECTIVES.includes(head[2]);
+
+      // In links, the `text` option is the path of the text
+      const type = head[1] || "normal";
+      const text =
+        (type === "link" || (type === "table" && head[4] === "link")) &&
+        options &&
+        options.text
+          ? String(options.text)
+          : null;
+
       matches.push({
         placeholder: match[0],
-        type: match[1] || "normal",
-        name: match[2],
-        key: match[3],
-        subType: match[4],
+        type: closing ? head[2] : type,
+        name: head[2],
+        key: head[3],
+        subType: head[4],
+        options,
+        text,
+        formatters: segments.map(_parseFormatter),
         full: match[0].length === string.length,
       });
     }
@@ -1101,6 +4935,50 @@ class Workbook {
     return matches;
   }
 
+  // Split the path of a `table:` placeholder between the array and the key
+  // in each element, using the longest leading part of the path that is an
+  // array in `substitutions`: `${table:order.lines.name}` repeats the rows
+  // for each element of `order.lines` and shows its `name`.
+  resolveTablePlaceholder(placeholder, substitutions) {
+    if (placeholder.type !== "table" || !placeholder.key) {
+      return placeholder;
+    }
+
+    const parts = (placeholder.name + "." + placeholder.key).split(".");
+    for (let i = parts.length - 1; i > 0; --i) {
+      const name = parts.slice(0, i).join(".");
+      if (get(substitutions, name) instanceof Array) {
+        return assign({}, placeholder, {
+          name,
+          key: parts.slice(i).join("."),
+        });
+      }
+    }
+
+    return placeholder;
+  }
+
+  // Run the value through the formatters of the placeholder. Arrays are
+  // formatted element by element, as each element ends up in its own cell.
+  applyFormatters(value, placeholder) {
+    if (!placeholder.formatters || placeholder.formatters.length === 0) {
+      return value;
+    }
+    if (value instanceof Array) {
+      return value.map((element) => this.applyFormatters(element, placeholder));
+    }
+
+    return placeholder.formatters.reduce((result, formatter) => {
+      const fn = this.formatters[formatter.name];
+      if (typeof fn !== "function") {
+        throw new Error(
+          `Unknown formatter "${formatter.name}" in ${placeholder.placeholder}`
+        );
+      }
+      return fn.call(this, result, ...formatter.args);
+    }, value);
+  }
+
   // Split a reference into an object with keys `row` and `col` and,
   // optionally, `table`, `rowAbsolute` and `colAbsolute`.
   splitRef(ref) {
@@ -1127,16 +5005,16 @@ class Workbook {
 
   // Get the next column's cell reference given a reference like "B2".
   nextCol(ref) {
-    return upperCase(ref).replace(/[A-Z]+/, (match) =>
-      _numToChar(_charToNum(match) + 1)
-    );
+    return ref
+      .toUpperCase()
+      .replace(/[A-Z]+/, (match) => _numToChar(_charToNum(match) + 1));
   }
 
   // Get the next row's cell reference given a reference like "B2".
   nextRow(ref) {
-    return upperCase(ref).replace(/[0-9]+/, (match) =>
-      (parseInt(match, 10) + 1).toString()
-    );
+    return ref
+      .toUpperCase()
+      .replace(/[0-9]+/, (match) => (parseInt(match, 10) + 1).toString());
   }
 
   // Is ref a range?
@@ -1164,6 +5042,10 @@ class Workbook {
 
   // Insert a substitution value into a cell (c tag)
   insertCellValue(cell, substitution) {
+    substitution = this.cellValueOf(cell, substitution);
+    if (_isHyperlink(substitution)) {
+      substitution = this.addHyperlink(cell, substitution);
+    }
     const cellValue = cell.find("v");
     const stringified = _stringify(substitution);
 
@@ -1176,6 +5058,16 @@ class Workbook {
       return formula.text;
     }
 
+    if (_isRichText(substitution)) {
+      const runs = substitution.map((run) => ({
+        props: _runProperties(run),
+        text: _stringify(run.text),
+      }));
+      cell.attrib.t = "s";
+      cellValue.text = Number(this.addRichString(runs)).toString();
+      return this.sharedStrings[cellValue.text];
+    }
+
     if (typeof substitution === "number" || substitution instanceof Date) {
       delete cell.attrib.t;
       cellValue.text = stringified;
@@ -1192,9 +5084,41 @@ class Workbook {
 
   // Perform substitution of a single value
   substituteScalar(cell, string, placeholder, substitution) {
-    if (placeholder.full) {
+    substitution = this.cellValueOf(cell, substitution);
+    if (_isHyperlink(substitution)) {
+      substitution = this.addHyperlink(cell, substitution);
+    }
+    const isRichText = _isRichText(substitution);
+    let runs = this.cellRichText(cell);
+
+    // Keep the formatting of the run holding the placeholder when a string
+    // replaces it
+    if (
+      placeholder.full &&
+      !(runs && typeof substitution === "string" && substitution[0] !== "=")
+    ) {
       return this.insertCellValue(cell, substitution);
     }
+    if (!runs && isRichText) {
+      runs = [{ props: null, text: string }];
+    }
+    if (runs) {
+      const newRuns = _replaceInRuns(
+        runs,
+        string.indexOf(placeholder.placeholder),
+        placeholder.placeholder.length,
+        isRichText
+          ? substitution.map((run) => ({
+              props: _runProperties(run),
+              text: _stringify(run.text),
+            }))
+          : _stringify(substitution)
+      );
+      cell.attrib.t = "s";
+      cell.find("v").text = Number(this.addRichString(newRuns)).toString();
+      return this.sharedStrings[cell.find("v").text];
+    }
+
     const newString = string.replace(
       placeholder.placeholder,
       _stringify(substitution)
@@ -1250,17 +5174,52 @@ class Workbook {
         const range = this.splitRange(namedTable.root.attrib.ref);
         return this.isWithin(cell.attrib.r, range.start, range.end);
       });
+      // The style of a value only applies to its own row. Every other row
+      // takes its style from the alternate row of the table, if any.
+      const templateStyle = cell.attrib.s;
+      const alternateRow = this.alternateRows && this.alternateRows.get(row);
+      const alternateCell =
+        alternateRow &&
+        alternateRow
+          .findall("c")
+          .find(
+            (other) =>
+              this.splitRef(other.attrib.r).col ===
+              this.splitRef(cell.attrib.r).col
+          );
 
       substitution.forEach((element, idx) => {
         let newRow;
         let newCell;
         let newCellsInsertedOnNewRow = 0;
         const newCells = [];
-        const value = get(element, key, "");
+        const value =
+          placeholder.subType === "link"
+            ? this.linkSubstitution(
+                _tableValue(element, key),
+                placeholder.text
+                  ? _tableValue(element, placeholder.text)
+                  : undefined,
+                placeholder
+              )
+            : this.applyFormatters(_tableValue(element, key), placeholder);
+        const rowStyle = this.tableRowStyle(substitution, idx, placeholder);
+        const alternate = idx % 2 === 1 && alternateRow;
+        const setStyle = (target, style) => {
+          if (rowStyle) {
+            style = String(this.cellStyle(parseInt(style, 10) || 0, rowStyle));
+          }
+          if (style === undefined) {
+            delete target.attrib.s;
+          } else {
+            target.attrib.s = style;
+          }
+        };
 
         if (idx === 0) {
           // insert in the row where the placeholders are
-          if (value instanceof Array) {
+          setStyle(cell, templateStyle);
+          if (value instanceof Array && !_isRichText(value)) {
             newCellsInserted = this.substituteArray(cells, cell, value);
           } else if (placeholder.subType == "image" && value != "") {
             this.substituteImage(
@@ -1280,19 +5239,23 @@ class Workbook {
           if (idx - 1 < newTableRows.length) {
             newRow = newTableRows[idx - 1];
           } else {
-            newRow = this.cloneElement(row, false);
+            newRow = this.cloneElement(alternate ? alternateRow : row, false);
             newRow.attrib.r = this.getCurrentRow(row, newTableRows.length + 1);
             newTableRows.push(newRow);
           }
 
           // Create a new cell
           newCell = this.cloneElement(cell);
+          setStyle(
+            newCell,
+            alternate && alternateCell ? alternateCell.attrib.s : templateStyle
+          );
           newCell.attrib.r = this.joinRef({
             row: newRow.attrib.r,
             col: this.splitRef(newCell.attrib.r).col,
           });
 
-          if (value instanceof Array) {
+          if (value instanceof Array && !_isRichText(value)) {
             newCellsInsertedOnNewRow = this.substituteArray(
               newCells,
               newCell,
@@ -1343,105 +5306,90 @@ class Workbook {
   }
 
   substituteImage(cell, string, placeholder, substitution, drawing) {
+    const source = substitution;
     this.substituteScalar(cell, string, placeholder, "");
     if (substitution == null || substitution == "") {
       // TODO : @kant2002 if image is null or empty string in user substitution data, throw an error or not ?
       // If yes, remove this test.
       return true;
     }
-    // get max refid
-    // update rel file.
-    const maxId = this.findMaxId(
-      drawing.relRoot,
-      "Relationship",
-      "Id",
-      /rId(\d*)/
-    );
-    const maxFildId = this.findMaxFileId(
-      /xl\/media\/image\d*.jpg/,
-      /image(\d*)\.jpg/
-    );
-    const rel = etree.SubElement(drawing.relRoot, "Relationship");
-    rel.set("Id", "rId" + maxId);
-    rel.set(
-      "Type",
-      "http://schemas.openxmlformats.org/officeDocument/2006/relationships/image"
-    );
-
-    rel.set("Target", "../media/image" + maxFildId + ".jpg");
-
     try {
       substitution = this.imageToBuffer(substitution);
     } catch (error) {
+      // In strict modes, invalid images are reported instead of thrown
+      if (this.option.strict) {
+        this.reportProblem(
+          cell.attrib.r,
+          placeholder,
+          "invalid image: " + error.message
+        );
+        return true;
+      }
       if (
         this.option &&
         this.option.handleImageError &&
         typeof this.option.handleImageError === "function"
       ) {
         this.option.handleImageError(substitution, error);
-      } else {
-        throw error;
+        return true;
       }
+      throw error;
     }
+    const dimension = sizeOf(substitution);
 
-    // put image to media.
-    this.archive.file(
-      "xl/media/image" + maxFildId + ".jpg",
-      _toArrayBuffer(substitution),
-      { binary: true, base64: false }
+    const layout = this.imageLayout(
+      cell,
+      placeholder,
+      dimension,
+      isPlainObject(source) && (source.width || source.height) ? source : null
     );
-    const dimension = sizeOf(substitution);
-    let imageWidth = this.pixelsToEMUs(dimension.width);
-    let imageHeight = this.pixelsToEMUs(dimension.height);
-    let imageInMergeCell = false;
-    this.sheet.root.findall("mergeCells/mergeCell").forEach((mergeCell) => {
-      // If image is in merge cell, fit the image
-      if (this.cellInMergeCells(cell, mergeCell)) {
-        const mergeCellWidth = this.getWidthMergeCell(mergeCell, this.sheet);
-        const mergeCellHeight = this.getHeightMergeCell(mergeCell, this.sheet);
-        const mergeWidthEmus = this.columnWidthToEMUs(mergeCellWidth);
-        const mergeHeightEmus = this.rowHeightToEMUs(mergeCellHeight);
-        // Maybe we can add an option for fit image to mergecell if image is more little. Not by default
-
-        let widthRate = imageWidth / mergeWidthEmus;
-        let heightRate = imageHeight / mergeHeightEmus;
-        if (widthRate > heightRate) {
-          imageWidth = Math.floor(imageWidth / widthRate);
-          imageHeight = Math.floor(imageHeight / widthRate);
-        } else {
-          imageWidth = Math.floor(imageWidth / heightRate);
-          imageHeight = Math.floor(imageHeight / heightRate);
-        }
-        imageInMergeCell = true;
-      }
-    });
-    if (imageInMergeCell == false) {
-      let ratio = 100;
-      if (this.option && this.option.imageRatio) {
-        ratio = this.option.imageRatio;
-      }
-      if (ratio <= 0) {
-        ratio = 100;
-      }
-      imageWidth = Math.floor((imageWidth * ratio) / 100);
-      imageHeight = Math.floor((imageHeight * ratio) / 100);
-    }
-    const imagePart = etree.SubElement(drawing.root, "xdr:oneCellAnchor");
-    const fromPart = etree.SubElement(imagePart, "xdr:from");
-    const fromCol = etree.SubElement(fromPart, "xdr:col");
-    fromCol.text = (
-      _charToNum(this.splitRef(cell.attrib.r).col) - 1
-    ).toString();
-    const fromColOff = etree.SubElement(fromPart, "xdr:colOff");
-    fromColOff.text = "0";
-    const fromRow = etree.SubElement(fromPart, "xdr:row");
-    fromRow.text = (this.splitRef(cell.attrib.r).row - 1).toString();
-    const fromRowOff = etree.SubElement(fromPart, "xdr:rowOff");
-    fromRowOff.text = "0";
-    const extImagePart = etree.SubElement(imagePart, "xdr:ext", {
-      cx: imageWidth,
-      cy: imageHeight,
-    });
+    const imageWidth = layout.width;
+    const imageHeight = layout.height;
+
+    // put image to media, with a PNG fallback for SVG images
+    const maxId = this.findMaxId(
+      drawing.relRoot,
+      "Relationship",
+      "Id",
+      /rId(\d*)/
+    );
+    let embedId;
+    let svgId = null;
+    if (dimension.type === "svg") {
+      svgId = this.addImageMedia(drawing, substitution, "svg");
+      const fallback =
+        isPlainObject(source) && source.fallback
+          ? this.imageToBuffer(source.fallback)
+          : TRANSPARENT_PNG;
+      embedId = this.addImageMedia(drawing, fallback, sizeOf(fallback).type);
+    } else {
+      embedId = this.addImageMedia(drawing, substitution, dimension.type);
+    }
+
+    // Anchor the image at its offset within the cell (or merge cell)
+    const area = layout.area;
+    const x = this.alignOffset(layout.align, area.width, imageWidth);
+    const y = this.alignOffset(layout.valign, area.height, imageHeight);
+    const imagePart = etree.SubElement(
+      drawing.root,
+      layout.anchor === "twoCell" ? "xdr:twoCellAnchor" : "xdr:oneCellAnchor"
+    );
+    this.placedImages.add(imagePart);
+    this.addAnchorPoint(imagePart, "xdr:from", area, x, y);
+    if (layout.anchor === "twoCell") {
+      this.addAnchorPoint(
+        imagePart,
+        "xdr:to",
+        area,
+        x + imageWidth,
+        y + imageHeight
+      );
+    } else {
+      etree.SubElement(imagePart, "xdr:ext", {
+        cx: imageWidth,
+        cy: imageHeight,
+      });
+    }
     const picNode = etree.SubElement(imagePart, "xdr:pic");
     const nvPicPr = etree.SubElement(picNode, "xdr:nvPicPr");
     const cNvPr = etree.SubElement(nvPicPr, "xdr:cNvPr", {
@@ -1457,8 +5405,21 @@ class Workbook {
     const blip = etree.SubElement(blipFill, "a:blip", {
       "xmlns:r":
         "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
-      "r:embed": "rId" + maxId,
+      "r:embed": embedId,
     });
+    if (svgId) {
+      const extLst = etree.SubElement(blip, "a:extLst");
+      const svgExt = etree.SubElement(extLst, "a:ext", {
+        uri: SVG_BLIP_EXTENSION,
+      });
+      etree.SubElement(svgExt, "asvg:svgBlip", {
+        "xmlns:asvg": SVG_NAMESPACE,
+        "r:embed": svgId,
+      });
+    }
+    if (layout.crop) {
+      etree.SubElement(blipFill, "a:srcRect", layout.crop);
+    }
     const stretch = etree.SubElement(blipFill, "a:stretch");
     const fillRect = etree.SubElement(stretch, "a:fillRect");
     const spPr = etree.SubElement(picNode, "xdr:spPr");
@@ -1474,6 +5435,198 @@ class Workbook {
     return true;
   }
 
+  // The area covered by a cell, or by the merge cell it is part of: its
+  // first column and row (1-based) and its size in EMUs
+  imageArea(cell) {
+    const ref = this.splitRef(cell.attrib.r);
+    const area = {
+      startCol: _charToNum(ref.col),
+      startRow: ref.row,
+      endCol: _charToNum(ref.col),
+      endRow: ref.row,
+      merged: false,
+    };
+    this.sheet.root.findall("mergeCells/mergeCell").forEach((mergeCell) => {
+      if (this.cellInMergeCells(cell, mergeCell)) {
+        const range = this.splitRange(mergeCell.attrib.ref);
+        area.startCol = _charToNum(this.splitRef(range.start).col);
+        area.startRow = this.splitRef(range.start).row;
+        area.endCol = _charToNum(this.splitRef(range.end).col);
+        area.endRow = this.splitRef(range.end).row;
+        area.merged = true;
+      }
+    });
+
+    area.width = 0;
+    for (let col = area.startCol; col <= area.endCol; ++col) {
+      area.width += this.columnWidthToEMUs(this.getWidthCell(col, this.sheet));
+    }
+    area.height = 0;
+    for (let row = area.startRow; row <= area.endRow; ++row) {
+      area.height += this.rowHeightToEMUs(this.getHeightCell(row, this.sheet));
+    }
+    return area;
+  }
+
+  // Size (in EMUs), crop and placement of an image from the options of its
+  // placeholder, e.g. `${image:logo(width=120,fit=contain,align=center)}`.
+  // The `width` and `height` of `size`, given with the image, replace those
+  // of the options. Without size options, images fill their merge cell or
+  // follow `imageRatio`.
+  imageLayout(cell, placeholder, dimension, size = null) {
+    const options = assign(
+      {},
+      placeholder.options,
+      size ? { width: size.width, height: size.height } : {}
+    );
+    const allowed = {
+      fit: ["contain", "cover", "fill"],
+      anchor: ["oneCell", "twoCell"],
+      align: ["left", "center", "right"],
+      valign: ["top", "middle", "bottom"],
+    };
+    // Invalid values are reported in strict modes, and replaced by the
+    // default otherwise
+    Object.keys(allowed).forEach((name) => {
+      if (
+        options[name] !== undefined &&
+        allowed[name].indexOf(options[name]) === -1
+      ) {
+        this.reportProblem(
+          cell.attrib.r,
+          placeholder,
+          `invalid image option ${name}="${options[name]}"`
+        );
+        delete options[name];
+      }
+    });
+
+    const area = this.imageArea(cell);
+    const naturalWidth = this.pixelsToEMUs(dimension.width);
+    const naturalHeight = this.pixelsToEMUs(dimension.height);
+    let width = naturalWidth;
+    let height = naturalHeight;
+    let crop = null;
+    const sized = ["width", "height", "maxWidth", "maxHeight", "fit"].some(
+      (name) => options[name] !== undefined
+    );
+
+    if (!sized && area.merged) {
+      // If image is in merge cell, fit the image
+      const rate = Math.max(width / area.width, height / area.height);
+      width /= rate;
+      height /= rate;
+    } else if (!sized) {
+      let ratio = 100;
+      if (this.option && this.option.imageRatio) {
+        ratio = this.option.imageRatio;
+      }
+      if (ratio <= 0) {
+        ratio = 100;
+      }
+      width = (width * ratio) / 100;
+      height = (height * ratio) / 100;
+    } else {
+      // The box is the given size, or the cell for the missing dimensions
+      const boxWidth = options.width
+        ? this.pixelsToEMUs(Number(options.width))
+        : area.width;
+      const boxHeight = options.height
+        ? this.pixelsToEMUs(Number(options.height))
+        : area.height;
+      const containRate = Math.min(
+        boxWidth / naturalWidth,
+        boxHeight / naturalHeight
+      );
+      const coverRate = Math.max(
+        boxWidth / naturalWidth,
+        boxHeight / naturalHeight
+      );
+
+      if (options.fit === "contain") {
+        width = naturalWidth * containRate;
+        height = naturalHeight * containRate;
+      } else if (options.fit === "cover") {
+        // Fill the box and crop what overflows, evenly on both sides
+        width = boxWidth;
+        height = boxHeight;
+        const cropX = (1 - boxWidth / (naturalWidth * coverRate)) / 2;
+        const cropY = (1 - boxHeight / (naturalHeight * coverRate)) / 2;
+        crop = {
+          l: Math.round(cropX * 100000),
+          t: Math.round(cropY * 100000),
+          r: Math.round(cropX * 100000),
+          b: Math.round(cropY * 100000),
+        };
+      } else if (options.fit === "fill" || (options.width && options.height)) {
+        width = boxWidth;
+        height = boxHeight;
+      } else if (options.width) {
+        width = boxWidth;
+        height = (naturalHeight * boxWidth) / naturalWidth;
+      } else if (options.height) {
+        width = (naturalWidth * boxHeight) / naturalHeight;
+        height = boxHeight;
+      }
+
+      // Shrink (keeping the aspect ratio) to the maximum bounds
+      const maxRate = Math.min(
+        1,
+        options.maxWidth ? this.pixelsToEMUs(options.maxWidth) / width : 1,
+        options.maxHeight ? this.pixelsToEMUs(options.maxHeight) / height : 1
+      );
+      width *= maxRate;
+      height *= maxRate;
+    }
+
+    return {
+      area,
+      width: Math.floor(width),
+      height: Math.floor(height),
+      crop,
+      anchor: options.anchor || "oneCell",
+      align: options.align || "left",
+      valign: options.valign || "top",
+    };
+  }
+
+  // Offset (in EMUs) of an image of `size` aligned within `space`
+  alignOffset(align, space, size) {
+    if (align === "center" || align === "middle") {
+      return Math.max(0, Math.floor((space - size) / 2));
+    }
+    if (align === "right" || align === "bottom") {
+      return Math.max(0, space - size);
+    }
+    return 0;
+  }
+
+  // Add the `xdr:from` or `xdr:to` point of an anchor, `x` and `y` EMUs
+  // right and below the top left corner of `area`, as a cell and an offset
+  // within it
+  addAnchorPoint(anchor, tag, area, x, y) {
+    let col = area.startCol;
+    let row = area.startRow;
+    let width = this.columnWidthToEMUs(this.getWidthCell(col, this.sheet));
+    while (x >= width && col < MAX_COLUMNS) {
+      x -= width;
+      ++col;
+      width = this.columnWidthToEMUs(this.getWidthCell(col, this.sheet));
+    }
+    let height = this.rowHeightToEMUs(this.getHeightCell(row, this.sheet));
+    while (y >= height && row < MAX_ROWS) {
+      y -= height;
+      ++row;
+      height = this.rowHeightToEMUs(this.getHeightCell(row, this.sheet));
+    }
+
+    const point = etree.SubElement(anchor, tag);
+    etree.SubElement(point, "xdr:col").text = (col - 1).toString();
+    etree.SubElement(point, "xdr:colOff").text = Math.round(x).toString();
+    etree.SubElement(point, "xdr:row").text = (row - 1).toString();
+    etree.SubElement(point, "xdr:rowOff").text = Math.round(y).toString();
+  }
+
   // Clone an element. If `deep` is true, recursively clone children
   cloneElement(element, deep) {
     const newElement = etree.Element(element.tag, element.attrib);
@@ -1538,13 +5691,326 @@ class Workbook {
     return range.start + ":" + range.end;
   }
 
-  // Look for any merged cell or named range definitions to the right of
-  // `currentCell` and push right by `numCols`.
+  // Rewrite the formulas of every sheet that refer to cells of the current
+  // sheet with `transform` (see `_rewriteFormula()`). The current sheet is
+  // updated in memory right away. During a substitution, the transforms for
+  // the other sheets are queued in `formulaTransforms` and applied once at
+  // the end, so that each sheet is parsed once; otherwise they are applied
+  // now.
+  updateFormulaReferences(transform) {
+    _rewriteSheetFormulas(
+      this.sheet.root,
+      this.sheet.name,
+      this.sheet.name,
+      transform
+    );
+    if (this.formulaTransforms !== null) {
+      this.formulaTransforms.push(transform);
+    } else {
+      this.updateOtherFormulaReferences(transform);
+    }
+  }
+
+  // Rewrite with `transform` the formulas of the sheets other than the
+  // current one that refer to cells of the current sheet, writing them back
+  // to the archive. The ranges of charts and pivot caches follow too, see
+  // `updatePivotCacheSources()` for `sourceRanges`.
+  updateOtherFormulaReferences(transform, sourceRanges = null) {
+    const sheetName = this.sheet.name;
+    this.sheets.forEach((sheet) => {
+      if (sheet.filename === this.sheet.filename) {
+        return;
+      }
+
+      const text = this.archive.file(sheet.filename).asText();
+      if (text.indexOf(sheetName.replace(/'/g, "''")) === -1) {
+        return;
+      }
+
+      const root = etree.parse(text).getroot();
+      if (_rewriteSheetFormulas(root, sheetName, sheet.name, transform)) {
+        this.archive.file(sheet.filename, etree.tostring(root));
+      }
+    });
+
+    this.updateChartReferences(transform);
+    this.updatePivotCacheSources(transform, sourceRanges);
+  }
+
+  // Get the filenames of the charts of every sheet, found through the
+  // relationships of the sheet drawings
+  chartFilenames() {
+    const relsOf = (filename) => {
+      const relsFilename =
+        path.dirname(filename) + "/_rels/" + path.basename(filename) + ".rels";
+      return this.archive.file(relsFilename) === null
+        ? []
+        : this.parsePart(relsFilename)
+            .findall("Relationship")
+            .filter((rel) => rel.attrib.TargetMode !== "External")
+            .map((rel) => ({
+              type: rel.attrib.Type,
+              filename: path
+                .join(path.dirname(filename), rel.attrib.Target)
+                .replace(/\\/g, "/"),
+            }));
+    };
+
+    const charts = [];
+    this.sheets.forEach((sheet) => {
+      relsOf(sheet.filename)
+        .filter((rel) => rel.type === DRAWING_RELATIONSHIP)
+        .forEach((drawing) => {
+          relsOf(drawing.filename)
+            .filter((rel) => rel.type === CHART_RELATIONSHIP)
+            .forEach((chart) => {
+              if (
+                charts.indexOf(chart.filename) === -1 &&
+                this.archive.file(chart.filename) !== null
+              ) {
+                charts.push(chart.filename);
+              }
+            });
+        });
+    });
+    return charts;
+  }
+
+  // Rewrite the series, categories and values of the charts that refer to
+  // cells of the current sheet with `transform`. The cached values of the
+  // rewritten references are dropped so that they are read from the cells.
+  updateChartReferences(transform) {
+    const sheetName = this.sheet.name;
+    const quotedName = sheetName.replace(/'/g, "''");
+
+    this.chartFilenames().forEach((filename) => {
+      const text = this.archive.file(filename).asText();
+      if (text.indexOf(quotedName) === -1) {
+        return;
+      }
+
+      const root = etree.parse(text).getroot();
+      let changed = false;
+      ["c:numRef", "c:strRef", "c:multiLvlStrRef"]
+        .reduce((refs, tag) => refs.concat(root.findall(".//" + tag)), [])
+        .forEach((ref) => {
+          const formula = ref.find("c:f");
+          if (formula === null || !formula.text) {
+            return;
+          }
+
+          // Chart references always name their sheet
+          const newText = _rewriteFormula(
+            formula.text,
+            sheetName,
+            null,
+            transform
+          );
+          if (newText === formula.text) {
+            return;
+          }
+          formula.text = newText;
+          ["c:numCache", "c:strCache", "c:multiLvlStrCache"].forEach((tag) => {
+            const cache = ref.find(tag);
+            if (cache !== null) {
+              ref.remove(cache);
+            }
+          });
+          changed = true;
+        });
+
+      if (changed) {
+        this.archive.file(filename, etree.tostring(root));
+      }
+    });
+  }
+
+  // The ranges (as formulas naming the current sheet) of the named `tables`
+  // of the current sheet and of the defined names referring to it, by name.
+  // Pivot caches may read them, see `updatePivotCacheSources()`.
+  namedSourceRanges(tables) {
+    const sheetName = this.sheet.name;
+    const ranges = new Map();
+    tables.forEach((table) => {
+      ranges.set(
+        table.root.attrib.name,
+        `'${sheetName.replace(/'/g, "''")}'!${table.root.attrib.ref}`
+      );
+    });
+    this.workbook.findall("definedNames/definedName").forEach((name) => {
+      let found = false;
+      _rewriteFormula(name.text || "", sheetName, null, (ref) => {
+        found = true;
+        return ref;
+      });
+      if (found) {
+        ranges.set(name.attrib.name, name.text);
+      }
+    });
+    return ranges;
+  }
+
+  // Rewrite the ranges of the pivot caches that read cells of the current
+  // sheet with `transform`. Caches whose range changes, directly or through
+  // a named table or range, are flagged to be refreshed when the workbook is
+  // opened. `sourceRanges` gives the ranges of the names as they were before
+  // `transform` (see `namedSourceRanges()`); by default they are read now.
+  updatePivotCacheSources(transform, sourceRanges = null) {
+    const sheetName = this.sheet.name;
+
+    this.workbookRels
+      .findall("Relationship[@Type='" + PIVOT_CACHE_RELATIONSHIP + "']")
+      .forEach((rel) => {
+        const filename = this.prefix + "/" + rel.attrib.Target;
+        if (this.archive.file(filename) === null) {
+          return;
+        }
+        const root = this.parsePart(filename);
+        const source = root.find("cacheSource/worksheetSource");
+        if (source === null || source.attrib["r:id"]) {
+          return;
+        }
+
+        if (source.attrib.ref && source.attrib.sheet === sheetName) {
+          const ref = _rewriteFormula(
+            source.attrib.ref,
+            sheetName,
+            sheetName,
+            transform
+          );
+          if (ref === source.attrib.ref || ref.indexOf("#REF!") !== -1) {
+            return;
+          }
+          source.attrib.ref = ref;
+        } else if (source.attrib.name) {
+          if (sourceRanges === null) {
+            sourceRanges = this.namedSourceRanges(
+              this.loadTables(this.sheet.root, this.sheet.filename)
+            );
+          }
+          const range = sourceRanges.get(source.attrib.name);
+          if (
+            range === undefined ||
+            _rewriteFormula(range, sheetName, null, transform) === range
+          ) {
+            return;
+          }
+        } else {
+          return;
+        }
+
+        root.attrib.refreshOnLoad = "1";
+        this.archive.file(filename, etree.tostring(root));
+      });
+  }
+
+  // Rewrite the ranges (`sqref`) of the conditional formats and data
+  // validations of a sheet with `transform`, which works as for
+  // `updateFormulaReferences()`. Rules left without cells are removed.
+  updateSqrefs(sheet, transform) {
+    const rewrite = (sqref) =>
+      (sqref || "")
+        .split(/\s+/)
+        .filter((range) => range !== "")
+        .map((range) => {
+          const [startRef, endRef = startRef] = range.split(":");
+          const start = _splitFormulaRef(startRef);
+          const end = _splitFormulaRef(endRef);
+          const result = transform({
+            startRow: start.row,
+            endRow: end.row,
+            startCol: start.col,
+            endCol: end.col,
+          });
+          if (result === null) {
+            return null;
+          }
+
+          start.row = result.startRow;
+          start.col = result.startCol;
+          end.row = result.endRow;
+          end.col = result.endCol;
+          const newStart = _joinFormulaRef(start);
+          const newEnd = _joinFormulaRef(end);
+          return newStart === newEnd ? newStart : newStart + ":" + newEnd;
+        })
+        .filter((range) => range !== null)
+        .join(" ");
+
+    // Rules of Excel 2010 and later are kept in the extensions of the sheet
+    const extensions = sheet.findall("extLst/ext");
+    [
+      [sheet, "conditionalFormatting", null],
+      [sheet.find("dataValidations"), "dataValidation", null],
+    ]
+      .concat(
+        extensions.map((ext) => [
+          ext.find("x14:conditionalFormattings"),
+          "x14:conditionalFormatting",
+          "xm:sqref",
+        ]),
+        extensions.map((ext) => [
+          ext.find("x14:dataValidations"),
+          "x14:dataValidation",
+          "xm:sqref",
+        ])
+      )
+      .forEach(([parent, tag, sqrefTag]) => {
+        if (parent === null) {
+          return;
+        }
+        parent.findall(tag).forEach((rule) => {
+          const sqrefElement = sqrefTag ? rule.find(sqrefTag) : null;
+          if (sqrefTag && sqrefElement === null) {
+            return;
+          }
+          const sqref = rewrite(
+            sqrefTag ? sqrefElement.text : rule.attrib.sqref
+          );
+          if (sqref === "") {
+            parent.remove(rule);
+          } else if (sqrefTag) {
+            sqrefElement.text = sqref;
+          } else {
+            rule.attrib.sqref = sqref;
+          }
+        });
+        if (parent !== sheet && parent.attrib.count !== undefined) {
+          parent.attrib.count = parent.findall(tag).length;
+        }
+      });
+  }
+
+  // Look for any merged cell, named range, conditional format or data
+  // validation definitions to the right of `currentCell` and push right by
+  // `numCols`.
   pushRight(workbook, sheet, currentCell, numCols) {
     const cellRef = this.splitRef(currentCell);
     const currentRow = cellRef.row;
     const currentCol = _charToNum(cellRef.col);
 
+    // Formulas and rules referring to cells on the same row: ranges covering
+    // the current cell grow, references to the right move right
+    const transform = (ref) => {
+      if (
+        ref.startCol === null ||
+        ref.startRow !== currentRow ||
+        ref.endRow !== currentRow
+      ) {
+        return ref;
+      }
+      const span = _growRowSpan(
+        ref.startCol,
+        ref.endCol,
+        currentCol,
+        currentCol,
+        numCols
+      );
+      return assign({}, ref, { startCol: span.start, endCol: span.end });
+    };
+    this.updateFormulaReferences(transform);
+    this.updateSqrefs(sheet, transform);
+
     // Update merged cells on the same row, at a higher column
     sheet.findall("mergeCells/mergeCell").forEach((mergeCell) => {
       const mergeRange = this.splitRange(mergeCell.attrib.ref);
@@ -1599,27 +6065,42 @@ class Workbook {
 
   // Look for any merged cell, named table or named range definitions below
   // `currentRow` and push down by `numRows` (used when rows are inserted).
-  pushDown(workbook, sheet, tables, currentRow, numRows) {
-    const mergeCells = sheet.find("mergeCells");
+  pushDown(workbook, sheet, tables, currentRow, numRows, drawing = null) {
+    // The tables around this row already grew with it, see substituteTable()
+    const tablesBelow = tables.filter((table) => {
+      const tableRange = this.splitRange(table.root.attrib.ref);
+      return this.splitRef(tableRange.start).row > currentRow;
+    });
+    this.shiftRows(
+      workbook,
+      sheet,
+      tablesBelow,
+      currentRow + 1,
+      numRows,
+      drawing
+    );
+
+    // Images on this row move down too with `moveSameLineImages`
+    if (
+      drawing !== null &&
+      this.option.moveImages &&
+      this.option.moveSameLineImages
+    ) {
+      this.moveAnchors(drawing, (start, end) =>
+        start === currentRow
+          ? { start: start + numRows, end: end + numRows }
+          : { start, end }
+      );
+    }
 
-    // Update merged cells below this row
+    //add new merge cell
+    const mergeCells = sheet.find("mergeCells");
     sheet.findall("mergeCells/mergeCell").forEach((mergeCell) => {
       const mergeRange = this.splitRange(mergeCell.attrib.ref);
       const mergeStart = this.splitRef(mergeRange.start);
       const mergeEnd = this.splitRef(mergeRange.end);
 
-      if (mergeStart.row > currentRow) {
-        mergeStart.row += numRows;
-        mergeEnd.row += numRows;
-
-        mergeCell.attrib.ref = this.joinRange({
-          start: this.joinRef(mergeStart),
-          end: this.joinRef(mergeEnd),
-        });
-      }
-
-      //add new merge cell
-      if (mergeStart.row == currentRow) {
+      if (mergeStart.row == currentRow && mergeEnd.row == currentRow) {
         for (let i = 1; i <= numRows; i++) {
           const newMergeCell = this.cloneElement(mergeCell);
           mergeStart.row += 1;
@@ -1633,76 +6114,247 @@ class Workbook {
         }
       }
     });
+  }
+
+  // Remove `numRows` rows starting at `fromRow` from `sheetData` and move the
+  // rows below up.
+  removeRows(sheetData, fromRow, numRows) {
+    const rows = sheetData.findall("row").filter((row) => {
+      const rowNumber = parseInt(row.attrib.r, 10);
+      if (rowNumber >= fromRow + numRows) {
+        row.attrib.r = rowNumber - numRows;
+        row.findall("c").forEach((cell) => {
+          cell.attrib.r = this.getCurrentCell(cell, row.attrib.r, 0);
+        });
+      }
+      return rowNumber < fromRow || rowNumber >= fromRow + numRows;
+    });
+
+    this.replaceChildren(sheetData, rows);
+  }
+
+  // Update whatever refers to the rows of `sheet` once rows were inserted or
+  // removed. A positive `delta` inserts `delta` rows at `startRow`, repeating
+  // the rows `blockStart`..`startRow - 1`: what is below moves down and what
+  // covers the repeated rows grows. A negative `delta` removes `-delta` rows
+  // from `startRow` on: what is below moves up, what spans them shrinks and
+  // what lies within them is dropped. This covers the formulas of the
+  // workbook, the conditional formats and data validations of the sheet, the
+  // merged cells (the caller copies those within the repeated rows), the
+  // named `tables`, the named cells/ranges of the sheet, the images of
+  // `drawing` with the `moveImages` option and the manual page breaks with
+  // the `pushDownPageBreakOnTableSubstitution` option.
+  shiftRows(
+    workbook,
+    sheet,
+    tables,
+    startRow,
+    delta,
+    drawing = null,
+    blockStart = startRow - 1
+  ) {
+    const moveSpan = (start, end) =>
+      delta < 0
+        ? _shiftRowSpan(start, end, startRow, -delta)
+        : _growRowSpan(start, end, blockStart, startRow - 1, delta);
+
+    // Formulas, where references to removed rows become #REF!, and
+    // conditional formats and data validations, which shrink or go away
+    const transform = (ref) => {
+      if (ref.startRow === null) {
+        return ref;
+      }
+      const span = moveSpan(ref.startRow, ref.endRow);
+      return (
+        span && assign({}, ref, { startRow: span.start, endRow: span.end })
+      );
+    };
+    this.updateFormulaReferences(transform);
+    this.updateSqrefs(sheet, transform);
+
+    // Merged cells
+    const mergeCells = sheet.find("mergeCells");
+    sheet.findall("mergeCells/mergeCell").forEach((mergeCell) => {
+      const mergeRange = this.splitRange(mergeCell.attrib.ref);
+      const mergeStart = this.splitRef(mergeRange.start);
+      const mergeEnd = this.splitRef(mergeRange.end);
+      if (
+        delta > 0 &&
+        mergeStart.row >= blockStart &&
+        mergeEnd.row < startRow
+      ) {
+        return;
+      }
+
+      const span = moveSpan(mergeStart.row, mergeEnd.row);
+      if (span === null) {
+        mergeCells.remove(mergeCell);
+        return;
+      }
+
+      mergeStart.row = span.start;
+      mergeEnd.row = span.end;
+      mergeCell.attrib.ref = this.joinRange({
+        start: this.joinRef(mergeStart),
+        end: this.joinRef(mergeEnd),
+      });
+    });
+
+    if (mergeCells !== null && delta < 0) {
+      mergeCells.attrib.count = mergeCells.findall("mergeCell").length;
+      if (mergeCells.len() === 0) {
+        sheet.remove(mergeCells);
+      }
+    }
 
-    // Update named tables below this row
+    // Named tables
     tables.forEach((table) => {
       const tableRoot = table.root;
-      const tableRange = this.splitRange(tableRoot.attrib.ref);
-      const tableStart = this.splitRef(tableRange.start);
-      const tableEnd = this.splitRef(tableRange.end);
-
-      if (tableStart.row > currentRow) {
-        tableStart.row += numRows;
-        tableEnd.row += numRows;
+      [tableRoot, tableRoot.find("autoFilter")].forEach((element) => {
+        if (element === null || table.removed) {
+          return;
+        }
 
-        tableRoot.attrib.ref = this.joinRange({
-          start: this.joinRef(tableStart),
-          end: this.joinRef(tableEnd),
-        });
+        const range = this.splitRange(element.attrib.ref);
+        const rangeStart = this.splitRef(range.start);
+        const rangeEnd = this.splitRef(range.end);
+        const span = moveSpan(rangeStart.row, rangeEnd.row);
 
-        const autoFilter = tableRoot.find("autoFilter");
-        if (autoFilter !== null) {
-          // XXX: This is a simplification that may stomp on some configurations
-          autoFilter.attrib.ref = tableRoot.attrib.ref;
+        if (span === null) {
+          // The whole table is gone, the caller removes its part
+          if (element === tableRoot) {
+            table.removed = true;
+          }
+          return;
         }
-      }
+
+        rangeStart.row = span.start;
+        rangeEnd.row = span.end;
+        element.attrib.ref = this.joinRange({
+          start: this.joinRef(rangeStart),
+          end: this.joinRef(rangeEnd),
+        });
+      });
     });
 
-    // Named cells/ranges
+    // Named cells/ranges on this sheet
     workbook.findall("definedNames/definedName").forEach((name) => {
       const ref = name.text;
-      if (this.isRange(ref)) {
-        const namedRange = this.splitRange(ref); //TODO : I think is there a bug, the ref is equal to [sheetName]![startRange]:[endRange]
-        const namedStart = this.splitRef(namedRange.start); // here, namedRange.start is [sheetName]![startRange] ?
-        const namedEnd = this.splitRef(namedRange.end);
-        if (namedStart) {
-          if (namedStart.row > currentRow) {
-            namedStart.row += numRows;
-            namedEnd.row += numRows;
-
-            name.text = this.joinRange({
-              start: this.joinRef(namedStart),
-              end: this.joinRef(namedEnd),
-            });
-          }
+      const range = this.isRange(ref)
+        ? this.splitRange(ref)
+        : { start: ref, end: ref };
+      const namedStart = this.splitRef(range.start);
+      const namedEnd = this.splitRef(range.end);
+
+      if (
+        !namedStart.table ||
+        namedStart.table.replace(/'/g, "") !== this.sheet.name ||
+        isNaN(namedStart.row)
+      ) {
+        return;
+      }
+
+      const span = moveSpan(namedStart.row, namedEnd.row);
+      if (span === null) {
+        name.text = namedStart.table + "!#REF!";
+        return;
+      }
+
+      namedStart.row = span.start;
+      namedEnd.row = span.end;
+      name.text = this.isRange(ref)
+        ? this.joinRange({
+            start: this.joinRef(namedStart),
+            end: this.joinRef(namedEnd),
+          })
+        : this.joinRef(namedStart);
+    });
+
+    // Images
+    if (drawing !== null && this.option.moveImages) {
+      this.moveAnchors(drawing, (start, end) => {
+        if (delta < 0) {
+          return _shiftRowSpan(start, end, startRow, -delta);
         }
-        if (this.option && this.option.pushDownPageBreakOnTableSubstitution) {
-          if (
-            this.sheet.name == name.text.split("!")[0].replace(/'/gi, "") &&
-            namedEnd
-          ) {
-            if (namedEnd.row > currentRow) {
-              namedEnd.row += numRows;
-              name.text = this.joinRange({
-                start: this.joinRef(namedStart),
-                end: this.joinRef(namedEnd),
-              });
-            }
-          }
+        return start >= startRow
+          ? { start: start + delta, end: end + delta }
+          : { start, end };
+      });
+    }
+
+    // Manual page breaks, each one below the row given by its id
+    if (this.option.pushDownPageBreakOnTableSubstitution) {
+      this.moveRowBreaks(sheet, (row) => {
+        if (delta > 0) {
+          return row >= startRow - 1 ? row + delta : row;
         }
+        const span = _shiftRowSpan(row, row, startRow, -delta);
+        return span && span.start;
+      });
+    }
+  }
+
+  // Move the manual page breaks of `sheet` to the row given by `transform`
+  // for the row they are below, or drop them if it returns null
+  moveRowBreaks(sheet, transform) {
+    const rowBreaks = sheet.find("rowBreaks");
+    if (rowBreaks === null) {
+      return;
+    }
+
+    rowBreaks.findall("brk").forEach((brk) => {
+      const row = transform(parseInt(brk.attrib.id, 10));
+      if (row === null) {
+        rowBreaks.remove(brk);
       } else {
-        const namedRef = this.splitRef(ref);
-        if (namedRef.row > currentRow) {
-          namedRef.row += numRows;
-          name.text = this.joinRef(namedRef);
-        }
+        brk.attrib.id = row.toString();
       }
     });
+
+    const breaks = rowBreaks.findall("brk");
+    if (breaks.length === 0) {
+      sheet.remove(rowBreaks);
+      return;
+    }
+    rowBreaks.attrib.count = breaks.length.toString();
+    rowBreaks.attrib.manualBreakCount = breaks
+      .filter((brk) => brk.attrib.man === "1" || brk.attrib.man === "true")
+      .length.toString();
+  }
+
+  // Move the images of `drawing` to the rows given by `transform` for the
+  // rows `start`..`end` they are anchored on, or drop them if it returns null.
+  // Images placed by the current substitution are already where they belong.
+  moveAnchors(drawing, transform) {
+    drawing.root
+      .getchildren()
+      .slice()
+      .forEach((drawElement) => {
+        const from = drawElement.find("xdr:from");
+        if (from === null || this.placedImages.has(drawElement)) {
+          return;
+        }
+
+        const to = drawElement.find("xdr:to");
+        const fromRowElement = from.find("xdr:row");
+        const toRowElement = to !== null ? to.find("xdr:row") : fromRowElement;
+        const span = transform(
+          parseInt(fromRowElement.text, 10) + 1,
+          parseInt(toRowElement.text, 10) + 1
+        );
+
+        if (span === null) {
+          drawing.root.remove(drawElement);
+          return;
+        }
+        fromRowElement.text = (span.start - 1).toString();
+        toRowElement.text = (Math.max(span.end, span.start) - 1).toString();
+      });
   }
 
   getWidthCell(numCol, sheet) {
-    const defaultWidth =
-      sheet.root.find("sheetFormatPr").attrib["defaultColWidth"];
+    const sheetFormat = sheet.root.find("sheetFormatPr");
+    let defaultWidth = sheetFormat && sheetFormat.attrib["defaultColWidth"];
     if (!defaultWidth) {
       // TODO : Check why defaultColWidth is not set ?
       defaultWidth = 11.42578125;
@@ -1730,8 +6382,9 @@ class Workbook {
   }
 
   getHeightCell(numRow, sheet) {
+    const sheetFormat = sheet.root.find("sheetFormatPr");
     let finalHeight =
-      sheet.root.find("sheetFormatPr").attrib["defaultRowHeight"];
+      (sheetFormat && sheetFormat.attrib["defaultRowHeight"]) || 15;
     sheet.root.findall("sheetData/row").forEach((row) => {
       if (numRow == row.attrib["r"]) {
         if (row.attrib["ht"] != undefined) {
@@ -1783,18 +6436,11 @@ class Workbook {
 
   findMaxFileId(fileNameRegex, idRegex) {
     const files = this.archive.file(fileNameRegex);
-    const maxFile = files.reduce((p, c) => {
-      if (p == null) {
-        return c.name;
-      }
-      return p.name > c.name ? p.name : c.name;
-    }, null);
-    let maxid = 0;
-    if (maxFile != null) {
-      maxid = idRegex.exec(maxFile)[1];
-    }
-    maxid++;
-    return maxid;
+    const maxid = files.reduce((max, file) => {
+      const id = parseInt(idRegex.exec(file.name)[1], 10) || 0;
+      return id > max ? id : max;
+    }, 0);
+    return maxid + 1;
   }
 
   cellInMergeCells(cell, mergeCell) {
@@ -1813,13 +6459,75 @@ class Workbook {
     return false;
   }
 
+  // Like `imageToBuffer()`, reading image files without blocking and
+  // accepting asynchronous image loaders
+  async imageToBufferAsync(imageObj) {
+    if (
+      !imageObj ||
+      imageObj instanceof Buffer ||
+      (isPlainObject(imageObj) && imageObj.src instanceof Buffer)
+    ) {
+      return this.imageToBuffer(imageObj);
+    }
+    for (const loader of this.imageLoaders) {
+      const image = await loader(imageObj, { async: true });
+      if (image !== undefined && image !== null) {
+        return _checkImage(Buffer.from(image));
+      }
+    }
+    if (isPlainObject(imageObj) && imageObj.src !== undefined) {
+      return this.imageToBufferAsync(imageObj.src);
+    }
+
+    if (typeof imageObj === "string" || imageObj instanceof String) {
+      imageObj = imageObj.toString();
+      const imagePath = this.option.imageRootPath
+        ? `${this.option.imageRootPath}/${imageObj}`
+        : imageObj;
+      const data = await fs.promises
+        .readFile(imagePath)
+        .catch(() => Buffer.from(imageObj, "base64"));
+      try {
+        return _checkImage(data);
+      } catch (error) {
+        throw new TypeError("imageObj cannot be parse as a buffer");
+      }
+    }
+    throw new TypeError(`imageObj type is not supported : ${typeof imageObj}`);
+  }
+
+  // Turn an image value into a Buffer: Buffers, `{src, width, height}`
+  // objects, values handled by the `imageLoader` option, file paths (under
+  // `imageRootPath`) and base64 strings
   imageToBuffer(imageObj) {
     if (!imageObj) {
       throw new TypeError("imageObj cannot be null");
     }
+    if (imageObj[IMAGE_LOAD_ERROR]) {
+      throw imageObj[IMAGE_LOAD_ERROR];
+    }
     if (imageObj instanceof Buffer) {
       return _checkImage(imageObj);
     }
+    if (isPlainObject(imageObj) && imageObj.src instanceof Buffer) {
+      return _checkImage(imageObj.src);
+    }
+    for (const loader of this.imageLoaders) {
+      // Loaders are told not to start loading what they cannot return now
+      const image = loader(imageObj, { async: false });
+      if (image && typeof image.then === "function") {
+        image.catch(() => {});
+        throw new TypeError(
+          "The image can only be loaded asynchronously, use substituteAsync()"
+        );
+      }
+      if (image !== undefined && image !== null) {
+        return _checkImage(Buffer.from(image));
+      }
+    }
+    if (isPlainObject(imageObj) && imageObj.src !== undefined) {
+      return this.imageToBuffer(imageObj.src);
+    }
     if (typeof imageObj === "string" || imageObj instanceof String) {
       try {
         imageObj = imageObj.toString();
@@ -1858,4 +6566,95 @@ class Workbook {
   }
 }
 
+/**
+ * A template parsed once and rendered many times, created with
+ * `Workbook.compile()`. Rendering never modifies the compiled template, so
+ * the same one can serve any number of reports.
+ */
+class CompiledTemplate {
+  constructor(workbook) {
+    this.option = workbook.option;
+
+    // Uncompress every part once. The workbooks created for rendering share
+    // these files and only replace the ones they modify.
+    this.archive = new JSZip();
+    Object.keys(workbook.archive.files).forEach((name) => {
+      const file = workbook.archive.files[name];
+      if (!file.dir) {
+        this.archive.file(name, file.asBinary(), {
+          binary: true,
+          date: file.date,
+        });
+      }
+    });
+
+    this.template = assign(workbook._saveState(), {
+      files: this.archive.files,
+    });
+
+    // Parse the sheets, their relationships and tables, and find the
+    // placeholders of the shared strings
+    const parser = this.createWorkbook();
+    this.parsedParts = new Map();
+    this.placeholderCache = new Map();
+    this.template.sheets.forEach((info) => {
+      const sheet = parser.loadSheet(info.name);
+      const relsFilename =
+        path.dirname(sheet.filename) +
+        "/_rels/" +
+        path.basename(sheet.filename) +
+        ".rels";
+      const parts = [{ filename: sheet.filename, root: sheet.root }];
+      if (this.archive.files[relsFilename]) {
+        parts.push({
+          filename: relsFilename,
+          root: parser.parsePart(relsFilename),
+        });
+      }
+      parts.push(...parser.loadTables(sheet.root, sheet.filename));
+
+      parts.forEach((part) => {
+        this.parsedParts.set(part.filename, {
+          file: this.archive.files[part.filename],
+          root: part.root,
+        });
+      });
+    });
+    this.template.sharedStrings.forEach((string) => {
+      this.placeholderCache.set(string, parser.extractPlaceholders(string));
+    });
+  }
+
+  /**
+   * Create a new workbook holding a copy of the template, e.g. to substitute
+   * sheets one by one or to get the diagnostics of the `strict` option.
+   * `option` overrides the options of the compiled workbook.
+   */
+  createWorkbook(option) {
+    const workbook = new Workbook(assign({}, this.option, option));
+    const template = this.template;
+
+    workbook.archive = new JSZip();
+    workbook._restoreState(template);
+    workbook.parsedParts = this.parsedParts || null;
+    workbook.placeholderCache = this.placeholderCache || null;
+
+    return workbook;
+  }
+
+  /**
+   * Substitute `substitutions` in all the sheets of a fresh copy of the
+   * template and generate the .xlsx file, see `Workbook.generate()` for the
+   * `options`.
+   */
+  render(substitutions, options) {
+    const workbook = this.createWorkbook();
+    workbook.substituteAll(substitutions);
+    return workbook.generate(options);
+  }
+}
+
+// Loaders that can be used in the `imageLoader` option
+Workbook.httpImageLoader = httpImageLoader;
+
 module.exports = Workbook;
@@ -0,0 +1,443 @@
+const etree = require("elementtree");
+
+// Order of the lists of a styles part, which Excel requires
+const STYLE_LISTS = [
+  "numFmts",
+  "fonts",
+  "fills",
+  "borders",
+  "cellStyleXfs",
+  "cellXfs",
+  "cellStyles",
+  "dxfs",
+  "tableStyles",
+  "colors",
+  "extLst",
+];
+
+// The elements that each list of a styles part refers to by position, with
+// the attribute used for the references
+const STYLE_REFERENCES = [
+  { attr: "fontId", list: "fonts" },
+  { attr: "fillId", list: "fills" },
+  { attr: "borderId", list: "borders" },
+];
+
+// First id of the number formats that are not built into Excel
+const FIRST_CUSTOM_NUMBER_FORMAT = 164;
+
+// Font properties of a cell style, with their element in a <font> and
+// whether they are toggled on and off
+const FONT_PROPERTIES = {
+  bold: { tag: "b", toggle: true },
+  italic: { tag: "i", toggle: true },
+  strike: { tag: "strike", toggle: true },
+  underline: { tag: "u", toggle: true },
+  size: { tag: "sz" },
+  color: { tag: "color" },
+  font: { tag: "name" },
+};
+
+// Elements of a <font>, in the order Excel writes them
+const FONT_ELEMENTS = [
+  "b",
+  "i",
+  "strike",
+  "condense",
+  "extend",
+  "outline",
+  "shadow",
+  "u",
+  "vertAlign",
+  "sz",
+  "color",
+  "name",
+  "family",
+  "charset",
+  "scheme",
+];
+
+// Sides of a border, in the order of a <border>
+const BORDER_SIDES = ["left", "right", "top", "bottom", "diagonal"];
+
+// ARGB color of a color like "#FF0000" or "FF0000"
+function _argb(color) {
+  const rgb = String(color).replace(/^#/, "").toUpperCase();
+  return rgb.length === 6 ? "FF" + rgb : rgb;
+}
+
+// Add `child` to `element` at `position` (0 for the first child)
+function _insertChild(element, position, child) {
+  const children = element.getchildren().slice();
+  children.splice(position, 0, child);
+  element.delSlice(0, element.len());
+  children.forEach((other) => element.append(other));
+}
+
+// Apply the font properties of a cell style to a <font>
+function _setFontProperties(font, style) {
+  Object.keys(FONT_PROPERTIES).forEach((key) => {
+    const value = style[key];
+    const { tag, toggle } = FONT_PROPERTIES[key];
+    if (value === undefined) {
+      return;
+    }
+    font.findall(tag).forEach((element) => font.remove(element));
+    if (toggle && !value) {
+      return;
+    }
+
+    const element = etree.SubElement(font, tag);
+    if (key === "color") {
+      element.attrib.rgb = _argb(value);
+    } else if (key === "underline") {
+      element.attrib.val = typeof value === "string" ? value : "single";
+    } else if (!toggle) {
+      element.attrib.val = String(value);
+    }
+  });
+
+  const children = font.getchildren().slice();
+  children.sort(
+    (a, b) => FONT_ELEMENTS.indexOf(a.tag) - FONT_ELEMENTS.indexOf(b.tag)
+  );
+  font.delSlice(0, font.len());
+  children.forEach((child) => font.append(child));
+}
+
+// A <fill> filled with a color, or empty if the color is null or false
+function _fillElement(color) {
+  const fill = etree.Element("fill");
+  if (!color) {
+    etree.SubElement(fill, "patternFill", { patternType: "none" });
+    return fill;
+  }
+  const pattern = etree.SubElement(fill, "patternFill", {
+    patternType: "solid",
+  });
+  etree.SubElement(pattern, "fgColor", { rgb: _argb(color) });
+  etree.SubElement(pattern, "bgColor", { indexed: "64" });
+  return fill;
+}
+
+// A <border> from a border style: a line style like "thin", `{style,
+// color}`, or an object with such a value for some of `left`, `right`,
+// `top` and `bottom`. A null or false border has no lines.
+function _borderElement(border) {
+  const bySide =
+    border !== null &&
+    typeof border === "object" &&
+    BORDER_SIDES.some((side) => border[side] !== undefined);
+  const element = etree.Element("border");
+  BORDER_SIDES.forEach((side) => {
+    let line = bySide ? border[side] : border;
+    if (side === "diagonal" && !bySide) {
+      line = null;
+    }
+    if (typeof line === "string") {
+      line = { style: line };
+    }
+    const sideElement = etree.SubElement(element, side);
+    if (line && line.style) {
+      sideElement.attrib.style = line.style;
+      if (line.color) {
+        etree.SubElement(sideElement, "color", { rgb: _argb(line.color) });
+      }
+    }
+  });
+  return element;
+}
+
+// Apply an alignment, like "center" or `{horizontal, vertical, wrap}`, to
+// the <alignment> of a cell format
+function _setAlignment(xf, align) {
+  const options = typeof align === "string" ? { horizontal: align } : align;
+  let alignment = xf.find("alignment");
+  if (alignment === null) {
+    alignment = etree.Element("alignment");
+    _insertChild(xf, 0, alignment);
+  }
+  if (options.horizontal !== undefined) {
+    alignment.attrib.horizontal = options.horizontal;
+  }
+  if (options.vertical !== undefined) {
+    alignment.attrib.vertical = options.vertical;
+  }
+  if (options.wrap !== undefined) {
+    alignment.attrib.wrapText = options.wrap ? "1" : "0";
+  }
+}
+
+// Serialize an element to compare it with others
+function _key(element) {
+  return etree.tostring(element, { xml_declaration: false });
+}
+
+/**
+ * Get the list `tag` (e.g. "fonts") of the root of a styles part, adding an
+ * empty one at its place if the part has none.
+ */
+function styleList(styles, tag) {
+  const list = styles.find(tag);
+  if (list !== null) {
+    return list;
+  }
+
+  const created = etree.Element(tag, { count: "0" });
+  const order = STYLE_LISTS.indexOf(tag);
+  const next = styles
+    .getchildren()
+    .findIndex((child) => STYLE_LISTS.indexOf(child.tag) > order);
+  _insertChild(styles, next === -1 ? styles.len() : next, created);
+  return created;
+}
+
+/**
+ * Add an element to a list of a styles part, unless an identical one is
+ * already there, and return its position in the list. `keys` is a Map
+ * from the lists to the positions of their elements by XML, filled as
+ * needed: pass the same one for all the additions to a styles part so that
+ * each element is only serialized once.
+ */
+function addStyleElement(list, element, keys = new Map()) {
+  if (!keys.has(list)) {
+    const positions = new Map();
+    list.getchildren().forEach((child, idx) => {
+      const key = _key(child);
+      if (!positions.has(key)) {
+        positions.set(key, idx);
+      }
+    });
+    keys.set(list, positions);
+  }
+
+  const positions = keys.get(list);
+  const key = _key(element);
+  if (positions.has(key)) {
+    return positions.get(key);
+  }
+  list.append(element);
+  list.attrib.count = String(list.len());
+  positions.set(key, list.len() - 1);
+  return list.len() - 1;
+}
+
+/**
+ * Get the id of the number format `formatCode` in a styles part, adding it
+ * if it is not there yet.
+ */
+function addNumberFormat(styles, formatCode) {
+  const list = styleList(styles, "numFmts");
+  const numFmts = list.findall("numFmt");
+  const existing = numFmts.find(
+    (numFmt) => numFmt.attrib.formatCode === formatCode
+  );
+  if (existing) {
+    return parseInt(existing.attrib.numFmtId, 10);
+  }
+
+  const id = Math.max(
+    FIRST_CUSTOM_NUMBER_FORMAT,
+    ...numFmts.map((numFmt) => parseInt(numFmt.attrib.numFmtId, 10) + 1)
+  );
+  etree.SubElement(list, "numFmt", {
+    numFmtId: String(id),
+    formatCode,
+  });
+  list.attrib.count = String(list.len());
+  return id;
+}
+
+/**
+ * Add to a styles part the cell format `index` (as in `<c s="index">`)
+ * modified by `style`, unless it is already there, and return its position.
+ * `style` may have:
+ *
+ * - `bold`, `italic`, `strike`, `underline` (true or a style like
+ *   "double"), `size`, `color` (e.g. "#FF0000") and `font` (a font name)
+ * - `fill`: the background color, or null for none
+ * - `numFmt`: the id of a built-in number format or a format code, e.g.
+ *   `'"€"#,##0.00'`
+ * - `border`: a line style like "thin", `{style, color}`, or an object with
+ *   such a value for some of `left`, `right`, `top` and `bottom`
+ * - `align`: a horizontal alignment like "center", or `{horizontal,
+ *   vertical, wrap}`
+ *
+ * `cloneElement(element)` gives a deep copy of an element, and `keys` is
+ * passed to `addStyleElement()`.
+ */
+function addCellFormat(styles, index, style, cloneElement, keys = new Map()) {
+  const base = styles.findall("cellXfs/xf")[index];
+  const xf = base
+    ? cloneElement(base)
+    : etree.Element("xf", {
+        numFmtId: "0",
+        fontId: "0",
+        fillId: "0",
+        borderId: "0",
+        xfId: "0",
+      });
+
+  if (Object.keys(FONT_PROPERTIES).some((key) => style[key] !== undefined)) {
+    const baseFont =
+      styles.findall("fonts/font")[parseInt(xf.attrib.fontId, 10) || 0];
+    const font = baseFont ? cloneElement(baseFont) : etree.Element("font");
+    _setFontProperties(font, style);
+    xf.attrib.fontId = String(
+      addStyleElement(styleList(styles, "fonts"), font, keys)
+    );
+    xf.attrib.applyFont = "1";
+  }
+  if (style.fill !== undefined) {
+    xf.attrib.fillId = String(
+      addStyleElement(
+        styleList(styles, "fills"),
+        _fillElement(style.fill),
+        keys
+      )
+    );
+    xf.attrib.applyFill = "1";
+  }
+  if (style.numFmt !== undefined) {
+    xf.attrib.numFmtId = String(
+      typeof style.numFmt === "number"
+        ? style.numFmt
+        : addNumberFormat(styles, String(style.numFmt))
+    );
+    xf.attrib.applyNumberFormat = "1";
+  }
+  if (style.border !== undefined) {
+    xf.attrib.borderId = String(
+      addStyleElement(
+        styleList(styles, "borders"),
+        _borderElement(style.border),
+        keys
+      )
+    );
+    xf.attrib.applyBorder = "1";
+  }
+  if (style.align !== undefined) {
+    _setAlignment(xf, style.align);
+    xf.attrib.applyAlignment = "1";
+  }
+
+  return addStyleElement(styleList(styles, "cellXfs"), xf, keys);
+}
+
+/**
+ * Copy the formats of the styles part `sourceStyles` into `styles` as they
+ * are needed. Returns `{cellFormat(index), differentialFormat(index)}`,
+ * which give the position in `styles` of a copy of the cell format (as in
+ * `<c s="index">`) or of the differential format (as in `dxfId="index"`)
+ * `index` of `sourceStyles`. Identical formats are shared, and the named
+ * cell styles of the imported cell style formats are copied with them.
+ * `cloneElement(element)` gives a deep copy of an element.
+ */
+function createStyleImporter(styles, sourceStyles, cloneElement) {
+  const imported = new Map();
+  const keys = new Map();
+
+  // Copy the named cell styles of the cell style format `index` of
+  // `sourceStyles`, now at `idx` in `styles`. A style with the same name
+  // in `styles` is kept instead, as names are unique.
+  const importCellStyles = (index, idx) => {
+    const names = styles
+      .findall("cellStyles/cellStyle")
+      .map((cellStyle) => cellStyle.attrib.name);
+    sourceStyles
+      .findall("cellStyles/cellStyle")
+      .filter(
+        (cellStyle) =>
+          parseInt(cellStyle.attrib.xfId, 10) === index &&
+          names.indexOf(cellStyle.attrib.name) === -1
+      )
+      .forEach((cellStyle) => {
+        const list = styleList(styles, "cellStyles");
+        const copy = cloneElement(cellStyle);
+        copy.attrib.xfId = String(idx);
+        list.append(copy);
+        list.attrib.count = String(list.len());
+      });
+  };
+
+  const importXf = (list, index) => {
+    const key = list + ":" + index;
+    if (imported.has(key)) {
+      return imported.get(key);
+    }
+    const xf = sourceStyles.findall(list + "/xf")[index];
+    if (xf === undefined) {
+      return index;
+    }
+
+    const copy = cloneElement(xf);
+    STYLE_REFERENCES.forEach(({ attr, list: referenced }) => {
+      const elements = sourceStyles.findall(referenced + "/*");
+      const element = elements[parseInt(xf.attrib[attr], 10)];
+      if (element !== undefined) {
+        copy.attrib[attr] = String(
+          addStyleElement(
+            styleList(styles, referenced),
+            cloneElement(element),
+            keys
+          )
+        );
+      }
+    });
+    const numFmtId = parseInt(xf.attrib.numFmtId, 10);
+    if (numFmtId >= FIRST_CUSTOM_NUMBER_FORMAT) {
+      const numFmt = sourceStyles.find(
+        "numFmts/numFmt[@numFmtId='" + numFmtId + "']"
+      );
+      if (numFmt !== null) {
+        copy.attrib.numFmtId = String(
+          addNumberFormat(styles, numFmt.attrib.formatCode)
+        );
+      }
+    }
+    if (list === "cellXfs" && xf.attrib.xfId !== undefined) {
+      copy.attrib.xfId = String(
+        importXf("cellStyleXfs", parseInt(xf.attrib.xfId, 10))
+      );
+    }
+
+    const idx = addStyleElement(styleList(styles, list), copy, keys);
+    imported.set(key, idx);
+    if (list === "cellStyleXfs") {
+      importCellStyles(index, idx);
+    }
+    return idx;
+  };
+
+  return {
+    cellFormat(index) {
+      return importXf("cellXfs", index);
+    },
+
+    differentialFormat(index) {
+      const key = "dxfs:" + index;
+      if (!imported.has(key)) {
+        const dxf = sourceStyles.findall("dxfs/dxf")[index];
+        imported.set(
+          key,
+          dxf === undefined
+            ? index
+            : addStyleElement(
+                styleList(styles, "dxfs"),
+                cloneElement(dxf),
+                keys
+              )
+        );
+      }
+      return imported.get(key);
+    },
+  };
+}
+
+module.exports = {
+  addCellFormat,
+  addNumberFormat,
+  addStyleElement,
+  createStyleImporter,
+  styleList,
+};
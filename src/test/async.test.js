@@ -0,0 +1,137 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { buildTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+// A 1x1 PNG image
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+const sheet = {
+  cells: {
+    A1: "${customer.name}",
+    A2: "${table:orders.id}",
+    B2: "${table:orders.qty}",
+    A3: "${image:logo}",
+  },
+};
+
+async function* generate(values) {
+  for (const value of values) {
+    await null;
+    yield value;
+  }
+}
+
+test("templates load from a path, a Buffer or a stream", async () => {
+  const template = buildTemplate(sheet);
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "async-test-"));
+  const filename = path.join(directory, "template.xlsx");
+  fs.writeFileSync(filename, template);
+
+  try {
+    for (const data of [filename, template, Readable.from([template])]) {
+      const workbook = new XlsxTemplate();
+      await workbook.loadTemplateAsync(data);
+      assert.deepStrictEqual(
+        readWorkbook(workbook.generate()).cells(),
+        readWorkbook(template).cells()
+      );
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test("substituteAsync resolves promises, async iterables and image files", async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "async-test-"));
+  fs.writeFileSync(path.join(directory, "logo.png"), PNG);
+  const orders = generate([
+    { id: "a", qty: Promise.resolve(1) },
+    { id: "b", qty: 2 },
+  ]);
+  const data = {
+    customer: Promise.resolve({ name: Promise.resolve("Ann") }),
+    orders,
+    logo: "logo.png",
+  };
+
+  try {
+    const workbook = new XlsxTemplate({ imageRootPath: directory });
+    workbook.loadTemplate(buildTemplate(sheet));
+    await workbook.substituteAsync(1, data);
+
+    const result = readWorkbook(await workbook.generateAsync());
+    assert.deepStrictEqual(result.cells(), {
+      A1: "Ann",
+      A2: "a",
+      B2: 1,
+      A3: "b",
+      B3: 2,
+      A4: "",
+    });
+    assert.deepStrictEqual(
+      result.zip.file(/^xl\/media\//).map((file) => file.asNodeBuffer()),
+      [PNG]
+    );
+    assert.strictEqual(data.orders, orders);
+    assert.strictEqual(data.logo, "logo.png");
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test("images may be given as promises or streams", async () => {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(
+    buildTemplate({ cells: { A1: "${image:a}", B1: "${image:b}" } })
+  );
+  await workbook.substituteAsync(1, {
+    a: Promise.resolve(PNG),
+    b: Readable.from([PNG.subarray(0, 10), PNG.subarray(10)]),
+  });
+  assert.strictEqual(
+    readWorkbook(workbook.generate()).zip.file(/^xl\/media\//).length,
+    2
+  );
+});
+
+test("generateAsync and generateStream give the same file as generate()", async () => {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(buildTemplate(sheet));
+  workbook.substitute(1, {
+    customer: { name: "Ann" },
+    orders: [{ id: "a", qty: 1 }],
+    logo: PNG,
+  });
+  const expected = readWorkbook(workbook.generate()).cells();
+
+  const chunks = [];
+  for await (const chunk of workbook.generateStream()) {
+    chunks.push(chunk);
+  }
+  assert.deepStrictEqual(readWorkbook(Buffer.concat(chunks)).cells(), expected);
+
+  for (const type of [
+    "nodebuffer",
+    "uint8array",
+    "arraybuffer",
+    "base64",
+    "string",
+  ]) {
+    let data = await workbook.generateAsync({ type });
+    if (type === "base64") {
+      data = Buffer.from(data, "base64");
+    } else if (type !== "string") {
+      data = Buffer.from(data);
+    }
+    assert.deepStrictEqual(readWorkbook(data).cells(), expected);
+  }
+  await assert.rejects(workbook.generateAsync({ type: "blob" }), /blob/);
+});
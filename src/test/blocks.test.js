@@ -0,0 +1,170 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { loadTemplate, render } = require("./helpers");
+
+const DRAWING_NS =
+  "http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing";
+
+// A drawing part with a two-cell anchor for each [fromRow, toRow] (0-based)
+function drawingXml(anchors) {
+  return (
+    `<xdr:wsDr xmlns:xdr="${DRAWING_NS}">` +
+    anchors
+      .map(
+        ([from, to], idx) =>
+          `<xdr:twoCellAnchor>` +
+          `<xdr:from><xdr:col>3</xdr:col><xdr:colOff>0</xdr:colOff>` +
+          `<xdr:row>${from}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+          `<xdr:to><xdr:col>4</xdr:col><xdr:colOff>0</xdr:colOff>` +
+          `<xdr:row>${to}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>` +
+          `<xdr:pic><xdr:nvPicPr><xdr:cNvPr id="${idx + 1}" name="Picture"/>` +
+          `</xdr:nvPicPr></xdr:pic><xdr:clientData/></xdr:twoCellAnchor>`
+      )
+      .join("") +
+    `</xdr:wsDr>`
+  );
+}
+
+// A card of two rows (2-3) between directive rows, with parts around it
+const cardSheet = {
+  cells: {
+    A1: "Orders",
+    A2: "${each:orders:order}",
+    A3: "Order ${order.id}",
+    B3: "${title}",
+    A4: "Total",
+    B4: "${order.total}",
+    A5: "${endeach}",
+    A6: "End",
+  },
+  rows: { 4: 'ht="30" customHeight="1"' },
+  after:
+    `<mergeCells count="2"><mergeCell ref="B3:C3"/><mergeCell ref="A6:B6"/>` +
+    `</mergeCells><drawing r:id="rId1"/>`,
+  rels: [{ Id: "rId1", type: "drawing", Target: "../drawings/drawing1.xml" }],
+  definedNames:
+    `<definedName name="cards">Sheet1!$A$2:$B$5</definedName>` +
+    `<definedName name="end">Sheet1!$A$6</definedName>`,
+  files: {
+    "xl/drawings/drawing1.xml": drawingXml([
+      [2, 2],
+      [5, 5],
+    ]),
+    "xl/drawings/_rels/drawing1.xml.rels":
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"/>',
+  },
+};
+
+const orders = [
+  { id: 1, total: 10 },
+  { id: 2, total: 20 },
+  { id: 3, total: 30 },
+];
+
+test("blocks are repeated for each element, with the element in scope", () => {
+  const result = render(cardSheet, { title: "T", orders });
+  assert.deepStrictEqual(result.cells(), {
+    A1: "Orders",
+    A2: "Order 1",
+    B2: "T",
+    A3: "Total",
+    B3: 10,
+    A4: "Order 2",
+    B4: "T",
+    A5: "Total",
+    B5: 20,
+    A6: "Order 3",
+    B6: "T",
+    A7: "Total",
+    B7: 30,
+    A8: "End",
+  });
+  assert.deepStrictEqual(
+    result
+      .sheet()
+      .findall("sheetData/row")
+      .filter((row) => row.attrib.ht === "30")
+      .map((row) => row.attrib.r),
+    ["3", "5", "7"]
+  );
+});
+
+test("blocks copy their merged cells and push the parts below down", () => {
+  const result = render(cardSheet, { orders });
+  assert.deepStrictEqual(
+    result
+      .sheet()
+      .findall("mergeCells/mergeCell")
+      .map((mergeCell) => mergeCell.attrib.ref),
+    ["B2:C2", "A8:B8", "B4:C4", "B6:C6"]
+  );
+  assert.deepStrictEqual(
+    result
+      .xml("xl/workbook.xml")
+      .findall("definedNames/definedName")
+      .map((name) => name.text),
+    ["Sheet1!$A$2:$B$7", "Sheet1!$A$8"]
+  );
+});
+
+test("blocks copy their images and move the images below with moveImages", () => {
+  const anchors = (result) =>
+    result
+      .xml("xl/drawings/drawing1.xml")
+      .getchildren()
+      .map((anchor) => [
+        anchor.find("xdr:from/xdr:row").text,
+        anchor.find(".//xdr:cNvPr").attrib.id,
+      ]);
+
+  assert.deepStrictEqual(
+    anchors(render(cardSheet, { orders }, { moveImages: true })),
+    [
+      ["1", "1"],
+      ["7", "2"],
+      ["3", "3"],
+      ["5", "4"],
+    ]
+  );
+  // Without the option, images keep their rows even as directive rows go
+  assert.deepStrictEqual(anchors(render(cardSheet, { orders })), [
+    ["2", "1"],
+    ["5", "2"],
+    ["4", "3"],
+    ["6", "4"],
+  ]);
+});
+
+test("a block with no elements is removed", () => {
+  const result = render(cardSheet, { orders: [] });
+  assert.deepStrictEqual(result.cells(), { A1: "Orders", A2: "End" });
+  assert.deepStrictEqual(
+    result
+      .xml("xl/workbook.xml")
+      .findall("definedNames/definedName")
+      .map((name) => name.text),
+    ["Sheet1!#REF!", "Sheet1!$A$2"]
+  );
+});
+
+test("a cell of its own with ${endeach} closes a block, other uses read the data", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${each:rows}",
+        B1: "${item}",
+        A2: "${endeach}",
+        A3: "${normal:endeach}",
+      },
+    },
+    { rows: ["a", "b"], endeach: "end" }
+  );
+  assert.deepStrictEqual(result.cells(), { B1: "a", B2: "b", A3: "end" });
+});
+
+test("an unmatched ${endeach} is an error", () => {
+  assert.throws(
+    () => loadTemplate({ cells: { A2: "${endeach}" } }).substitute(1, {}),
+    /\$\{endeach\} without matching \$\{each:\.\.\.\} in cell A2/
+  );
+});
@@ -0,0 +1,151 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_REL_NS =
+  "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// A pivot cache definition reading `source` (the attributes of its
+// worksheetSource)
+function pivotCacheXml(source) {
+  return (
+    `<pivotCacheDefinition xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<cacheSource type="worksheet"><worksheetSource ${source}/></cacheSource>` +
+    `</pivotCacheDefinition>`
+  );
+}
+
+// Orders in a named table on the first sheet, read by a chart on the second
+// sheet and by pivot caches through a range, the table and defined names
+const template = buildTemplate({
+  sheets: [
+    {
+      name: "Orders",
+      cells: {
+        A1: "Name",
+        B1: "Total",
+        A2: "${table:orders.name}",
+        B2: "${table:orders.total}",
+        A3: "Sum",
+      },
+      after: `<tableParts count="1"><tablePart r:id="rId1"/></tableParts>`,
+      rels: [{ Id: "rId1", type: "table", Target: "../tables/table1.xml" }],
+    },
+    {
+      name: "Report",
+      cells: { A1: "Chart" },
+      after: `<drawing r:id="rId1"/>`,
+      rels: [
+        { Id: "rId1", type: "drawing", Target: "../drawings/drawing1.xml" },
+      ],
+    },
+  ],
+  definedNames:
+    `<definedName name="Header">Orders!$A$1:$B$1</definedName>` +
+    `<definedName name="Totals">Orders!$B$2:$B$2</definedName>`,
+  files: {
+    "xl/tables/table1.xml":
+      `<table xmlns="${MAIN_NS}" id="1" name="OrderTable" ` +
+      `displayName="OrderTable" ref="A1:B2" totalsRowCount="0">` +
+      `<autoFilter ref="A1:B2"/><tableColumns count="2">` +
+      `<tableColumn id="1" name="Name"/><tableColumn id="2" name="Total"/>` +
+      `</tableColumns></table>`,
+    "xl/drawings/drawing1.xml": `<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing"/>`,
+    "xl/drawings/_rels/drawing1.xml.rels":
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/chart" Target="../charts/chart1.xml"/>` +
+      `</Relationships>`,
+    "xl/charts/chart1.xml":
+      `<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart">` +
+      `<c:chart><c:plotArea><c:barChart><c:ser>` +
+      `<c:cat><c:strRef><c:f>Orders!$A$2:$A$2</c:f>` +
+      `<c:strCache><c:ptCount val="1"/></c:strCache></c:strRef></c:cat>` +
+      `<c:val><c:numRef><c:f>Orders!$B$2:$B$2</c:f>` +
+      `<c:numCache><c:ptCount val="1"/></c:numCache></c:numRef></c:val>` +
+      `<c:tx><c:strRef><c:f>Orders!$B$1</c:f>` +
+      `<c:strCache><c:ptCount val="1"/></c:strCache></c:strRef></c:tx>` +
+      `</c:ser></c:barChart></c:plotArea></c:chart></c:chartSpace>`,
+    "xl/_rels/workbook.xml.rels":
+      `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      `<Relationship Id="rId2" Type="${REL_NS}/sharedStrings" Target="sharedStrings.xml"/>` +
+      `<Relationship Id="rId3" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      `<Relationship Id="rId4" Type="${REL_NS}/worksheet" Target="worksheets/sheet2.xml"/>` +
+      [1, 2, 3, 4, 5]
+        .map(
+          (n) =>
+            `<Relationship Id="rId${
+              n + 4
+            }" Type="${REL_NS}/pivotCacheDefinition" ` +
+            `Target="pivotCache/pivotCacheDefinition${n}.xml"/>`
+        )
+        .join("") +
+      `</Relationships>`,
+    "xl/pivotCache/pivotCacheDefinition1.xml": pivotCacheXml(
+      `ref="A1:B2" sheet="Orders"`
+    ),
+    "xl/pivotCache/pivotCacheDefinition2.xml": pivotCacheXml(
+      `ref="A1:B1" sheet="Orders"`
+    ),
+    "xl/pivotCache/pivotCacheDefinition3.xml":
+      pivotCacheXml(`name="OrderTable"`),
+    "xl/pivotCache/pivotCacheDefinition4.xml": pivotCacheXml(`name="Totals"`),
+    "xl/pivotCache/pivotCacheDefinition5.xml": pivotCacheXml(`name="Header"`),
+  },
+});
+
+function generate() {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(template);
+  workbook.substitute("Orders", {
+    orders: [
+      { name: "a", total: 1 },
+      { name: "b", total: 2 },
+      { name: "c", total: 3 },
+    ],
+  });
+  return readWorkbook(workbook.generate());
+}
+
+test("chart series follow the rows of the sheet and drop their cache", () => {
+  const chart = generate().xml("xl/charts/chart1.xml");
+  const refs = chart
+    .findall(".//c:strRef")
+    .concat(chart.findall(".//c:numRef"));
+  assert.deepStrictEqual(
+    refs.map((ref) => [ref.find("c:f").text, ref.getchildren().length]),
+    [
+      ["Orders!$A$2:$A$4", 1],
+      ["Orders!$B$1", 2],
+      ["Orders!$B$2:$B$4", 1],
+    ]
+  );
+});
+
+test("pivot caches are refreshed only when their source range changes", () => {
+  const result = generate();
+  const caches = [1, 2, 3, 4, 5].map((n) =>
+    result.xml(`xl/pivotCache/pivotCacheDefinition${n}.xml`)
+  );
+  assert.deepStrictEqual(
+    caches.map((cache) => [
+      cache.find("cacheSource/worksheetSource").attrib.ref,
+      cache.attrib.refreshOnLoad,
+    ]),
+    [
+      ["A1:B4", "1"],
+      ["A1:B1", undefined],
+      [undefined, "1"],
+      [undefined, "1"],
+      [undefined, undefined],
+    ]
+  );
+  assert.strictEqual(
+    result.text("xl/pivotCache/pivotCacheDefinition2.xml"),
+    pivotCacheXml(`ref="A1:B1" sheet="Orders"`)
+  );
+});
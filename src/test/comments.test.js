@@ -0,0 +1,145 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+
+// The comments of the first sheet, as {ref: "author: text"}
+function comments(result) {
+  const rels = result.xml("xl/worksheets/_rels/sheet1.xml.rels");
+  const rel = rels
+    .findall("Relationship")
+    .find((other) => /\/comments$/.test(other.attrib.Type));
+  const root = result.xml("xl/" + rel.attrib.Target.replace("../", ""));
+  const authors = root.findall("authors/author").map((a) => a.text || "");
+  const found = {};
+  root.findall("commentList/comment").forEach((comment) => {
+    const text = comment
+      .findall(".//t")
+      .map((t) => t.text || "")
+      .join("");
+    found[comment.attrib.ref] = `${authors[comment.attrib.authorId]}: ${text}`;
+  });
+  return found;
+}
+
+// The note shapes of a VML drawing, as {ref: id}, and its idmap blocks
+function noteShapes(vml) {
+  const shapes = {};
+  const shapeRe = /<v:shape\b[\s\S]*?<\/v:shape>/g;
+  let match;
+  while ((match = shapeRe.exec(vml)) !== null) {
+    const id = /\sid="_x0000_s(\d+)"/.exec(match[0])[1];
+    const row = parseInt(/<x:Row>(\d+)/.exec(match[0])[1], 10);
+    const col = parseInt(/<x:Column>(\d+)/.exec(match[0])[1], 10);
+    shapes[String.fromCharCode(65 + col) + (row + 1)] = parseInt(id, 10);
+  }
+  const blocks = /<o:idmap[^>]*data="([\d,]*)"/.exec(vml)[1];
+  return { shapes, blocks };
+}
+
+// A template with a comment on A2, a cell of a table row, and on A3
+const commented = {
+  cells: { A1: "${title}", A2: "${table:items.name}", A3: "Total" },
+  after: `<legacyDrawing r:id="rId2"/>`,
+  rels: [
+    { Id: "rId1", type: "comments", Target: "../comments1.xml" },
+    { Id: "rId2", type: "vmlDrawing", Target: "../drawings/vmlDrawing1.vml" },
+  ],
+  files: {
+    "xl/comments1.xml":
+      `<comments xmlns="${MAIN_NS}"><authors><author>Ann</author></authors>` +
+      `<commentList>` +
+      `<comment ref="A2" authorId="0"><text><t>Item</t></text></comment>` +
+      `<comment ref="A3" authorId="0"><text><t>Sum</t></text></comment>` +
+      `</commentList></comments>`,
+    "xl/drawings/vmlDrawing1.vml":
+      `<xml xmlns:v="urn:schemas-microsoft-com:vml" ` +
+      `xmlns:o="urn:schemas-microsoft-com:office:office" ` +
+      `xmlns:x="urn:schemas-microsoft-com:office:excel">` +
+      `<o:shapelayout v:ext="edit"><o:idmap v:ext="edit" data="1"/></o:shapelayout>` +
+      `<v:shape id="_x0000_s1025" type="#_x0000_t202"><x:ClientData ObjectType="Note">` +
+      `<x:Anchor>1, 15, 0, 10, 3, 15, 4, 4</x:Anchor><x:Row>1</x:Row><x:Column>0</x:Column>` +
+      `</x:ClientData></v:shape>` +
+      `<v:shape id="_x0000_s1026" type="#_x0000_t202"><x:ClientData ObjectType="Note">` +
+      `<x:Anchor>1, 15, 1, 10, 3, 15, 5, 4</x:Anchor><x:Row>2</x:Row><x:Column>0</x:Column>` +
+      `</x:ClientData></v:shape></xml>`,
+  },
+};
+
+test("values with a comment and comment placeholders add comments", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${total}",
+        B1: "${table:items.qty}",
+        C1: "${name}${comment:notes.name}",
+      },
+    },
+    {
+      total: { value: 1250, comment: "Includes March" },
+      items: [{ qty: 1 }, { qty: { value: 2, comment: "Back-ordered" } }],
+      name: "Paper",
+      notes: { name: { text: "Check", author: "Bob" } },
+    },
+    { commentAuthor: "Reports" }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: 1250,
+    B1: 1,
+    C1: "Paper",
+    B2: 2,
+  });
+  assert.deepStrictEqual(comments(result), {
+    A1: "Reports: Includes March",
+    C1: "Bob: Check",
+    B2: "Reports: Back-ordered",
+  });
+
+  const vml = noteShapes(result.text("xl/drawings/vmlDrawing1.vml"));
+  assert.deepStrictEqual(vml.shapes, { A1: 1025, B2: 1026, C1: 1027 });
+  assert.strictEqual(vml.blocks, "1");
+  assert.notStrictEqual(result.sheet().find("legacyDrawing"), null);
+});
+
+test("template comments follow their cells and are copied to table rows", () => {
+  const result = render(commented, {
+    title: { value: "Items", comment: "New" },
+    items: [{ name: "a" }, { name: "b" }, { name: "c" }],
+  });
+  assert.deepStrictEqual(comments(result), {
+    A2: "Ann: Item",
+    A3: "Ann: Item",
+    A4: "Ann: Item",
+    A5: "Ann: Sum",
+    A1: ": New",
+  });
+
+  const vml = noteShapes(result.text("xl/drawings/vmlDrawing1.vml"));
+  assert.deepStrictEqual(Object.keys(vml.shapes).sort(), [
+    "A1",
+    "A2",
+    "A3",
+    "A4",
+    "A5",
+  ]);
+  assert.strictEqual(
+    new Set(Object.values(vml.shapes)).size,
+    5,
+    "shape ids are unique"
+  );
+});
+
+test("more blocks of shape ids are claimed when the first one is full", () => {
+  const items = [];
+  for (let i = 0; i < 1100; ++i) {
+    items.push({ name: { value: i, comment: `Item ${i}` } });
+  }
+  const result = render({ cells: { A1: "${table:items.name}" } }, { items });
+  const vml = noteShapes(result.text("xl/drawings/vmlDrawing1.vml"));
+  const ids = Object.values(vml.shapes);
+  assert.strictEqual(ids.length, 1100);
+  assert.strictEqual(new Set(ids).size, 1100);
+  assert.strictEqual(vml.blocks, "1,2");
+  assert.ok(ids.every((id) => id > 1024 && id < 3072 && id % 1024 !== 0));
+});
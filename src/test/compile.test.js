@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, loadTemplate, readWorkbook } = require("./helpers");
+
+const sheet = {
+  cells: {
+    A1: "Hello ${name | upper}",
+    A2: "${table:rows.qty}",
+    A3: { formula: "SUM(A2:A2)" },
+    A4: "${if:footer}",
+    A5: "Footer",
+    A6: "${endif}",
+  },
+};
+
+test("compiled templates render many times with different data", () => {
+  const compiled = loadTemplate(sheet).compile();
+
+  const first = readWorkbook(
+    compiled.render({ name: "ann", rows: [{ qty: 1 }, { qty: 2 }] })
+  );
+  const second = readWorkbook(
+    compiled.render({ name: "bob", rows: [{ qty: 5 }], footer: true })
+  );
+
+  assert.deepStrictEqual(first.cells(), {
+    A1: "Hello ANN",
+    A2: 1,
+    A3: 2,
+    A4: "=SUM(A2:A3)",
+  });
+  assert.deepStrictEqual(second.cells(), {
+    A1: "Hello BOB",
+    A2: 5,
+    A3: "=SUM(A2:A2)",
+    A4: "Footer",
+  });
+});
+
+test("rendering leaves the workbook and the cached placeholders untouched", () => {
+  const workbook = loadTemplate(sheet);
+  const compiled = workbook.compile();
+
+  const copy = compiled.createWorkbook();
+  const [placeholder] = copy.extractPlaceholders("Hello ${name | upper}");
+  placeholder.name = "other";
+  placeholder.formatters[0].name = "lower";
+  placeholder.formatters[0].args.push(1);
+
+  compiled.render({ name: "ann", rows: [] });
+  assert.deepStrictEqual(
+    readWorkbook(compiled.render({ name: "bob", rows: [] })).cells().A1,
+    "Hello BOB"
+  );
+  assert.deepStrictEqual(
+    readWorkbook(workbook.generate()).cells(),
+    readWorkbook(buildTemplate(sheet)).cells()
+  );
+});
+
+test("workbooks of a compiled template may substitute sheets one by one", () => {
+  const compiled = loadTemplate({
+    sheets: [{ cells: { A1: "${a}" } }, { cells: { A1: "${b}" } }],
+  }).compile();
+  const workbook = compiled.createWorkbook({ strict: "report" });
+
+  assert.deepStrictEqual(workbook.substitute(1, { a: 1 }), []);
+  assert.strictEqual(workbook.substitute(2, {}).length, 1);
+  const result = readWorkbook(workbook.generate());
+  assert.deepStrictEqual(result.cells(1), { A1: 1 });
+});
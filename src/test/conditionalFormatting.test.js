@@ -0,0 +1,97 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+
+// The sqref and formula of each conditional format and data validation of
+// the first sheet
+function rules(result) {
+  const sheet = result.sheet();
+  return {
+    formats: sheet
+      .findall("conditionalFormatting")
+      .map((format) => [
+        format.attrib.sqref,
+        format.find("cfRule/formula").text,
+      ]),
+    validations: sheet
+      .findall("dataValidations/dataValidation")
+      .map((validation) => [
+        validation.attrib.sqref,
+        validation.find("formula1").text,
+      ]),
+  };
+}
+
+const rulesXml =
+  `<conditionalFormatting sqref="A2:B2">` +
+  `<cfRule type="expression" dxfId="0" priority="1"><formula>$B2&gt;$B$3</formula></cfRule>` +
+  `</conditionalFormatting>` +
+  `<conditionalFormatting sqref="A3">` +
+  `<cfRule type="expression" dxfId="1" priority="2"><formula>$A$3=""</formula></cfRule>` +
+  `</conditionalFormatting>` +
+  `<dataValidations count="1">` +
+  `<dataValidation type="list" sqref="C2 C3"><formula1>$D$3:$D$4</formula1></dataValidation>` +
+  `</dataValidations>`;
+
+test("rules on a table row grow with the table, rules below move down", () => {
+  const result = render(
+    {
+      cells: { A2: "${table:items.name}", B2: "${table:items.qty}", A3: "x" },
+      after: rulesXml,
+    },
+    {
+      items: [
+        { name: "a", qty: 1 },
+        { name: "b", qty: 2 },
+        { name: "c", qty: 3 },
+      ],
+    }
+  );
+  assert.deepStrictEqual(rules(result), {
+    formats: [
+      ["A2:B4", "$B2>$B$5"],
+      ["A5", '$A$5=""'],
+    ],
+    validations: [["C2:C4 C5", "$D$5:$D$6"]],
+  });
+});
+
+test("rules on rows removed by a conditional section are removed", () => {
+  const result = render(
+    {
+      cells: { A1: "${if:show}", A2: "Hidden", A3: "${endif}", A4: "Below" },
+      after:
+        `<conditionalFormatting sqref="A2">` +
+        `<cfRule type="expression" dxfId="0" priority="1"><formula>TRUE</formula></cfRule>` +
+        `</conditionalFormatting>` +
+        `<conditionalFormatting sqref="A1:A4">` +
+        `<cfRule type="expression" dxfId="1" priority="2"><formula>$A$4=""</formula></cfRule>` +
+        `</conditionalFormatting>` +
+        `<dataValidations count="2">` +
+        `<dataValidation type="list" sqref="A2"><formula1>"a,b"</formula1></dataValidation>` +
+        `<dataValidation type="list" sqref="A2 A4"><formula1>"c,d"</formula1></dataValidation>` +
+        `</dataValidations>`,
+    },
+    { show: false }
+  );
+  assert.deepStrictEqual(result.cells(), { A1: "Below" });
+  assert.deepStrictEqual(rules(result), {
+    formats: [["A1", '$A$1=""']],
+    validations: [["A1", '"c,d"']],
+  });
+  assert.strictEqual(result.sheet().find("dataValidations").attrib.count, "1");
+});
+
+test("rules to the right of repeated columns move right", () => {
+  const result = render(
+    {
+      cells: { A1: "${dates}", B1: "Total" },
+      after:
+        `<conditionalFormatting sqref="B1">` +
+        `<cfRule type="expression" dxfId="0" priority="1"><formula>$B$1&gt;0</formula></cfRule>` +
+        `</conditionalFormatting>`,
+    },
+    { dates: [1, 2, 3] }
+  );
+  assert.deepStrictEqual(rules(result).formats, [["D1", "$D$1>0"]]);
+});
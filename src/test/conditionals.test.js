@@ -0,0 +1,219 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { loadTemplate, render } = require("./helpers");
+
+const DRAWING_NS =
+  "http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing";
+
+// A drawing part with a two-cell anchor for each [fromRow, toRow] (0-based)
+function drawingXml(anchors) {
+  return (
+    `<xdr:wsDr xmlns:xdr="${DRAWING_NS}">` +
+    anchors
+      .map(
+        ([from, to]) =>
+          `<xdr:twoCellAnchor>` +
+          `<xdr:from><xdr:col>3</xdr:col><xdr:colOff>0</xdr:colOff>` +
+          `<xdr:row>${from}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+          `<xdr:to><xdr:col>4</xdr:col><xdr:colOff>0</xdr:colOff>` +
+          `<xdr:row>${to}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>` +
+          `<xdr:clientData/></xdr:twoCellAnchor>`
+      )
+      .join("") +
+    `</xdr:wsDr>`
+  );
+}
+
+// The 0-based [fromRow, toRow] of the anchors of a drawing part
+function anchorRows(result) {
+  return result
+    .xml("xl/drawings/drawing1.xml")
+    .getchildren()
+    .map((anchor) => [
+      parseInt(anchor.find("xdr:from/xdr:row").text, 10),
+      parseInt(anchor.find("xdr:to/xdr:row").text, 10),
+    ]);
+}
+
+// A sheet whose rows 2-4 are a section, with parts below and around it
+const sectionSheet = {
+  cells: {
+    A1: "Head",
+    A2: "${if:show}",
+    A3: "Inside",
+    A4: "${endif}",
+    A5: "Below",
+    A6: "${value}",
+  },
+  after:
+    `<mergeCells count="3"><mergeCell ref="A3:B3"/><mergeCell ref="A5:B6"/>` +
+    `<mergeCell ref="C1:C5"/></mergeCells>` +
+    `<rowBreaks count="2" manualBreakCount="2"><brk id="3" max="16383" man="1"/>` +
+    `<brk id="5" max="16383" man="1"/></rowBreaks>` +
+    `<drawing r:id="rId1"/>`,
+  rels: [{ Id: "rId1", type: "drawing", Target: "../drawings/drawing1.xml" }],
+  definedNames:
+    `<definedName name="below">Sheet1!$A$5:$B$6</definedName>` +
+    `<definedName name="inside">Sheet1!$A$3</definedName>` +
+    `<definedName name="around">Sheet1!$A$1:$A$6</definedName>`,
+  files: {
+    "xl/drawings/drawing1.xml": drawingXml([
+      [2, 2],
+      [5, 6],
+    ]),
+    "xl/drawings/_rels/drawing1.xml.rels":
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"/>',
+  },
+};
+
+test("a false condition removes its rows and the rows below move up", () => {
+  const result = render(sectionSheet, { show: false, value: 7 });
+  assert.deepStrictEqual(result.cells(), { A1: "Head", A2: "Below", A3: 7 });
+});
+
+test("a true condition keeps its rows and drops the directive rows", () => {
+  const result = render(sectionSheet, { show: [1], value: 7 });
+  assert.deepStrictEqual(result.cells(), {
+    A1: "Head",
+    A2: "Inside",
+    A3: "Below",
+    A4: 7,
+  });
+});
+
+test("negated and nested conditions", () => {
+  const spec = {
+    cells: {
+      A1: "${if:!hidden}",
+      B1: "Shown",
+      A2: "${if:inner}",
+      B2: "Inner",
+      A3: "${endif}",
+      B3: "Last",
+      A4: "${endif}",
+    },
+  };
+  assert.deepStrictEqual(render(spec, { hidden: 0, inner: [] }).cells(), {
+    B1: "Shown",
+  });
+  assert.deepStrictEqual(render(spec, { hidden: 0, inner: "y" }).cells(), {
+    B1: "Shown",
+    B2: "Inner",
+    B3: "Last",
+  });
+  assert.deepStrictEqual(render(spec, { hidden: 1, inner: "y" }).cells(), {});
+});
+
+test("removed rows move merged cells and defined names up", () => {
+  const result = render(sectionSheet, { show: false });
+  assert.deepStrictEqual(
+    result
+      .sheet()
+      .findall("mergeCells/mergeCell")
+      .map((mergeCell) => mergeCell.attrib.ref),
+    ["A2:B3", "C1:C2"]
+  );
+  assert.deepStrictEqual(
+    result
+      .xml("xl/workbook.xml")
+      .findall("definedNames/definedName")
+      .map((name) => name.text),
+    ["Sheet1!$A$2:$B$3", "Sheet1!#REF!", "Sheet1!$A$1:$A$3"]
+  );
+});
+
+test("removed rows move images and page breaks up with their options", () => {
+  const result = render(
+    sectionSheet,
+    { show: false },
+    { moveImages: true, pushDownPageBreakOnTableSubstitution: true }
+  );
+  assert.deepStrictEqual(anchorRows(result), [[2, 3]]);
+  assert.deepStrictEqual(
+    result
+      .sheet()
+      .findall("rowBreaks/brk")
+      .map((brk) => brk.attrib.id),
+    ["2"]
+  );
+
+  const unmoved = render(sectionSheet, { show: false });
+  assert.deepStrictEqual(anchorRows(unmoved), [
+    [2, 2],
+    [5, 6],
+  ]);
+});
+
+test("table rows move the same parts down", () => {
+  const result = render(
+    {
+      cells: { A1: "${table:rows.name}", A2: "Below" },
+      after:
+        `<mergeCells count="1"><mergeCell ref="A2:B2"/></mergeCells>` +
+        `<rowBreaks count="1" manualBreakCount="1"><brk id="1" max="16383" man="1"/></rowBreaks>` +
+        `<drawing r:id="rId1"/>`,
+      rels: sectionSheet.rels,
+      definedNames:
+        `<definedName name="below">Sheet1!$A$2</definedName>` +
+        `<definedName name="around">Sheet1!$A$1:$B$2</definedName>`,
+      files: {
+        "xl/drawings/drawing1.xml": drawingXml([
+          [0, 0],
+          [1, 1],
+        ]),
+        "xl/drawings/_rels/drawing1.xml.rels":
+          sectionSheet.files["xl/drawings/_rels/drawing1.xml.rels"],
+      },
+    },
+    { rows: [{ name: "a" }, { name: "b" }, { name: "c" }] },
+    { moveImages: true, pushDownPageBreakOnTableSubstitution: true }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "a",
+    A2: "b",
+    A3: "c",
+    A4: "Below",
+  });
+  assert.strictEqual(
+    result.sheet().find("mergeCells/mergeCell").attrib.ref,
+    "A4:B4"
+  );
+  assert.deepStrictEqual(
+    result
+      .xml("xl/workbook.xml")
+      .findall("definedNames/definedName")
+      .map((name) => name.text),
+    ["Sheet1!$A$4", "Sheet1!$A$1:$B$4"]
+  );
+  assert.deepStrictEqual(anchorRows(result), [
+    [0, 0],
+    [3, 3],
+  ]);
+  assert.strictEqual(result.sheet().find("rowBreaks/brk").attrib.id, "3");
+});
+
+test("a cell of its own with ${endif} closes a section, other uses read the data", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${if:show}",
+        A2: "${endif}",
+        A3: "${normal:endif}",
+        A4: "Ends with ${endif}",
+      },
+    },
+    { show: true, endif: "end" }
+  );
+  assert.deepStrictEqual(result.cells(), { A1: "end", A2: "Ends with end" });
+});
+
+test("unmatched directives are errors", () => {
+  assert.throws(
+    () => loadTemplate({ cells: { A2: "${endif}" } }).substitute(1, {}),
+    /\$\{endif\} without matching \$\{if:\.\.\.\} in cell A2/
+  );
+  assert.throws(
+    () => loadTemplate({ cells: { A2: "${if:show}" } }).substitute(1, {}),
+    /\$\{if:show\} in row 2 has no matching \$\{endif\}/
+  );
+});
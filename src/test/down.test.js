@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+test("arrays with the down sub type are listed one element per row", () => {
+  const result = render(
+    {
+      cells: { A1: "${normal:dates:down}", A2: "Below" },
+      after: `<mergeCells count="1"><mergeCell ref="A2:B2"/></mergeCells>`,
+      definedNames: `<definedName name="below">Sheet1!$A$2</definedName>`,
+    },
+    { dates: ["mon", "tue", "wed"] }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "mon",
+    A2: "tue",
+    A3: "wed",
+    A4: "Below",
+  });
+  assert.strictEqual(
+    result.sheet().find("mergeCells/mergeCell").attrib.ref,
+    "A4:B4"
+  );
+  assert.strictEqual(
+    result.xml("xl/workbook.xml").find("definedNames/definedName").text,
+    "Sheet1!$A$4"
+  );
+});
+
+test("nested arrays listed down give a grid", () => {
+  const result = render(
+    { cells: { A1: "${normal:data.grid:down}" } },
+    {
+      data: {
+        grid: [
+          [1, 2],
+          [3, 4],
+        ],
+      },
+    }
+  );
+  assert.deepStrictEqual(result.cells(), { A1: 1, B1: 2, A2: 3, B2: 4 });
+});
+
+test("the sub type needs the type of the placeholder before the name", () => {
+  const [down, typed] = new XlsxTemplate().extractPlaceholders(
+    "${normal:dates:down} ${dates:down}"
+  );
+  assert.deepStrictEqual(
+    [down.type, down.name, down.subType],
+    ["normal", "dates", "down"]
+  );
+  assert.deepStrictEqual(
+    [typed.type, typed.name, typed.subType],
+    ["dates", "down", undefined]
+  );
+});
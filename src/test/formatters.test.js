@@ -0,0 +1,117 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { builtInFormatters, formatDate } = require("../formatters");
+const { loadTemplate, render } = require("./helpers");
+
+const date = new Date(Date.UTC(2024, 2, 5, 7, 9, 4));
+
+test("date reads mm as the month, or as minutes next to hours and seconds", () => {
+  assert.strictEqual(formatDate(date, "yyyy-mm-dd"), "2024-03-05");
+  assert.strictEqual(formatDate(date, "hh:mm:ss"), "07:09:04");
+  assert.strictEqual(formatDate(date, "mm/dd h:mm"), "03/05 7:09");
+  assert.strictEqual(formatDate(date, "mm:ss"), "09:04");
+  assert.strictEqual(formatDate(date, "d mmm yy"), "5 Mar 24");
+  assert.strictEqual(formatDate(date, "mmmm m"), "March 3");
+});
+
+test("date leaves values that are not dates untouched", () => {
+  assert.strictEqual(builtInFormatters.date("soon", "yyyy"), "soon");
+  assert.strictEqual(builtInFormatters.date("2024-03-05", "dd/mm"), "05/03");
+});
+
+test("round, currency and percent round halves away from zero", () => {
+  assert.strictEqual(builtInFormatters.round(1.005, 2), 1.01);
+  assert.strictEqual(builtInFormatters.round(2.675, 2), 2.68);
+  assert.strictEqual(builtInFormatters.round(-2.5), -3);
+  assert.strictEqual(builtInFormatters.round(-0.4), 0);
+  assert.strictEqual(builtInFormatters.round(1234.5678, -2), 1200);
+  assert.strictEqual(builtInFormatters.currency(1.005), "$1.01");
+  assert.strictEqual(
+    builtInFormatters.currency(2.675, "EUR", "de-DE"),
+    "2,68 €"
+  );
+  assert.strictEqual(builtInFormatters.currency(1234.5, "JPY"), "¥1,235");
+  assert.strictEqual(builtInFormatters.percent(0.145, 1), "14.5%");
+  assert.strictEqual(builtInFormatters.percent(1.005), "101%");
+  assert.strictEqual(builtInFormatters.percent(12.345), "1235%");
+  assert.strictEqual(builtInFormatters.number(1234.5, 2), "1,234.50");
+});
+
+test("formatters chain in cells, with quoted arguments", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${name | trim | upper}",
+        A2: '${notes | default:"None | yet}"}',
+        A3: "Total: ${total | currency:'EUR'}",
+        A4: "${total | round:1}",
+      },
+    },
+    { name: "  bob ", notes: "", total: 12.345 }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "BOB",
+    A2: "None | yet}",
+    A3: "Total: €12.35",
+    A4: 12.3,
+  });
+});
+
+test("formatters apply to each value of arrays", () => {
+  const result = render(
+    { cells: { A1: "${days | upper}", A2: "${hours | round}" } },
+    { days: ["mon", "tue"], hours: [1.5, 2.4, 9.5] }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "MON",
+    B1: "TUE",
+    A2: 2,
+    B2: 2,
+    C2: 10,
+  });
+});
+
+test("formatters apply to each row of tables", () => {
+  const result = render(
+    {
+      cells: {
+        A2: "${table:people.name | capitalize}",
+        B2: '${table:people.born | date:"yyyy"}',
+      },
+    },
+    {
+      people: [
+        { name: "john", born: new Date(Date.UTC(1980, 0, 1)) },
+        { name: "bill", born: new Date(Date.UTC(1990, 0, 1)) },
+      ],
+    }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A2: "John",
+    B2: "1980",
+    A3: "Bill",
+    B3: "1990",
+  });
+});
+
+test("custom formatters are registered with the formatters option", () => {
+  const result = render(
+    { cells: { A1: "${name | suffix:'!'}", A2: "${name | upper}" } },
+    { name: "bob" },
+    {
+      formatters: {
+        suffix: (value, suffix) => value + suffix,
+        upper: (value) => "<" + value + ">",
+      },
+    }
+  );
+  assert.deepStrictEqual(result.cells(), { A1: "bob!", A2: "<bob>" });
+});
+
+test("an unknown formatter is an error naming it", () => {
+  const workbook = loadTemplate({ cells: { A1: "${name | shout}" } });
+  assert.throws(
+    () => workbook.substitute(1, { name: "bob" }),
+    /Unknown formatter "shout" in \$\{name \| shout\}/
+  );
+});
@@ -0,0 +1,120 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, readWorkbook, render } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+test("ranges over a table row grow and references below move down", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${table:items.qty}",
+        A2: { formula: "SUM(A1:A1)" },
+        B2: { formula: "$A$2*2" },
+        C2: { formula: 'CONCATENATE("A1:A1",A2)' },
+      },
+    },
+    { items: [{ qty: 1 }, { qty: 2 }, { qty: 3 }] }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: 1,
+    A2: 2,
+    A3: 3,
+    A4: "=SUM(A1:A3)",
+    B4: "=$A$4*2",
+    C4: '=CONCATENATE("A1:A1",A4)',
+  });
+});
+
+test("references to removed rows become #REF! and those below move up", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${if:show}",
+        B1: 5,
+        A2: "${endif}",
+        B3: { formula: "B1+B4" },
+        B4: 7,
+        B5: { formula: "SUM(B1:B4)" },
+      },
+    },
+    { show: false }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    B1: "=#REF!+B2",
+    B2: 7,
+    B3: "=SUM(B1:B2)",
+  });
+});
+
+test("formulas on other sheets follow the rows of the substituted sheet", () => {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(
+    buildTemplate({
+      sheets: [
+        {
+          name: "My Data",
+          cells: { A1: "${table:items.qty}", A2: "Total" },
+        },
+        {
+          name: "Summary",
+          cells: {
+            A1: { formula: "SUM('My Data'!A1:A1)" },
+            A2: { formula: "'My Data'!A2" },
+            A3: { formula: "A2" },
+          },
+        },
+      ],
+    })
+  );
+  workbook.substitute("My Data", { items: [{ qty: 1 }, { qty: 2 }] });
+  assert.deepStrictEqual(readWorkbook(workbook.generate()).cells("Summary"), {
+    A1: "=SUM('My Data'!A1:A2)",
+    A2: "='My Data'!A3",
+    A3: "=A2",
+  });
+});
+
+test("ranges over an inserted array grow to the new columns", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${days}",
+        B1: { formula: "COUNTA(A1:A1)" },
+      },
+    },
+    { days: ["mon", "tue", "wed"] }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "mon",
+    B1: "tue",
+    C1: "wed",
+    D1: "=COUNTA(A1:C1)",
+  });
+});
+
+test("formulas in repeated blocks refer to their own copy, ranges over the block grow", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${each:rows}",
+        B1: "${item}",
+        A2: "${endeach}",
+        B2: { formula: "B1*$D$5" },
+        C2: { formula: "SUM(B1:B1)" },
+        B5: { formula: "SUM(B1:B2)" },
+        D5: 10,
+      },
+    },
+    { rows: [1, 2] }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    B1: 1,
+    B2: "=B1*$D$7",
+    C2: "=SUM(B1:B1)",
+    B3: 2,
+    B4: "=B3*$D$7",
+    C4: "=SUM(B3:B3)",
+    B7: "=SUM(B1:B4)",
+    D7: 10,
+  });
+});
@@ -0,0 +1,98 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, loadTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+const headerFooter =
+  `<headerFooter><oddHeader>&amp;LSales report&amp;R\${date}</oddHeader>` +
+  `<oddFooter>\${company | upper}</oddFooter></headerFooter>`;
+
+test("placeholders in headers and footers are replaced, & is doubled", () => {
+  const workbook = loadTemplate({ cells: { A1: "x" }, after: headerFooter });
+  workbook.substitute(1, { date: "2024-05-01", company: "Smith & Co" });
+  const element = readWorkbook(workbook.generate())
+    .sheet()
+    .find("headerFooter");
+  assert.strictEqual(
+    element.find("oddHeader").text,
+    "&LSales report&R2024-05-01"
+  );
+  assert.strictEqual(element.find("oddFooter").text, "SMITH && CO");
+});
+
+test("renamed sheets are renamed in the references to them", () => {
+  const template = buildTemplate({
+    sheets: [
+      { name: "${region} sales", cells: { A1: "${total}" } },
+      {
+        name: "Summary",
+        cells: { A1: { formula: "'${region} sales'!A1*2" } },
+        after:
+          `<hyperlinks><hyperlink ref="A1" ` +
+          `location="'\${region} sales'!A1" display="Sales"/></hyperlinks>`,
+      },
+    ],
+    definedNames: `<definedName name="total">'\${region} sales'!$A$1</definedName>`,
+  });
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(template);
+  workbook.substitute(1, { region: "North", total: 10 });
+
+  const result = readWorkbook(workbook.generate());
+  assert.deepStrictEqual(result.sheetNames, ["North sales", "Summary"]);
+  assert.deepStrictEqual(result.cells("Summary"), {
+    A1: "='North sales'!A1*2",
+  });
+  assert.strictEqual(
+    result.sheet("Summary").find("hyperlinks/hyperlink").attrib.location,
+    "'North sales'!A1"
+  );
+  assert.strictEqual(
+    result.xml("xl/workbook.xml").find("definedNames/definedName").text,
+    "'North sales'!$A$1"
+  );
+});
+
+test("invalid or taken sheet names throw", () => {
+  const template = buildTemplate({
+    sheets: [{ name: "${name}" }, { name: "Summary" }],
+  });
+  for (const [name, message] of [
+    ["a/b", /Invalid sheet name "a\/b"/],
+    ["x".repeat(32), /Invalid sheet name/],
+    ["summary", /Sheet summary already exists/],
+  ]) {
+    const workbook = new XlsxTemplate();
+    workbook.loadTemplate(template);
+    assert.throws(() => workbook.substitute(1, { name }), message);
+  }
+});
+
+test("document properties are substituted and listed", () => {
+  const workbook = loadTemplate({
+    name: "Report",
+    cells: { A1: "x" },
+    after: headerFooter,
+    files: {
+      "docProps/core.xml":
+        `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+        `xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>\${title}</dc:title>` +
+        `<dc:creator>Reports</dc:creator></cp:coreProperties>`,
+    },
+  });
+  assert.deepStrictEqual(
+    workbook
+      .getPlaceholders()
+      .map((entry) => [entry.sheet, entry.cell, entry.source, entry.name]),
+    [
+      ["Report", "oddHeader", "headerFooter", "date"],
+      ["Report", "oddFooter", "headerFooter", "company"],
+      [null, "dc:title", "docProperty", "title"],
+    ]
+  );
+
+  workbook.substitute(1, { title: "Q1", date: "", company: "" });
+  const core = readWorkbook(workbook.generate()).xml("docProps/core.xml");
+  assert.strictEqual(core.find("dc:title").text, "Q1");
+  assert.strictEqual(core.find("dc:creator").text, "Reports");
+});
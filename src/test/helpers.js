@@ -0,0 +1,363 @@
+const etree = require("elementtree");
+const JSZip = require("jszip");
+const assign = require("lodash/assign");
+const XlsxTemplate = require("../main");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_REL_NS =
+  "http://schemas.openxmlformats.org/package/2006/relationships";
+const CONTENT_TYPE = "application/vnd.openxmlformats-officedocument";
+
+// Escape the special characters of XML text and attributes
+function escapeXml(string) {
+  return String(string)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Row number of a cell reference like "B12"
+function _rowOf(ref) {
+  return parseInt(/\d+/.exec(ref)[0], 10);
+}
+
+// Column number of a cell reference like "B12", to sort the cells of a row
+function _colOf(ref) {
+  return /^[A-Z]+/
+    .exec(ref)[0]
+    .split("")
+    .reduce((num, letter) => num * 26 + letter.charCodeAt(0) - 64, 0);
+}
+
+// XML of the <sheetData> of a sheet, adding its strings to `strings`, which
+// come after `offset` other shared strings
+function _sheetData(cells, rows, strings, offset) {
+  const byRow = new Map();
+  Object.keys(rows).forEach((row) => byRow.set(parseInt(row, 10), []));
+  Object.keys(cells).forEach((ref) => {
+    const row = _rowOf(ref);
+    byRow.set(row, (byRow.get(row) || []).concat(ref));
+  });
+
+  return Array.from(byRow.keys())
+    .sort((a, b) => a - b)
+    .map((row) => {
+      const cellsXml = byRow
+        .get(row)
+        .sort((a, b) => _colOf(a) - _colOf(b))
+        .map((ref) => {
+          let cell = cells[ref];
+          if (typeof cell !== "object" || cell === null) {
+            cell = { value: cell };
+          }
+          const style = cell.style === undefined ? "" : ` s="${cell.style}"`;
+          if (cell.formula !== undefined) {
+            return (
+              `<c r="${ref}"${style}><f>${escapeXml(cell.formula)}</f>` +
+              `<v>${cell.value === undefined ? 0 : cell.value}</v></c>`
+            );
+          }
+          if (cell.shared !== undefined) {
+            return `<c r="${ref}"${style} t="s"><v>${cell.shared}</v></c>`;
+          }
+          if (typeof cell.value === "string") {
+            let idx = strings.indexOf(cell.value);
+            if (idx === -1) {
+              idx = strings.push(cell.value) - 1;
+            }
+            return `<c r="${ref}"${style} t="s"><v>${idx + offset}</v></c>`;
+          }
+          if (cell.value === undefined || cell.value === null) {
+            return `<c r="${ref}"${style}/>`;
+          }
+          return `<c r="${ref}"${style}><v>${cell.value}</v></c>`;
+        })
+        .join("");
+      const attrib = rows[row] || "";
+      return `<row r="${row}"${attrib ? " " + attrib : ""}>${cellsXml}</row>`;
+    })
+    .join("");
+}
+
+/**
+ * Build the data of a .xlsx file to use as a template. `sheets` lists the
+ * sheets in order, each with:
+ *
+ * - `name`: the name of the sheet, `Sheet<n>` by default
+ * - `cells`: the cells by reference, e.g. `{A1: "${name}", B1: 12}`. Strings
+ *   become shared strings; `{value, formula, style}` objects give a formula
+ *   (without the `=`) or a cell format and `{shared}` refers to one of the
+ *   `strings` by index
+ * - `rows`: the attributes of the <row> elements by row number, as XML, e.g.
+ *   `{3: 'ht="30" customHeight="1"'}`
+ * - `before`, `after`: XML inserted before and after the <sheetData>
+ * - `rels`: the relationships of the sheet, as `{Id, type, Target}` where
+ *   `type` is the last part of the relationship type, e.g. "table"
+ *
+ * Without `sheets`, `spec` itself describes the only sheet of the template.
+ * `definedNames` is the XML of the defined names of the workbook, `files`
+ * adds parts to the archive by name, `contentTypes` adds `Override` elements
+ * as `{PartName: ContentType}`, `styles` replaces the styles part and
+ * `strings` gives the shared strings (as XML of <si> elements) to put first.
+ */
+function buildTemplate(spec = {}) {
+  const {
+    sheets = [spec],
+    definedNames = "",
+    files = {},
+    contentTypes = {},
+    styles = null,
+    strings = [],
+  } = spec;
+  const zip = new JSZip();
+  const sharedStrings = [];
+  const overrides = assign(
+    {
+      "/xl/workbook.xml":
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml",
+      "/xl/styles.xml": `${CONTENT_TYPE}.spreadsheetml.styles+xml`,
+      "/xl/sharedStrings.xml": `${CONTENT_TYPE}.spreadsheetml.sharedStrings+xml`,
+      "/docProps/core.xml":
+        "application/vnd.openxmlformats-package.core-properties+xml",
+      "/docProps/app.xml": `${CONTENT_TYPE}.extended-properties+xml`,
+    },
+    contentTypes
+  );
+
+  sheets.forEach((sheet, idx) => {
+    const filename = `xl/worksheets/sheet${idx + 1}.xml`;
+    overrides["/" + filename] = `${CONTENT_TYPE}.spreadsheetml.worksheet+xml`;
+    zip.file(
+      filename,
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+        `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+        (sheet.before || "") +
+        `<sheetData>${_sheetData(
+          sheet.cells || {},
+          sheet.rows || {},
+          sharedStrings,
+          strings.length
+        )}</sheetData>` +
+        (sheet.after || "") +
+        `</worksheet>`
+    );
+    if (sheet.rels) {
+      zip.file(
+        `xl/worksheets/_rels/sheet${idx + 1}.xml.rels`,
+        `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+          sheet.rels
+            .map(
+              (rel) =>
+                `<Relationship Id="${rel.Id}" Type="${REL_NS}/${rel.type}" ` +
+                `Target="${rel.Target}"/>`
+            )
+            .join("") +
+          `</Relationships>`
+      );
+    }
+  });
+
+  zip.file(
+    "[Content_Types].xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+      `<Default Extension="xml" ContentType="application/xml"/>` +
+      Object.keys(overrides)
+        .map(
+          (part) =>
+            `<Override PartName="${part}" ContentType="${overrides[part]}"/>`
+        )
+        .join("") +
+      `</Types>`
+  );
+  zip.file(
+    "_rels/.rels",
+    `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>` +
+      `<Relationship Id="rId3" Type="${REL_NS}/extended-properties" Target="docProps/app.xml"/>` +
+      `</Relationships>`
+  );
+  zip.file(
+    "xl/workbook.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+      `<bookViews><workbookView activeTab="0"/></bookViews><sheets>` +
+      sheets
+        .map(
+          (sheet, idx) =>
+            `<sheet name="${escapeXml(sheet.name || `Sheet${idx + 1}`)}" ` +
+            `sheetId="${idx + 1}" r:id="rId${idx + 3}"/>`
+        )
+        .join("") +
+      `</sheets>` +
+      (definedNames ? `<definedNames>${definedNames}</definedNames>` : "") +
+      `</workbook>`
+  );
+  zip.file(
+    "xl/_rels/workbook.xml.rels",
+    `<Relationships xmlns="${PACKAGE_REL_NS}">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      `<Relationship Id="rId2" Type="${REL_NS}/sharedStrings" Target="sharedStrings.xml"/>` +
+      sheets
+        .map(
+          (sheet, idx) =>
+            `<Relationship Id="rId${idx + 3}" Type="${REL_NS}/worksheet" ` +
+            `Target="worksheets/sheet${idx + 1}.xml"/>`
+        )
+        .join("") +
+      `</Relationships>`
+  );
+  zip.file(
+    "xl/styles.xml",
+    styles ||
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+        `<styleSheet xmlns="${MAIN_NS}">` +
+        `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>` +
+        `<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+        `<fills count="2"><fill><patternFill patternType="none"/></fill>` +
+        `<fill><patternFill patternType="gray125"/></fill></fills>` +
+        `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+        `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+        `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+        `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>` +
+        `<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>` +
+        `</styleSheet>`
+  );
+  const allStrings = strings.concat(
+    sharedStrings.map((string) => `<si><t>${escapeXml(string)}</t></si>`)
+  );
+  zip.file(
+    "xl/sharedStrings.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<sst xmlns="${MAIN_NS}" count="${allStrings.length}" ` +
+      `uniqueCount="${allStrings.length}">${allStrings.join("")}</sst>`
+  );
+  zip.file(
+    "docProps/core.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+      `xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Test</dc:title></cp:coreProperties>`
+  );
+  zip.file(
+    "docProps/app.xml",
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">` +
+      `<Application>Microsoft Excel</Application></Properties>`
+  );
+  Object.keys(files).forEach((name) => zip.file(name, files[name]));
+
+  return zip.generate({ type: "nodebuffer" });
+}
+
+/**
+ * Load a template built by `buildTemplate(spec)` in a new workbook created
+ * with `option`.
+ */
+function loadTemplate(spec, option) {
+  const workbook = new XlsxTemplate(option);
+  workbook.loadTemplate(buildTemplate(spec));
+  return workbook;
+}
+
+/**
+ * Read a generated .xlsx file (a Buffer or a binary string). Returns:
+ *
+ * - `zip`: the JSZip archive
+ * - `text(name)`: the text of a part, or null if it is missing
+ * - `xml(name)`: the root element of an XML part, or null
+ * - `sheetNames`: the names of the sheets, in order
+ * - `sheet(sheet)`: the root element of a sheet, given by name or 1-based
+ *   position
+ * - `cells(sheet)`: the cells of a sheet with a value, by reference. Strings
+ *   are read from the shared strings, numbers are numbers and formulas are
+ *   given as "=formula"
+ */
+function readWorkbook(data) {
+  const zip = new JSZip(data);
+  const text = (name) => (zip.file(name) ? zip.file(name).asText() : null);
+  const xml = (name) =>
+    text(name) === null ? null : etree.parse(text(name)).getroot();
+
+  const strings = xml("xl/sharedStrings.xml")
+    .findall("si")
+    .map((si) =>
+      si
+        .findall(".//t")
+        .map((t) => t.text || "")
+        .join("")
+    );
+  const workbook = xml("xl/workbook.xml");
+  const workbookRels = xml("xl/_rels/workbook.xml.rels");
+  const sheetElements = workbook.findall("sheets/sheet");
+  const sheetNames = sheetElements.map((sheet) => sheet.attrib.name);
+
+  const sheetPath = (sheet) => {
+    const element =
+      typeof sheet === "number"
+        ? sheetElements[sheet - 1]
+        : sheetElements.find((other) => other.attrib.name === sheet);
+    if (!element) {
+      throw new Error(`No sheet ${sheet}`);
+    }
+    const rel = workbookRels
+      .findall("Relationship")
+      .find((other) => other.attrib.Id === element.attrib["r:id"]);
+    return "xl/" + rel.attrib.Target.replace(/^\/?xl\//, "");
+  };
+  const sheet = (name = 1) => xml(sheetPath(name));
+
+  const cells = (name = 1) => {
+    const result = {};
+    sheet(name)
+      .findall("sheetData/row/c")
+      .forEach((cell) => {
+        const formula = cell.find("f");
+        const value = cell.find("v");
+        const inline = cell.find("is");
+        if (formula !== null && formula.text) {
+          result[cell.attrib.r] = "=" + formula.text;
+        } else if (inline !== null) {
+          result[cell.attrib.r] = inline
+            .findall(".//t")
+            .map((t) => t.text || "")
+            .join("");
+        } else if (value === null || value.text === null) {
+          return;
+        } else if (cell.attrib.t === "s") {
+          result[cell.attrib.r] = strings[parseInt(value.text, 10)];
+        } else if (cell.attrib.t === "str" || cell.attrib.t === "e") {
+          result[cell.attrib.r] = value.text;
+        } else if (cell.attrib.t === "b") {
+          result[cell.attrib.r] = value.text === "1";
+        } else {
+          result[cell.attrib.r] = Number(value.text);
+        }
+      });
+    return result;
+  };
+
+  return { zip, text, xml, strings, sheetNames, sheetPath, sheet, cells };
+}
+
+/**
+ * Substitute `values` in the first sheet of a template built from `spec` and
+ * read the result, see `readWorkbook()`.
+ */
+function render(spec, values, option) {
+  const workbook = loadTemplate(spec, option);
+  workbook.substitute(1, values);
+  return readWorkbook(workbook.generate());
+}
+
+module.exports = {
+  buildTemplate,
+  escapeXml,
+  loadTemplate,
+  readWorkbook,
+  render,
+};
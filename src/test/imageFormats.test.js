@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+
+// A 1x1 PNG image and a 1x1 GIF image
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+const GIF = Buffer.from(
+  "R0lGODlhAQABAAAAACH5BAEKAAEALAAAAAABAAEAAAICTAEAOw==",
+  "base64"
+);
+const SVG = Buffer.from(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="20"></svg>'
+);
+
+// The Default content types of a generated file, by extension
+function defaults(result) {
+  const types = {};
+  result
+    .xml("[Content_Types].xml")
+    .findall("Default")
+    .forEach((type) => {
+      types[type.attrib.Extension] = type.attrib.ContentType;
+    });
+  return types;
+}
+
+// The targets of the relationships of the drawing, by id
+function drawingTargets(result) {
+  const targets = {};
+  result
+    .xml("xl/drawings/_rels/drawing1.xml.rels")
+    .findall("Relationship")
+    .forEach((rel) => {
+      targets[rel.attrib.Id] = rel.attrib.Target;
+    });
+  return targets;
+}
+
+test("images are saved in their own format with their content type", () => {
+  const result = render(
+    { cells: { A1: "${image:a}", B1: "${image:b}", C1: "${image:c}" } },
+    { a: PNG, b: GIF, c: PNG }
+  );
+  assert.deepStrictEqual(
+    Object.keys(result.zip.files).filter((name) =>
+      name.startsWith("xl/media/")
+    ),
+    ["xl/media/image1.png", "xl/media/image2.gif", "xl/media/image3.png"]
+  );
+  assert.deepStrictEqual(defaults(result), {
+    rels: "application/vnd.openxmlformats-package.relationships+xml",
+    xml: "application/xml",
+    png: "image/png",
+    gif: "image/gif",
+  });
+  assert.deepStrictEqual(Object.values(drawingTargets(result)), [
+    "../media/image1.png",
+    "../media/image2.gif",
+    "../media/image3.png",
+  ]);
+});
+
+test("SVG images are embedded with a PNG fallback", () => {
+  const blip = (result) =>
+    result.xml("xl/drawings/drawing1.xml").find(".//a:blip");
+
+  const result = render({ cells: { A1: "${image:logo}" } }, { logo: SVG });
+  const targets = drawingTargets(result);
+  const svgBlip = blip(result).find("a:extLst/a:ext/asvg:svgBlip");
+  assert.strictEqual(targets[svgBlip.attrib["r:embed"]], "../media/image1.svg");
+  assert.strictEqual(
+    targets[blip(result).attrib["r:embed"]],
+    "../media/image2.png"
+  );
+  assert.strictEqual(defaults(result).svg, "image/svg+xml");
+
+  const withFallback = render(
+    { cells: { A1: "${image:logo}" } },
+    { logo: { src: SVG, fallback: GIF } }
+  );
+  assert.deepStrictEqual(Object.values(drawingTargets(withFallback)), [
+    "../media/image1.svg",
+    "../media/image2.gif",
+  ]);
+  assert.deepStrictEqual(
+    Array.from(withFallback.zip.file("xl/media/image2.gif").asUint8Array()),
+    Array.from(GIF)
+  );
+});
@@ -0,0 +1,99 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { loadTemplate, render } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+// A 1x1 PNG image
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+const EMUS_PER_PIXEL = 9525;
+
+// Render an image placeholder in B2, in a column of width 20
+function anchorOf(placeholder, image = PNG) {
+  const result = render(
+    {
+      cells: { B2: placeholder },
+      before: `<cols><col min="1" max="3" width="20" customWidth="1"/></cols>`,
+      rows: { 2: 'ht="60" customHeight="1"' },
+    },
+    { image }
+  );
+  return result.xml("xl/drawings/drawing1.xml").getchildren()[0];
+}
+
+// The numbers of the children of an anchor point, like {col, colOff, ...}
+function point(anchor, tag) {
+  const result = {};
+  anchor
+    .find(tag)
+    .getchildren()
+    .forEach((child) => {
+      result[child.tag.replace("xdr:", "")] = parseInt(child.text, 10);
+    });
+  return result;
+}
+
+// The size of a one cell anchor in pixels
+function size(anchor) {
+  const ext = anchor.find("xdr:ext");
+  return [ext.attrib.cx / EMUS_PER_PIXEL, ext.attrib.cy / EMUS_PER_PIXEL];
+}
+
+test("images take the size given by their placeholder", () => {
+  assert.deepStrictEqual(
+    size(anchorOf("${image:image(width=120,height=40)}")),
+    [120, 40]
+  );
+  assert.deepStrictEqual(size(anchorOf("${image:image(width=30)}")), [30, 30]);
+  assert.deepStrictEqual(size(anchorOf("${image:image}")), [1, 1]);
+});
+
+test("a size given with the image replaces the placeholder's, bounds still apply", () => {
+  assert.deepStrictEqual(
+    size(anchorOf("${image:image(maxWidth=20)}", { src: PNG, width: 30 })),
+    [20, 20]
+  );
+});
+
+test("contained images are aligned in their box", () => {
+  const anchor = anchorOf(
+    "${image:image(width=100,height=50,fit=contain,align=center)}"
+  );
+  const cellWidth = new XlsxTemplate().columnWidthToEMUs(20);
+  assert.deepStrictEqual(size(anchor), [50, 50]);
+  assert.deepStrictEqual(point(anchor, "xdr:from"), {
+    col: 1,
+    colOff: Math.floor((cellWidth - 50 * EMUS_PER_PIXEL) / 2),
+    row: 1,
+    rowOff: 0,
+  });
+});
+
+test("two cell anchors end where the image ends", () => {
+  const anchor = anchorOf("${image:image(width=100,height=50,anchor=twoCell)}");
+  assert.strictEqual(anchor.tag, "xdr:twoCellAnchor");
+  assert.deepStrictEqual(point(anchor, "xdr:to"), {
+    col: 1,
+    colOff: 100 * EMUS_PER_PIXEL,
+    row: 1,
+    rowOff: 50 * EMUS_PER_PIXEL,
+  });
+});
+
+test("invalid options give the default layout, or a problem in strict modes", () => {
+  const anchor = anchorOf("${image:image(fit=squeeze,align=middle)}");
+  assert.strictEqual(anchor.tag, "xdr:oneCellAnchor");
+  assert.deepStrictEqual(size(anchor), [1, 1]);
+  assert.strictEqual(point(anchor, "xdr:from").colOff, 0);
+
+  const workbook = loadTemplate(
+    { cells: { A1: "${image:image(anchor=free)}" } },
+    { strict: "report" }
+  );
+  assert.deepStrictEqual(
+    workbook.substitute(1, { image: PNG }).map((problem) => problem.message),
+    ['invalid image option anchor="free"']
+  );
+});
@@ -0,0 +1,144 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { once } = require("events");
+const { buildTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+const { httpImageLoader } = XlsxTemplate;
+
+// A 1x1 PNG image
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+let server;
+let base;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    requests.push(request.url);
+    switch (request.url) {
+      case "/logo.png":
+        response.setHeader("Content-Length", PNG.length);
+        response.end(PNG);
+        break;
+      case "/old":
+        response.writeHead(301, { Location: "/logo.png" });
+        response.end();
+        break;
+      case "/loop":
+        response.writeHead(302, { Location: "/loop" });
+        response.end();
+        break;
+      case "/big":
+        response.setHeader("Content-Length", 2048);
+        response.end(Buffer.alloc(2048));
+        break;
+      case "/chunked":
+        // No Content-Length, the size is only known while reading
+        response.write(Buffer.alloc(600));
+        response.end(Buffer.alloc(600));
+        break;
+      case "/slow":
+        // Never answers
+        break;
+      default:
+        response.writeHead(404);
+        response.end();
+    }
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test("images are downloaded, following redirects", async () => {
+  const load = httpImageLoader();
+  assert.deepStrictEqual(await load(`${base}/logo.png`, { async: true }), PNG);
+  assert.deepStrictEqual(await load(`${base}/old`, { async: true }), PNG);
+  await assert.rejects(
+    httpImageLoader({ maxRedirects: 2 })(`${base}/loop`, { async: true }),
+    /Too many redirects/
+  );
+  await assert.rejects(load(`${base}/missing`, { async: true }), /HTTP 404/);
+});
+
+test("downloads are limited in time and size", async () => {
+  await assert.rejects(
+    httpImageLoader({ timeout: 100 })(`${base}/slow`, { async: true }),
+    /Timeout after 100 ms/
+  );
+  const limited = httpImageLoader({ maxSize: 1000 });
+  await assert.rejects(
+    limited(`${base}/big`, { async: true }),
+    /is over 1000 bytes/
+  );
+  await assert.rejects(
+    limited(`${base}/chunked`, { async: true }),
+    /is over 1000 bytes/
+  );
+});
+
+test("other values are left to the next loaders", () => {
+  assert.strictEqual(httpImageLoader()("logo.png", { async: true }), undefined);
+  assert.strictEqual(
+    httpImageLoader()({ src: "x" }, { async: true }),
+    undefined
+  );
+});
+
+test("substituteAsync downloads the images with the loader", async () => {
+  const workbook = new XlsxTemplate({
+    imageLoader: [
+      (value) => (value === "db:1" ? PNG : undefined),
+      httpImageLoader(),
+    ],
+  });
+  workbook.loadTemplate(
+    buildTemplate({ cells: { A1: "${image:a}", B1: "${image:b}" } })
+  );
+  await workbook.substituteAsync(1, { a: `${base}/old`, b: "db:1" });
+  assert.deepStrictEqual(
+    readWorkbook(workbook.generate())
+      .zip.file(/^xl\/media\//)
+      .map((file) => file.asNodeBuffer()),
+    [PNG, PNG]
+  );
+});
+
+test("substitute() reports URLs without requesting them", () => {
+  const count = requests.length;
+  assert.throws(
+    () => httpImageLoader()(`${base}/logo.png`, { async: false }),
+    /can only be downloaded by substituteAsync\(\)/
+  );
+
+  const workbook = new XlsxTemplate({
+    imageLoader: httpImageLoader(),
+    strict: "report",
+  });
+  workbook.loadTemplate(buildTemplate({ cells: { A1: "${image:a}" } }));
+  const diagnostics = workbook.substitute(1, { a: `${base}/logo.png` });
+  assert.strictEqual(diagnostics.length, 1);
+  assert.match(diagnostics[0].message, /substituteAsync\(\)/);
+  assert.strictEqual(requests.length, count);
+});
+
+test("there is no loader by default", async () => {
+  const workbook = new XlsxTemplate({ strict: "report" });
+  workbook.loadTemplate(buildTemplate({ cells: { A1: "${image:a}" } }));
+  const count = requests.length;
+  const diagnostics = await workbook.substituteAsync(1, {
+    a: `${base}/logo.png`,
+  });
+  assert.strictEqual(diagnostics.length, 1);
+  assert.strictEqual(requests.length, count);
+});
@@ -0,0 +1,150 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const TABLE_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml";
+
+// A table named Sales on A1:A2
+function tableXml(id) {
+  return (
+    `<table xmlns="${MAIN_NS}" id="${id}" name="Sales" displayName="Sales" ` +
+    `ref="A1:A2"><autoFilter ref="A1:A2"/><tableColumns count="1">` +
+    `<tableColumn id="1" name="Amount"/></tableColumns></table>`
+  );
+}
+
+// Styles with a "Title" cell style, used by the cell format 1
+const sourceStyles =
+  `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+  `<styleSheet xmlns="${MAIN_NS}">` +
+  `<numFmts count="1"><numFmt numFmtId="164" formatCode="0.000"/></numFmts>` +
+  `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>` +
+  `<font><sz val="18"/><name val="Cambria"/></font></fonts>` +
+  `<fills count="1"><fill><patternFill patternType="none"/></fill></fills>` +
+  `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+  `<cellStyleXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/>` +
+  `<xf numFmtId="0" fontId="1" fillId="0" borderId="0"/></cellStyleXfs>` +
+  `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+  `<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="1"/></cellXfs>` +
+  `<cellStyles count="2"><cellStyle name="Normal" xfId="0" builtinId="0"/>` +
+  `<cellStyle name="Title" xfId="1" builtinId="15"/></cellStyles>` +
+  `</styleSheet>`;
+
+// A cover sheet with a styled title, a table, a formula on the table and on
+// another sheet of its workbook, and a local name
+function source() {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(
+    buildTemplate({
+      sheets: [
+        {
+          name: "Cover",
+          cells: {
+            A1: "Amount",
+            A2: 5,
+            B1: { value: "${title}", style: 1 },
+            B2: { formula: "SUM(Sales[Amount])+Lookups!A1+Details!A1" },
+          },
+          after: `<tableParts count="1"><tablePart r:id="rId1"/></tableParts>`,
+          rels: [{ Id: "rId1", type: "table", Target: "../tables/table1.xml" }],
+        },
+        { name: "Lookups", cells: { A1: 1 } },
+      ],
+      definedNames: `<definedName name="Title" localSheetId="0">Cover!$B$1</definedName>`,
+      contentTypes: { "/xl/tables/table1.xml": TABLE_TYPE },
+      files: { "xl/tables/table1.xml": tableXml(1) },
+      styles: sourceStyles,
+    })
+  );
+  return workbook;
+}
+
+// A details sheet with a table named Sales too
+function report() {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(
+    buildTemplate({
+      name: "Details",
+      cells: { A1: "Amount", A2: 1 },
+      after: `<tableParts count="1"><tablePart r:id="rId1"/></tableParts>`,
+      rels: [{ Id: "rId1", type: "table", Target: "../tables/table1.xml" }],
+      contentTypes: { "/xl/tables/table1.xml": TABLE_TYPE },
+      files: { "xl/tables/table1.xml": tableXml(1) },
+    })
+  );
+  return workbook;
+}
+
+test("imported sheets keep their tables, names and references", () => {
+  const workbook = report();
+  workbook.importSheet(source(), "Cover", { position: 1 });
+  workbook.substitute("Cover", { title: "Q1" });
+  const result = readWorkbook(workbook.generate());
+
+  assert.deepStrictEqual(result.sheetNames, ["Cover", "Details"]);
+  assert.deepStrictEqual(result.cells("Cover"), {
+    A1: "Amount",
+    A2: 5,
+    B1: "Q1",
+    B2: "=SUM(Sales_2[Amount])+#REF!A1+Details!A1",
+  });
+  assert.deepStrictEqual(
+    result
+      .xml("xl/workbook.xml")
+      .findall("definedNames/definedName")
+      .map((name) => [name.attrib.name, name.attrib.localSheetId, name.text]),
+    [["Title", "0", "Cover!$B$1"]]
+  );
+
+  const tableNames = result
+    .xml("[Content_Types].xml")
+    .findall("*")
+    .filter((override) => override.attrib.ContentType === TABLE_TYPE)
+    .map((override) => result.xml(override.attrib.PartName.substring(1)))
+    .map((table) => [table.attrib.name, table.attrib.id]);
+  assert.deepStrictEqual(tableNames, [
+    ["Sales", "1"],
+    ["Sales_2", "2"],
+  ]);
+});
+
+test("imported formats bring their named cell styles", () => {
+  const workbook = report();
+  workbook.importSheet(source(), "Cover");
+  const result = readWorkbook(workbook.generate());
+  const styles = result.xml("xl/styles.xml");
+
+  const cell = result
+    .sheet("Cover")
+    .findall("sheetData/row/c")
+    .find((element) => element.attrib.r === "B1");
+  const xf = styles.findall("cellXfs/xf")[parseInt(cell.attrib.s, 10)];
+  assert.strictEqual(
+    styles.find("numFmts/numFmt[@numFmtId='" + xf.attrib.numFmtId + "']").attrib
+      .formatCode,
+    "0.000"
+  );
+  assert.strictEqual(
+    styles.findall("fonts/font")[parseInt(xf.attrib.fontId, 10)].find("name")
+      .attrib.val,
+    "Cambria"
+  );
+  assert.deepStrictEqual(
+    styles
+      .findall("cellStyles/cellStyle")
+      .map((cellStyle) => [cellStyle.attrib.name, cellStyle.attrib.xfId]),
+    [
+      ["Normal", "0"],
+      ["Title", xf.attrib.xfId],
+    ]
+  );
+  assert.strictEqual(styles.find("cellStyles").attrib.count, "2");
+  assert.strictEqual(
+    styles.findall("cellStyleXfs/xf")[parseInt(xf.attrib.xfId, 10)].attrib
+      .fontId,
+    xf.attrib.fontId
+  );
+});
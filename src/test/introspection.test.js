@@ -0,0 +1,117 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { loadTemplate } = require("./helpers");
+
+const TABLE_CT =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml";
+
+const template = {
+  sheets: [
+    {
+      name: "Report",
+      cells: {
+        A1: "Hello ${name | upper}",
+        A2: "${each:customers:customer}",
+        B2: "${customer.name}",
+        C2: "${table:customer.orders.id}",
+        D2: "${image:customer.logo}",
+        A3: "${endeach}",
+        A4: "${if:showTotal}",
+        A5: "${endif}",
+        A6: "Id",
+      },
+      after:
+        `<hyperlinks><hyperlink ref="A1" r:id="rId2"/></hyperlinks>` +
+        `<tableParts count="1"><tablePart r:id="rId1"/></tableParts>`,
+      rels: [
+        { Id: "rId1", type: "table", Target: "../tables/table1.xml" },
+        {
+          Id: "rId2",
+          type: "hyperlink",
+          Target: "https://example.com/$%7Bsite.path%7D",
+        },
+      ],
+    },
+    { name: "Other", cells: { A1: "${normal:dates:down}" } },
+  ],
+  contentTypes: { "/xl/tables/table1.xml": TABLE_CT },
+  files: {
+    "xl/tables/table1.xml":
+      `<table xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+      `id="1" name="T" displayName="T" ref="A6:B7">` +
+      `<tableColumns count="2"><tableColumn id="1" name="Id"/>` +
+      `<tableColumn id="2" name="\${columnTitle}"/></tableColumns></table>`,
+  },
+};
+
+test("placeholders are listed from cells, table headers and hyperlinks", () => {
+  const placeholders = loadTemplate(template).getPlaceholders();
+  assert.deepStrictEqual(
+    placeholders.map((entry) => [
+      entry.sheet,
+      entry.cell,
+      entry.source,
+      entry.type,
+      entry.name,
+      entry.key,
+      entry.subType,
+    ]),
+    [
+      ["Report", "A1", "cell", "normal", "name", undefined, undefined],
+      ["Report", "A2", "cell", "each", "customers", undefined, "customer"],
+      ["Report", "B2", "cell", "normal", "customer", "name", undefined],
+      ["Report", "C2", "cell", "table", "customer", "orders.id", undefined],
+      ["Report", "D2", "cell", "image", "customer", "logo", undefined],
+      ["Report", "A4", "cell", "if", "showTotal", undefined, undefined],
+      [
+        "Report",
+        "B6",
+        "tableHeader",
+        "normal",
+        "columnTitle",
+        undefined,
+        undefined,
+      ],
+      ["Report", "A1", "hyperlink", "normal", "site", "path", undefined],
+      ["Other", "A1", "cell", "normal", "dates", undefined, "down"],
+    ]
+  );
+  assert.deepStrictEqual(placeholders[0].formatters, [
+    { name: "upper", args: [] },
+  ]);
+});
+
+test("the data schema follows blocks, tables and images", () => {
+  assert.deepStrictEqual(loadTemplate(template).getDataSchema(), {
+    type: "object",
+    properties: {
+      name: { type: ["string", "number", "boolean"] },
+      customers: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            name: { type: ["string", "number", "boolean", "array"] },
+            orders: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  id: { type: ["string", "number", "boolean", "array"] },
+                },
+              },
+            },
+            logo: { format: "image" },
+          },
+        },
+      },
+      showTotal: {},
+      columnTitle: { type: ["string", "number", "boolean"] },
+      site: {
+        type: "object",
+        properties: { path: { type: ["string", "number", "boolean"] } },
+      },
+      dates: { type: "array" },
+    },
+  });
+});
@@ -0,0 +1,127 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+
+// The links of the first sheet by cell, with the targets of their
+// relationships in place of the relationship ids
+function links(result) {
+  const rels = result.xml("xl/worksheets/_rels/sheet1.xml.rels");
+  const targets = {};
+  if (rels !== null) {
+    rels.findall("Relationship").forEach((rel) => {
+      targets[rel.attrib.Id] = rel.attrib.Target;
+    });
+  }
+
+  const found = {};
+  result
+    .sheet()
+    .findall("hyperlinks/hyperlink")
+    .forEach((hyperlink) => {
+      const attrib = hyperlink.attrib;
+      found[attrib.ref] = attrib["r:id"]
+        ? targets[attrib["r:id"]]
+        : "#" + attrib.location;
+      if (attrib.tooltip) {
+        found[attrib.ref] += ` (${attrib.tooltip})`;
+      }
+    });
+  return found;
+}
+
+test("link placeholders link their cell to the URL and show the text", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${link:ticket.url(text=ticket.id)}",
+        A2: "${link:ticket.owner(text=ticket.name) | upper}",
+        A3: "${link:ticket.url}",
+      },
+    },
+    {
+      ticket: {
+        id: "T-1",
+        url: "https://example.com/T-1",
+        owner: "https://example.com/ann",
+        name: "ann",
+      },
+    }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "T-1",
+    A2: "ANN",
+    A3: "https://example.com/T-1",
+  });
+  assert.deepStrictEqual(links(result), {
+    A1: "https://example.com/T-1",
+    A2: "https://example.com/ann",
+    A3: "https://example.com/T-1",
+  });
+});
+
+test("tables link each row with the link sub type", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${table:tickets.url:link(text=id)}",
+        B1: "${table:tickets.title}",
+      },
+    },
+    {
+      tickets: [
+        { id: "T-1", url: "https://example.com/T-1", title: "One" },
+        { id: "T-2", url: "https://example.com/T-2", title: "Two" },
+      ],
+    }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "T-1",
+    B1: "One",
+    A2: "T-2",
+    B2: "Two",
+  });
+  assert.deepStrictEqual(links(result), {
+    A1: "https://example.com/T-1",
+    A2: "https://example.com/T-2",
+  });
+});
+
+test("link objects link any cell, inside the workbook too, and need a URL", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${home}",
+        A2: "${summary}",
+        A3: "${link:draft.url(text=draft.title)}",
+      },
+    },
+    {
+      home: { text: "Home", url: "https://example.com", tooltip: "Go home" },
+      summary: { text: "Summary", url: "#'Sheet 2'!A1" },
+      draft: { url: null, title: "No URL" },
+    }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "Home",
+    A2: "Summary",
+    A3: "No URL",
+  });
+  assert.deepStrictEqual(links(result), {
+    A1: "https://example.com (Go home)",
+    A2: "#'Sheet 2'!A1",
+  });
+});
+
+test("links from the data replace the links of the template cell", () => {
+  const result = render(
+    {
+      cells: { A1: "${site}" },
+      after: `<hyperlinks><hyperlink ref="A1" r:id="rId9"/></hyperlinks>`,
+      rels: [
+        { Id: "rId9", type: "hyperlink", Target: "https://old.example.com" },
+      ],
+    },
+    { site: { text: "New", url: "https://new.example.com" } }
+  );
+  assert.deepStrictEqual(links(result), { A1: "https://new.example.com" });
+});
@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+
+test("nested blocks repeat for the elements of their own parent", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${each:customers:customer}",
+        B1: "Customer ${customer.name}",
+        A2: "${each:customer.orders:order}",
+        B2: "Order ${order.id}",
+        B3: "${table:order.lines.name}",
+        C3: "${table:order.lines.qty}",
+        A4: "${endeach}",
+        B4: "Total ${order.total}",
+        A5: "${endeach}",
+        A6: "End",
+      },
+      definedNames: `<definedName name="end">Sheet1!$A$6</definedName>`,
+    },
+    {
+      customers: [
+        {
+          name: "Ann",
+          orders: [
+            {
+              id: 1,
+              total: 5,
+              lines: [
+                { name: "x", qty: 1 },
+                { name: "y", qty: 2 },
+              ],
+            },
+            { id: 2, total: 7, lines: [{ name: "z", qty: 3 }] },
+          ],
+        },
+        { name: "Bob", orders: [] },
+      ],
+    }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    B1: "Customer Ann",
+    B2: "Order 1",
+    B3: "x",
+    C3: 1,
+    B4: "y",
+    C4: 2,
+    B5: "Total 5",
+    B6: "Order 2",
+    B7: "z",
+    C7: 3,
+    B8: "Total 7",
+    B9: "Customer Bob",
+    A10: "End",
+  });
+  assert.strictEqual(
+    result.xml("xl/workbook.xml").find("definedNames/definedName").text,
+    "Sheet1!$A$10"
+  );
+});
+
+test("table placeholders read nested arrays and nested keys", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${table:report.people.name}",
+        B1: "${table:report.people.address.city}",
+      },
+    },
+    {
+      report: {
+        people: [
+          { name: "Ann", address: { city: "Oslo" } },
+          { name: "Bob", address: { city: "Rome" } },
+        ],
+      },
+    }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "Ann",
+    B1: "Oslo",
+    A2: "Bob",
+    B2: "Rome",
+  });
+});
+
+test("tables without a totals row grow by the inserted rows only", () => {
+  const result = render(
+    {
+      cells: { A1: "Name", A2: "${table:people.name}" },
+      after: `<tableParts count="1"><tablePart r:id="rId1"/></tableParts>`,
+      rels: [{ Id: "rId1", type: "table", Target: "../tables/table1.xml" }],
+      contentTypes: {
+        "/xl/tables/table1.xml":
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml",
+      },
+      files: {
+        "xl/tables/table1.xml":
+          `<table xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+          `id="1" name="People" displayName="People" ref="A1:A2" totalsRowCount="0">` +
+          `<autoFilter ref="A1:A2"/><tableColumns count="1">` +
+          `<tableColumn id="1" name="Name"/></tableColumns></table>`,
+      },
+    },
+    { people: [{ name: "Ann" }, { name: "Bob" }, { name: "Cy" }] }
+  );
+  const table = result.xml("xl/tables/table1.xml");
+  assert.strictEqual(table.attrib.ref, "A1:A4");
+  assert.strictEqual(table.find("autoFilter").attrib.ref, "A1:A4");
+});
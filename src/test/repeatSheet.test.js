@@ -0,0 +1,150 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+
+const regions = [
+  { name: "North", sales: [{ amount: 1 }, { amount: 2 }] },
+  { name: "South", sales: [{ amount: 3 }] },
+];
+
+// A region sheet with a named table and a total, a summary sheet and a
+// global name referring to the total of the region sheet
+function template(option) {
+  const workbook = new XlsxTemplate(option);
+  workbook.loadTemplate(
+    buildTemplate({
+      sheets: [
+        { name: "Summary", cells: { A1: "Regions" } },
+        {
+          name: "${name}",
+          cells: {
+            A1: "${name}",
+            A2: "Amount",
+            A3: "${table:sales.amount}",
+            A4: { formula: "SUM(Sales[Amount])" },
+            B4: { formula: "'${name}'!A4" },
+          },
+          after: `<tableParts count="1"><tablePart r:id="rId1"/></tableParts>`,
+          rels: [{ Id: "rId1", type: "table", Target: "../tables/table1.xml" }],
+        },
+      ],
+      definedNames: `<definedName name="Total">'\${name}'!$A$4</definedName>`,
+      contentTypes: {
+        "/xl/tables/table1.xml":
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml",
+      },
+      files: {
+        "xl/tables/table1.xml":
+          `<table xmlns="${MAIN_NS}" id="1" name="Sales" displayName="Sales" ` +
+          `ref="A2:A3" totalsRowCount="0"><autoFilter ref="A2:A3"/>` +
+          `<tableColumns count="1"><tableColumn id="1" name="Amount"/>` +
+          `</tableColumns></table>`,
+      },
+    })
+  );
+  return workbook;
+}
+
+// The name and ref of the tables of a sheet of a generated workbook
+function tables(result, sheet) {
+  const rels = result.xml(
+    result.sheetPath(sheet).replace("worksheets/", "worksheets/_rels/") +
+      ".rels"
+  );
+  return rels.findall("Relationship").map((rel) => {
+    const table = result.xml(
+      "xl/" + rel.attrib.Target.replace("../", "")
+    ).attrib;
+    return [table.name, table.ref];
+  });
+}
+
+test("each record fills its own copy of the sheet", () => {
+  const workbook = template();
+  assert.deepStrictEqual(workbook.repeatSheet("${name}", regions), undefined);
+  const result = readWorkbook(workbook.generate());
+
+  assert.deepStrictEqual(result.sheetNames, [
+    "Summary",
+    "${name}",
+    "North",
+    "South",
+  ]);
+  assert.deepStrictEqual(result.cells("North"), {
+    A1: "North",
+    A2: "Amount",
+    A3: 1,
+    A4: 2,
+    A5: "=SUM(Sales_2[Amount])",
+    B5: "=North!A5",
+  });
+  assert.deepStrictEqual(tables(result, "North"), [["Sales_2", "A2:A4"]]);
+  assert.deepStrictEqual(tables(result, "South"), [["Sales_3", "A2:A3"]]);
+  assert.deepStrictEqual(tables(result, "${name}"), [["Sales", "A2:A3"]]);
+
+  const names = result
+    .xml("xl/workbook.xml")
+    .findall("definedNames/definedName")
+    .map((name) => [name.attrib.name, name.attrib.localSheetId, name.text]);
+  assert.deepStrictEqual(names, [
+    ["Total", undefined, "'${name}'!$A$4"],
+    ["Total", "2", "North!$A$5"],
+    ["Total", "3", "South!$A$4"],
+  ]);
+});
+
+test("copies may be named by an option and replace the template", () => {
+  const workbook = template();
+  workbook.repeatSheet("${name}", regions, {
+    name: (region, idx) => `${idx + 1}. ${region.name}`,
+    removeTemplate: true,
+  });
+  const result = readWorkbook(workbook.generate());
+
+  assert.deepStrictEqual(result.sheetNames, [
+    "Summary",
+    "1. North",
+    "2. South",
+  ]);
+  assert.deepStrictEqual(
+    result
+      .xml("xl/workbook.xml")
+      .findall("definedNames/definedName")
+      .map((name) => [name.attrib.localSheetId, name.text]),
+    [
+      ["1", "'1. North'!$A$5"],
+      ["2", "'2. South'!$A$4"],
+    ]
+  );
+});
+
+test("sheets whose name has no placeholder get numbered copies", () => {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(
+    buildTemplate({ name: "Region", cells: { A1: "${name}" } })
+  );
+  workbook.repeatSheet("Region", regions);
+  assert.deepStrictEqual(readWorkbook(workbook.generate()).sheetNames, [
+    "Region",
+    "Region (1)",
+    "Region (2)",
+  ]);
+});
+
+test("problems in strict mode leave the workbook as it was", () => {
+  const workbook = template({ strict: true });
+  const before = readWorkbook(workbook.generate());
+  assert.throws(
+    () => workbook.repeatSheet("${name}", [regions[0], { name: "West" }]),
+    /Substitution data does not match the template \(1 problem\)/
+  );
+  const after = readWorkbook(workbook.generate());
+  assert.deepStrictEqual(after.sheetNames, before.sheetNames);
+  assert.deepStrictEqual(
+    Object.keys(after.zip.files),
+    Object.keys(before.zip.files)
+  );
+});
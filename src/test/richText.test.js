@@ -0,0 +1,97 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+
+// A string with a plain run, a bold red run and a plain run again
+const richString =
+  `<si><r><t xml:space="preserve">Dear </t></r>` +
+  `<r><rPr><b/><color rgb="FFFF0000"/></rPr><t>\${name}</t></r>` +
+  `<r><t xml:space="preserve">, welcome</t></r></si>`;
+
+// The [formatting tags, text] of the runs of the string of a cell
+function runsOf(result, ref) {
+  const cell = result
+    .sheet()
+    .findall("sheetData/row/c")
+    .find((c) => c.attrib.r === ref);
+  const si = result.xml("xl/sharedStrings.xml").findall("si")[
+    parseInt(cell.find("v").text, 10)
+  ];
+  return si.findall("r").map((r) => [
+    r.find("rPr")
+      ? r
+          .find("rPr")
+          .getchildren()
+          .map(
+            (prop) => prop.tag + (prop.attrib.rgb ? "=" + prop.attrib.rgb : "")
+          )
+      : [],
+    r.find("t").text,
+  ]);
+}
+
+test("strings with formatted runs and no placeholder are kept as they are", () => {
+  const result = render(
+    {
+      strings: [richString.replace("${name}", "Ann")],
+      cells: { A1: { shared: 0 } },
+    },
+    {}
+  );
+  assert.deepStrictEqual(runsOf(result, "A1"), [
+    [[], "Dear "],
+    [["b", "color=FFFF0000"], "Ann"],
+    [[], ", welcome"],
+  ]);
+});
+
+test("placeholders in a run are replaced with the formatting of the run", () => {
+  const result = render(
+    { strings: [richString], cells: { A1: { shared: 0 } } },
+    { name: "Bob" }
+  );
+  assert.deepStrictEqual(result.cells(), { A1: "Dear Bob, welcome" });
+  assert.deepStrictEqual(runsOf(result, "A1"), [
+    [[], "Dear "],
+    [["b", "color=FFFF0000"], "Bob"],
+    [[], ", welcome"],
+  ]);
+});
+
+test("rich text values become formatted runs, alone or inside a text", () => {
+  const status = [
+    { text: "Overdue", bold: true, color: "#FF0000" },
+    { text: " since 3 days", italic: true, size: 9 },
+  ];
+  const result = render(
+    { cells: { A1: "${status}", A2: "Status: ${status}" } },
+    { status }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "Overdue since 3 days",
+    A2: "Status: Overdue since 3 days",
+  });
+  assert.deepStrictEqual(runsOf(result, "A1"), [
+    [["b", "color=FFFF0000"], "Overdue"],
+    [["i", "sz"], " since 3 days"],
+  ]);
+  assert.deepStrictEqual(runsOf(result, "A2"), [
+    [[], "Status: "],
+    [["b", "color=FFFF0000"], "Overdue"],
+    [["i", "sz"], " since 3 days"],
+  ]);
+});
+
+test("rich text values in tables fill a single cell per row", () => {
+  const result = render(
+    { cells: { A1: "${table:rows.label}", B1: "${table:rows.qty}" } },
+    {
+      rows: [
+        { label: [{ text: "a", bold: true }], qty: 1 },
+        { label: [{ text: "b", underline: "double" }], qty: 2 },
+      ],
+    }
+  );
+  assert.deepStrictEqual(result.cells(), { A1: "a", B1: 1, A2: "b", B2: 2 });
+  assert.deepStrictEqual(runsOf(result, "A2"), [[["u"], "b"]]);
+});
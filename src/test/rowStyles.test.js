@@ -0,0 +1,126 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { loadTemplate, readWorkbook, render } = require("./helpers");
+
+// The style index of each cell of the first sheet, as {ref: s}
+function styleIndexes(result) {
+  const found = {};
+  result
+    .sheet()
+    .findall("sheetData/row/c")
+    .forEach((cell) => {
+      found[cell.attrib.r] = cell.attrib.s;
+    });
+  return found;
+}
+
+// A table row and its alternate row, with a total below
+const striped = {
+  cells: {
+    A1: { value: "${table:items.name}", style: 0 },
+    B1: { value: "${table:items.qty}", style: 0 },
+    A2: { value: "${table:items.name(alternate)}", style: 1 },
+    B2: { value: "${table:items.qty(alternate)}", style: 1 },
+    A3: "Total",
+    B3: { formula: "SUM(B1:B2)" },
+  },
+};
+
+const items = [
+  { name: "a", qty: 1 },
+  { name: "b", qty: 2 },
+  { name: "c", qty: 3 },
+];
+
+test("alternate rows give their style to every other row", () => {
+  const result = render(striped, { items });
+  assert.deepStrictEqual(result.cells(), {
+    A1: "a",
+    B1: 1,
+    A2: "b",
+    B2: 2,
+    A3: "c",
+    B3: 3,
+    A4: "Total",
+    B4: "=SUM(B1:B3)",
+  });
+  assert.deepStrictEqual(styleIndexes(result), {
+    A1: "0",
+    B1: "0",
+    A2: "1",
+    B2: "1",
+    A3: "0",
+    B3: "0",
+    A4: undefined,
+    B4: undefined,
+  });
+});
+
+test("rows without the alternate option are not alternate rows", () => {
+  const result = render(
+    {
+      cells: {
+        A1: "${table:items.name}",
+        A2: "${table:items.name}",
+        A3: "End",
+      },
+    },
+    { items: items.slice(0, 2) }
+  );
+  assert.deepStrictEqual(result.cells(), {
+    A1: "a",
+    A2: "b",
+    A3: "a",
+    A4: "b",
+    A5: "End",
+  });
+});
+
+test("the rowStyle option styles the rows of a table", () => {
+  const workbook = loadTemplate(striped, {
+    styles: { low: { color: "#FF0000" } },
+    rowStyle: (item, idx, name) =>
+      name === "items" && item.qty < 3 ? "low" : null,
+  });
+  workbook.substitute(1, { items });
+  const result = readWorkbook(workbook.generate());
+  const styles = result.xml("xl/styles.xml");
+  const indexes = styleIndexes(result);
+
+  const fontOf = (ref) => {
+    const xf = styles.findall("cellXfs/xf")[parseInt(indexes[ref], 10)];
+    return styles.findall("fonts/font")[parseInt(xf.attrib.fontId, 10)];
+  };
+  assert.strictEqual(fontOf("A1").find("color").attrib.rgb, "FFFF0000");
+  assert.strictEqual(fontOf("A1").find("b"), null);
+  assert.strictEqual(fontOf("A2").find("color").attrib.rgb, "FFFF0000");
+  assert.notStrictEqual(fontOf("A2").find("b"), null, "bold of the row kept");
+  assert.strictEqual(indexes.A3, "0");
+
+  const unknown = loadTemplate(striped, { rowStyle: () => "missing" });
+  assert.throws(
+    () => unknown.substitute(1, { items }),
+    /Unknown style "missing" for the row 1 of items/
+  );
+});
+
+test("strict substitutions that fail forget the formats they added", () => {
+  const workbook = loadTemplate(
+    { cells: { A1: "${value}", A2: "${other}" } },
+    { strict: true }
+  );
+  const style = { fill: "#FFFF00" };
+  assert.throws(() => workbook.substitute(1, { value: { value: 1, style } }));
+  workbook.substitute(1, { value: { value: 1, style }, other: 2 });
+  const result = readWorkbook(workbook.generate());
+  const styles = result.xml("xl/styles.xml");
+  const xf =
+    styles.findall("cellXfs/xf")[parseInt(styleIndexes(result).A1, 10)];
+  assert.notStrictEqual(xf, undefined);
+  assert.strictEqual(
+    styles
+      .findall("fills/fill")
+      [parseInt(xf.attrib.fillId, 10)].find("patternFill/fgColor").attrib.rgb,
+    "FFFFFF00"
+  );
+});
@@ -0,0 +1,133 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+
+// Three sheets: Data has a table and a local name, Summary refers to Data
+// and Notes is on its own
+function template() {
+  const workbook = new XlsxTemplate();
+  workbook.loadTemplate(
+    buildTemplate({
+      sheets: [
+        {
+          name: "Data",
+          cells: { A1: "Amount", A2: 1 },
+          after: `<tableParts count="1"><tablePart r:id="rId1"/></tableParts>`,
+          rels: [{ Id: "rId1", type: "table", Target: "../tables/table1.xml" }],
+        },
+        {
+          name: "Summary",
+          cells: { A1: { formula: "Data!A2*2" }, B1: { formula: '"Data!A2"' } },
+        },
+        { name: "Notes", cells: { A1: "x" } },
+      ],
+      definedNames:
+        `<definedName name="Total">Data!$A$2</definedName>` +
+        `<definedName name="Note" localSheetId="2">Notes!$A$1</definedName>`,
+      contentTypes: {
+        "/xl/tables/table1.xml":
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.table+xml",
+      },
+      files: {
+        "xl/tables/table1.xml":
+          `<table xmlns="${MAIN_NS}" id="1" name="Amounts" ` +
+          `displayName="Amounts" ref="A1:A2"><autoFilter ref="A1:A2"/>` +
+          `<tableColumns count="1"><tableColumn id="1" name="Amount"/>` +
+          `</tableColumns></table>`,
+      },
+    })
+  );
+  return workbook;
+}
+
+// The defined names of a generated workbook, as [name, localSheetId, text]
+function definedNames(result) {
+  return result
+    .xml("xl/workbook.xml")
+    .findall("definedNames/definedName")
+    .map((name) => [name.attrib.name, name.attrib.localSheetId, name.text]);
+}
+
+test("renamed sheets keep the references to them", () => {
+  const workbook = template();
+  workbook.renameSheet("Data", "Sales data");
+  const result = readWorkbook(workbook.generate());
+
+  assert.deepStrictEqual(result.sheetNames, ["Sales data", "Summary", "Notes"]);
+  assert.deepStrictEqual(result.cells("Summary"), {
+    A1: "='Sales data'!A2*2",
+    B1: '="Data!A2"',
+  });
+  assert.deepStrictEqual(definedNames(result)[0], [
+    "Total",
+    undefined,
+    "'Sales data'!$A$2",
+  ]);
+  assert.throws(
+    () => workbook.renameSheet("Notes", "summary"),
+    /Sheet summary already exists/
+  );
+});
+
+test("moved sheets keep their local names", () => {
+  const workbook = template();
+  workbook.moveSheet("Notes", 1);
+  const result = readWorkbook(workbook.generate());
+
+  assert.deepStrictEqual(result.sheetNames, ["Notes", "Data", "Summary"]);
+  assert.deepStrictEqual(definedNames(result)[1], ["Note", "0", "Notes!$A$1"]);
+});
+
+test("the last visible sheet cannot be hidden", () => {
+  const workbook = template();
+  workbook.hideSheet("Data").veryHideSheet("Summary");
+  assert.throws(
+    () => workbook.hideSheet("Notes"),
+    /Cannot hide Notes, the last visible sheet/
+  );
+
+  let result = readWorkbook(workbook.generate());
+  const root = result.xml("xl/workbook.xml");
+  assert.deepStrictEqual(
+    root.findall("sheets/sheet").map((sheet) => sheet.attrib.state),
+    ["hidden", "veryHidden", undefined]
+  );
+  assert.strictEqual(root.find("bookViews/workbookView").attrib.activeTab, "2");
+
+  workbook.showSheet("Data");
+  result = readWorkbook(workbook.generate());
+  assert.strictEqual(
+    result.xml("xl/workbook.xml").find("sheets/sheet").attrib.state,
+    undefined
+  );
+});
+
+test("deleted sheets take their parts and leave #REF! behind", () => {
+  const workbook = template();
+  workbook.deleteSheet("Data");
+  const result = readWorkbook(workbook.generate());
+
+  assert.deepStrictEqual(result.sheetNames, ["Summary", "Notes"]);
+  assert.deepStrictEqual(result.cells("Summary"), {
+    A1: "=#REF!A2*2",
+    B1: '="Data!A2"',
+  });
+  assert.deepStrictEqual(definedNames(result), [
+    ["Total", undefined, "#REF!$A$2"],
+    ["Note", "1", "Notes!$A$1"],
+  ]);
+  assert.strictEqual(result.zip.file("xl/tables/table1.xml"), null);
+  assert.strictEqual(
+    result.text("[Content_Types].xml").indexOf("table1.xml"),
+    -1
+  );
+
+  workbook.deleteSheet("Notes");
+  assert.throws(
+    () => workbook.deleteSheet("Summary"),
+    /Cannot delete Summary, the last visible sheet/
+  );
+});
@@ -0,0 +1,129 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const JSZip = require("jszip");
+const { loadTemplate, readWorkbook } = require("./helpers");
+const { zipEntries } = require("../zipStream");
+
+// Read a stream or an async iterable of Buffers into a single Buffer
+async function collect(chunks) {
+  const buffers = [];
+  for await (const chunk of chunks) {
+    buffers.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(buffers);
+}
+
+async function* generate(values) {
+  for (const value of values) {
+    await null;
+    yield value;
+  }
+}
+
+test("zipEntries writes archives of string, Buffer and iterable entries", async () => {
+  const big = "x".repeat(100000);
+  const archive = await collect(
+    zipEntries([
+      { name: "a.txt", data: "Hello, wörld" },
+      { name: "dir/b.bin", data: Buffer.from([0, 1, 2, 255]) },
+      { name: "c.xml", data: generate(["<a>", Buffer.from(big), "</a>"]) },
+      { name: "empty.txt", data: "" },
+    ])
+  );
+
+  const zip = new JSZip(archive);
+  assert.deepStrictEqual(Object.keys(zip.files), [
+    "a.txt",
+    "dir/b.bin",
+    "c.xml",
+    "empty.txt",
+  ]);
+  assert.strictEqual(zip.file("a.txt").asText(), "Hello, wörld");
+  assert.deepStrictEqual(
+    Array.from(zip.file("dir/b.bin").asUint8Array()),
+    [0, 1, 2, 255]
+  );
+  assert.strictEqual(zip.file("c.xml").asText(), `<a>${big}</a>`);
+  assert.strictEqual(zip.file("empty.txt").asText(), "");
+});
+
+const sheet = {
+  cells: {
+    A1: "${title}",
+    A2: "${table:orders.id}",
+    B2: "${table:orders.total | number:2}",
+    C2: "Fixed",
+    A3: "Total",
+    B3: { formula: "SUM(B2:B2)" },
+  },
+  after: `<mergeCells count="1"><mergeCell ref="A3:B3"/></mergeCells>`,
+  definedNames: `<definedName name="total">Sheet1!$B$3</definedName>`,
+};
+const orders = [
+  { id: "a", total: 1 },
+  { id: "b", total: 2.5 },
+  { id: "c", total: 3 },
+];
+
+test("streamed tables give the same cells as substitute()", async () => {
+  const expected = loadTemplate(sheet);
+  expected.substitute(1, { title: "Orders", orders });
+  const expectedResult = readWorkbook(expected.generate());
+
+  for (const values of [orders, generate(orders)]) {
+    const result = readWorkbook(
+      await collect(
+        loadTemplate(sheet).substituteStream(
+          1,
+          { title: "Orders", orders: values },
+          "orders"
+        )
+      )
+    );
+    assert.deepStrictEqual(result.cells(), expectedResult.cells());
+    assert.strictEqual(
+      result.sheet().find("mergeCells/mergeCell").attrib.ref,
+      "A5:B5"
+    );
+    assert.strictEqual(
+      result.xml("xl/workbook.xml").find("definedNames/definedName").text,
+      "Sheet1!$B$5"
+    );
+  }
+});
+
+test("an error in the source rejects the stream and removes the temporary file", async () => {
+  const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), "stream-test-"));
+  const previous = process.env.TMPDIR;
+  process.env.TMPDIR = tmpdir;
+
+  async function* failing() {
+    yield orders[0];
+    assert.strictEqual(fs.readdirSync(tmpdir).length, 1);
+    throw new Error("cursor closed");
+  }
+
+  try {
+    await assert.rejects(
+      collect(
+        loadTemplate(sheet).substituteStream(
+          1,
+          { title: "Orders", orders: failing() },
+          "orders"
+        )
+      ),
+      /cursor closed/
+    );
+    assert.deepStrictEqual(fs.readdirSync(tmpdir), []);
+  } finally {
+    if (previous === undefined) {
+      delete process.env.TMPDIR;
+    } else {
+      process.env.TMPDIR = previous;
+    }
+    fs.rmSync(tmpdir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,126 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { buildTemplate, loadTemplate, readWorkbook } = require("./helpers");
+const XlsxTemplate = require("../main");
+
+const sheet = {
+  cells: {
+    A1: "${name}",
+    B1: "${nickname | default:'none'}",
+    A2: "${table:people.name}",
+    B2: "${table:people.age}",
+    A3: "${table:pets.name}",
+    A4: "${image:logo}",
+  },
+};
+
+test("report mode returns every problem with its sheet, cell and placeholder", () => {
+  const workbook = loadTemplate(sheet, { strict: "report" });
+  const diagnostics = workbook.substitute(1, {
+    people: [{ name: "Ann", age: 3 }, { name: "Bob" }],
+    pets: "Rex",
+    logo: "not an image",
+  });
+  assert.deepStrictEqual(
+    diagnostics.map((diagnostic) => [
+      diagnostic.sheet,
+      diagnostic.cell,
+      diagnostic.placeholder,
+      diagnostic.message,
+    ]),
+    [
+      ["Sheet1", "A1", "${name}", 'no value for "name"'],
+      [
+        "Sheet1",
+        "B2",
+        "${table:people.age}",
+        'no value for "age" in people[1]',
+      ],
+      ["Sheet1", "A4", "${table:pets.name}", '"pets" is not an array'],
+      [
+        "Sheet1",
+        "A5",
+        "${image:logo}",
+        "invalid image: imageObj cannot be parse as a buffer",
+      ],
+    ]
+  );
+  assert.deepStrictEqual(
+    loadTemplate(sheet, { strict: "report" }).substitute(1, {
+      name: "x",
+      people: [],
+      pets: [],
+      logo: null,
+    }),
+    []
+  );
+});
+
+test("strict mode throws one error and leaves the workbook untouched", () => {
+  const template = buildTemplate(sheet);
+  const workbook = new XlsxTemplate({ strict: true });
+  workbook.loadTemplate(template);
+
+  assert.throws(
+    () => workbook.substitute(1, { people: [], pets: [], logo: null }),
+    (error) => {
+      assert.strictEqual(
+        error.message,
+        "Substitution data does not match the template (1 problem):\n" +
+          '  Sheet1!A1 ${name}: no value for "name"'
+      );
+      assert.strictEqual(error.diagnostics.length, 1);
+      return true;
+    }
+  );
+  assert.deepStrictEqual(
+    readWorkbook(workbook.generate()).cells(),
+    readWorkbook(template).cells()
+  );
+
+  workbook.substitute(1, { name: "Ann", people: [], pets: [], logo: null });
+  assert.strictEqual(readWorkbook(workbook.generate()).cells().A1, "Ann");
+});
+
+test("substituteAll reports the problems of all the sheets together", () => {
+  const workbook = new XlsxTemplate({ strict: true });
+  workbook.loadTemplate(
+    buildTemplate({
+      sheets: [{ cells: { A1: "${a}" } }, { cells: { A1: "${b}" } }],
+    })
+  );
+  assert.throws(
+    () => workbook.substituteAll({}),
+    /\(2 problems\):\n {2}Sheet1!A1 \$\{a\}: .*\n {2}Sheet2!A1 \$\{b\}: /
+  );
+});
+
+test("unmatched directives are reported in strict modes", () => {
+  const workbook = loadTemplate(
+    {
+      cells: {
+        A1: "${endif}",
+        A2: "Kept",
+        A3: "${each:rows}",
+        A4: "${if:show}",
+        A5: "${endeach}",
+      },
+    },
+    { strict: "report" }
+  );
+  const diagnostics = workbook.substitute(1, { rows: [1], show: true });
+  assert.deepStrictEqual(
+    diagnostics.map((diagnostic) => [
+      diagnostic.cell,
+      diagnostic.placeholder,
+      diagnostic.message,
+    ]),
+    [
+      ["A1", "${endif}", "no matching ${if:...}"],
+      ["A3", "${if:show}", "no matching ${endif}"],
+    ]
+  );
+  assert.deepStrictEqual(readWorkbook(workbook.generate()).cells(), {
+    A1: "Kept",
+  });
+});
@@ -0,0 +1,109 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { render } = require("./helpers");
+
+// The cell format of a cell of the first sheet, with its font, fill, border
+// and number format elements
+function format(result, ref) {
+  const styles = result.xml("xl/styles.xml");
+  const cell = result
+    .sheet()
+    .findall("sheetData/row/c")
+    .find((element) => element.attrib.r === ref);
+  const index = parseInt(cell.attrib.s || "0", 10);
+  const xf = styles.findall("cellXfs/xf")[index];
+  const numFmt = styles.find(
+    "numFmts/numFmt[@numFmtId='" + xf.attrib.numFmtId + "']"
+  );
+  return {
+    index,
+    xf: xf.attrib,
+    font: styles.findall("fonts/font")[parseInt(xf.attrib.fontId, 10)],
+    fill: styles.findall("fills/fill")[parseInt(xf.attrib.fillId, 10)],
+    border: styles.findall("borders/border")[parseInt(xf.attrib.borderId, 10)],
+    numFmt: numFmt && numFmt.attrib.formatCode,
+  };
+}
+
+test("styles apply on top of the format of the template cell", () => {
+  const result = render(
+    { cells: { A1: { value: "${total}", style: 1 }, A2: "${other}" } },
+    {
+      total: {
+        value: 1250,
+        style: { color: "#FF0000", numFmt: "0.0%", border: { top: "thin" } },
+      },
+      other: { value: 1, style: { bold: false, fill: "00FF00" } },
+    }
+  );
+  assert.deepStrictEqual(result.cells(), { A1: 1250, A2: 1 });
+
+  const total = format(result, "A1");
+  assert.notStrictEqual(total.font.find("b"), null, "bold is kept");
+  assert.strictEqual(total.font.find("color").attrib.rgb, "FFFF0000");
+  assert.strictEqual(total.numFmt, "0.0%");
+  assert.strictEqual(total.border.find("top").attrib.style, "thin");
+  assert.strictEqual(total.border.find("left").attrib.style, undefined);
+  assert.strictEqual(total.xf.applyNumberFormat, "1");
+
+  const other = format(result, "A2");
+  assert.strictEqual(other.font.find("b"), null);
+  assert.strictEqual(
+    other.fill.find("patternFill/fgColor").attrib.rgb,
+    "FF00FF00"
+  );
+});
+
+test("identical styles share their formats", () => {
+  const result = render(
+    { cells: { A1: "${table:items.qty}" } },
+    {
+      items: [1, 2, 3, 4, 5, 6].map((qty) => ({
+        qty: { value: qty, style: { fill: qty % 2 ? "#FFFF00" : "#00FFFF" } },
+      })),
+    }
+  );
+  const styles = result.xml("xl/styles.xml");
+  assert.strictEqual(styles.find("cellXfs").attrib.count, "4");
+  assert.strictEqual(styles.find("fills").attrib.count, "4");
+  assert.strictEqual(format(result, "A1").index, format(result, "A3").index);
+  assert.strictEqual(format(result, "A2").index, format(result, "A6").index);
+  assert.notStrictEqual(format(result, "A1").index, format(result, "A2").index);
+});
+
+test("many styles in one substitution get their own formats", () => {
+  const colors = [];
+  for (let i = 0; i < 300; ++i) {
+    colors.push("#" + (i * 4099).toString(16).padStart(6, "0").slice(-6));
+  }
+  const result = render(
+    { cells: { A1: "${table:items.name}" } },
+    {
+      items: colors.map((color) => ({
+        name: { value: color, style: { fill: color } },
+      })),
+    }
+  );
+  const styles = result.xml("xl/styles.xml");
+  assert.strictEqual(styles.find("fills").attrib.count, String(2 + 300));
+  const xfs = styles.findall("cellXfs/xf");
+  const fills = styles.findall("fills/fill");
+  const cells = result.sheet().findall("sheetData/row/c");
+  assert.deepStrictEqual(
+    cells.map((cell) => {
+      const xf = xfs[parseInt(cell.attrib.s, 10)];
+      return fills[parseInt(xf.attrib.fillId, 10)].find("patternFill/fgColor")
+        .attrib.rgb;
+    }),
+    colors.map((color) => "FF" + color.slice(1).toUpperCase())
+  );
+});
+
+test("a table style only applies to the row of its value", () => {
+  const result = render(
+    { cells: { A1: { value: "${table:items.qty}", style: 1 } } },
+    { items: [{ qty: { value: 1, style: { italic: true } } }, { qty: 2 }] }
+  );
+  assert.notStrictEqual(format(result, "A1").font.find("i"), null);
+  assert.strictEqual(format(result, "A2").index, 1);
+});
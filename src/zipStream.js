@@ -0,0 +1,140 @@
+const zlib = require("zlib");
+const { Readable, pipeline } = require("stream");
+
+// Lookup table of the CRC-32 used by zip files
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; ++n) {
+    let c = n;
+    for (let k = 0; k < 8; ++k) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+// Update the CRC-32 `crc` with the bytes of `buffer`
+function _crc32(buffer, crc = 0) {
+  let c = crc ^ -1;
+  for (let i = 0; i < buffer.length; ++i) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ -1) >>> 0;
+}
+
+// Date and time of a Date in MS-DOS format, as stored in zip headers
+function _dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      (Math.max(date.getFullYear() - 1980, 0) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Go through the content of an entry (a Buffer, a string or an iterable of
+// them) as Buffers, passing each one to `onChunk`
+async function* _chunks(data, onChunk) {
+  const parts =
+    typeof data === "string" || Buffer.isBuffer(data) ? [data] : data;
+  for await (const part of parts) {
+    const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, "utf8");
+    onChunk(chunk);
+    yield chunk;
+  }
+}
+
+/**
+ * Write a zip archive as it goes, without holding the entries in memory.
+ * `entries` is an iterable (possibly async) of `{name, date, data}` where
+ * `data` is a Buffer, a string or an iterable (possibly async) of them. The
+ * entries are deflated and followed by data descriptors, so their size does
+ * not need to be known up front. Yields the Buffers of the archive.
+ * Archives needing Zip64 (over 4 GB or 65535 entries) are not supported.
+ */
+async function* zipEntries(entries) {
+  const directory = [];
+  let offset = 0;
+
+  for await (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const { time, date } = _dosDateTime(entry.date || new Date());
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // version needed to extract
+    header.writeUInt16LE(0x0808, 6); // data descriptor, UTF-8 names
+    header.writeUInt16LE(8, 8); // deflate
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(name.length, 26);
+    yield header;
+    yield name;
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const deflate = zlib.createDeflateRaw();
+    pipeline(
+      Readable.from(
+        _chunks(entry.data, (chunk) => {
+          crc = _crc32(chunk, crc);
+          size += chunk.length;
+        })
+      ),
+      deflate,
+      () => {}
+    );
+    for await (const chunk of deflate) {
+      compressedSize += chunk.length;
+      yield chunk;
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    yield descriptor;
+
+    directory.push({ name, time, date, crc, compressedSize, size, offset });
+    offset += header.length + name.length + compressedSize + descriptor.length;
+    if (offset > 0xffffffff || directory.length > 0xffff) {
+      throw new Error("Archive too large, Zip64 is not supported");
+    }
+  }
+
+  let directorySize = 0;
+  for (const file of directory) {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4); // version made by
+    header.writeUInt16LE(20, 6); // version needed to extract
+    header.writeUInt16LE(0x0808, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(file.time, 12);
+    header.writeUInt16LE(file.date, 14);
+    header.writeUInt32LE(file.crc, 16);
+    header.writeUInt32LE(file.compressedSize, 20);
+    header.writeUInt32LE(file.size, 24);
+    header.writeUInt16LE(file.name.length, 28);
+    header.writeUInt32LE(file.offset, 42);
+    directorySize += header.length + file.name.length;
+    yield header;
+    yield file.name;
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(directory.length, 8);
+  end.writeUInt16LE(directory.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  yield end;
+}
+
+module.exports = { zipEntries };